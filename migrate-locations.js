@@ -0,0 +1,163 @@
+/**
+ * One-off migration to managed locations
+ * - Seeds the base region hierarchy (state → district → tehsil) the site covers
+ * - Links every post to the Location its free-text location resolves to
+ *   and rewrites the string to the canonical name
+ * - Prints the strings that could not be resolved so admins can add them
+ *   as locations or aliases and run the script again
+ *
+ * Safe to run more than once. Pass --dry-run to only print what would change.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Location = require("./src/models/Location");
+const Post = require("./src/models/Post");
+const locationResolver = require("./src/services/locationResolver");
+const config = require("./src/config");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Each entry: [slug, name, nameHi, type, parentSlug, aliases]
+const BASE_LOCATIONS = [
+  ["rajasthan", "Rajasthan", "राजस्थान", "state", null, []],
+  ["jaipur", "Jaipur", "जयपुर", "district", "rajasthan", []],
+  ["sikar", "Sikar", "सीकर", "district", "rajasthan", []],
+  ["jodhpur", "Jodhpur", "जोधपुर", "district", "rajasthan", []],
+  ["udaipur", "Udaipur", "उदयपुर", "district", "rajasthan", []],
+  [
+    "kishangarh-renwal",
+    "Kishangarh Renwal",
+    "किशनगढ़ रेनवाल",
+    "tehsil",
+    "jaipur",
+    ["renwal", "रेनवाल", "renwal news", "kishangarh-renwal"],
+  ],
+  ["delhi", "Delhi", "दिल्ली", "state", null, ["new delhi", "नई दिल्ली"]],
+  ["maharashtra", "Maharashtra", "महाराष्ट्र", "state", null, []],
+  ["mumbai", "Mumbai", "मुंबई", "district", "maharashtra", []],
+  ["gujarat", "Gujarat", "गुजरात", "state", null, []],
+  ["ahmedabad", "Ahmedabad", "अहमदाबाद", "district", "gujarat", []],
+];
+
+async function seedLocations() {
+  let created = 0;
+  for (const [
+    slug,
+    name,
+    nameHi,
+    type,
+    parentSlug,
+    aliases,
+  ] of BASE_LOCATIONS) {
+    if (await Location.exists({ slug })) continue;
+
+    const parent = parentSlug
+      ? await Location.findOne({ slug: parentSlug }).select("ancestors").lean()
+      : null;
+    if (parentSlug && !parent) {
+      // Only possible in a dry run, where parents are not written
+      console.log(`   ➕ Would create ${type} "${name}"`);
+      created++;
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      await Location.create({
+        slug,
+        name,
+        nameHi,
+        type,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        aliases,
+      });
+    }
+    created++;
+  }
+  console.log(`📍 Base locations created: ${created}`);
+}
+
+async function linkPosts() {
+  const values = (await Post.distinct("location")).filter(Boolean);
+  const unresolved = [];
+  let linked = 0;
+
+  for (const value of values) {
+    const location = await locationResolver.resolve(value);
+    if (!location) {
+      unresolved.push(value);
+      continue;
+    }
+
+    const filter = {
+      location: value,
+      $or: [
+        { locationRef: { $ne: location._id } },
+        { location: { $ne: location.name } },
+      ],
+    };
+    const result = DRY_RUN
+      ? { modifiedCount: await Post.countDocuments(filter) }
+      : await Post.updateMany(
+          filter,
+          { $set: { location: location.name, locationRef: location._id } },
+          { runValidators: false },
+        );
+    if (result.modifiedCount > 0) {
+      console.log(
+        `   "${value}" → ${location.type} "${location.name}" (${result.modifiedCount})`,
+      );
+    }
+    linked += result.modifiedCount;
+  }
+
+  console.log(`🔗 Posts linked to a location: ${linked}`);
+  if (unresolved.length > 0) {
+    console.log(
+      `\n⚠️  ${unresolved.length} location strings could not be resolved:`,
+    );
+    for (const value of unresolved) {
+      const count = await Post.countDocuments({ location: value });
+      console.log(`   "${value}" (${count} posts)`);
+    }
+    console.log(
+      "   Add them as locations or aliases, then run this script again.",
+    );
+  }
+}
+
+async function migrateLocations() {
+  try {
+    const dbUrl =
+      config.MONGODB_URI_PRODUCTION ||
+      config.MONGODB_URI ||
+      process.env.MONGODB_URI ||
+      process.env.DATABASE_URL;
+    if (!dbUrl) {
+      console.error(
+        "❌ MongoDB URI not found in config or environment variables",
+      );
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUrl);
+    console.log("✅ Connected to MongoDB");
+    if (DRY_RUN) console.log("🔍 Dry run - no changes will be written\n");
+
+    await seedLocations();
+    locationResolver.invalidate();
+    await linkPosts();
+
+    await mongoose.disconnect();
+    console.log("\n✅ Migration completed!");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateLocations();
@@ -0,0 +1,66 @@
+/**
+ * One-off migration for phone login
+ * - Rebuilds the unique email index as sparse (phone accounts have no email)
+ * - Creates the unique index on verified phone numbers
+ *
+ * Safe to run more than once. Pass --dry-run to only print what would change.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("./src/models/User");
+const config = require("./src/config");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+async function rebuildEmailIndex() {
+  const indexes = await User.collection.indexes();
+  const emailIndex = indexes.find((index) => index.name === "email_1");
+
+  if (emailIndex && !emailIndex.sparse) {
+    if (!DRY_RUN) {
+      await User.collection.dropIndex("email_1");
+    }
+    console.log("🗑️  Dropped non-sparse email index");
+  } else {
+    console.log("✔️  Email index already sparse or missing");
+  }
+}
+
+async function migratePhoneLogin() {
+  try {
+    const dbUrl =
+      config.MONGODB_URI_PRODUCTION ||
+      config.MONGODB_URI ||
+      process.env.MONGODB_URI ||
+      process.env.DATABASE_URL;
+    if (!dbUrl) {
+      console.error(
+        "❌ MongoDB URI not found in config or environment variables",
+      );
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUrl);
+    console.log("✅ Connected to MongoDB");
+    if (DRY_RUN) console.log("🔍 Dry run - no changes will be written\n");
+
+    await rebuildEmailIndex();
+
+    if (!DRY_RUN) {
+      await User.createIndexes();
+    }
+    console.log("📇 User indexes created");
+
+    await mongoose.disconnect();
+    console.log("\n✅ Migration completed!");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migratePhoneLogin();
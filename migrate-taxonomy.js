@@ -0,0 +1,218 @@
+/**
+ * One-off migration to managed categories and tags
+ * - Seeds the Category collection with the categories the app used to hard-code
+ * - Creates categories for any other values found on posts/breaking news/promotions
+ * - Rewrites those values to category slugs
+ * - Seeds the Tag collection from the tags already used on posts
+ *
+ * Safe to run more than once. Pass --dry-run to only print what would change.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Category = require("./src/models/Category");
+const Tag = require("./src/models/Tag");
+const Post = require("./src/models/Post");
+const BreakingNews = require("./src/models/BreakingNews");
+const Promotion = require("./src/models/Promotion");
+const { slugify, normalizeTag } = require("./src/services/taxonomy");
+const config = require("./src/config");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Union of the old post, breaking news and promotion category lists
+const DEFAULT_CATEGORIES = [
+  { slug: "news", name: "News", nameHi: "समाचार" },
+  { slug: "general", name: "General", nameHi: "सामान्य" },
+  { slug: "world", name: "World", nameHi: "दुनिया" },
+  { slug: "politics", name: "Politics", nameHi: "राजनीति" },
+  { slug: "business", name: "Business", nameHi: "व्यापार" },
+  { slug: "sports", name: "Sports", nameHi: "खेल" },
+  { slug: "entertainment", name: "Entertainment", nameHi: "मनोरंजन" },
+  { slug: "technology", name: "Technology", nameHi: "तकनीक" },
+  { slug: "science", name: "Science", nameHi: "विज्ञान" },
+  { slug: "health", name: "Health", nameHi: "स्वास्थ्य" },
+  { slug: "education", name: "Education", nameHi: "शिक्षा" },
+  { slug: "lifestyle", name: "Lifestyle", nameHi: "जीवनशैली" },
+  { slug: "opinion", name: "Opinion", nameHi: "विचार" },
+  { slug: "other", name: "Other", nameHi: "अन्य" },
+];
+
+// Values that cannot be turned into a Latin slug go to this category
+const FALLBACK_CATEGORY = "general";
+
+async function seedCategories() {
+  let created = 0;
+  for (const [index, category] of DEFAULT_CATEGORIES.entries()) {
+    const exists = await Category.exists({ slug: category.slug });
+    if (exists) continue;
+    if (!DRY_RUN) {
+      await Category.create({ ...category, order: index });
+    }
+    created++;
+  }
+  console.log(`📁 Default categories created: ${created}`);
+}
+
+// Map a legacy value (e.g. "AI & Machine Learning", "खेल") to a slug,
+// creating the category when it does not exist yet
+async function resolveLegacyCategory(value, cache) {
+  const key = String(value).trim();
+  if (cache.has(key)) return cache.get(key);
+
+  const lower = key.toLowerCase();
+  let category = await Category.findOne({
+    $or: [{ slug: lower }, { slug: slugify(key) }, { nameHi: key }],
+  }).lean();
+  if (!category) {
+    category = await Category.findOne({
+      name: {
+        $regex: `^${lower.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`,
+        $options: "i",
+      },
+    }).lean();
+  }
+
+  let slug;
+  if (category) {
+    slug = category.slug;
+  } else if (slugify(key)) {
+    slug = slugify(key);
+    if (!DRY_RUN) {
+      await Category.create({ slug, name: key.substring(0, 50) });
+    }
+    console.log(
+      `   ➕ New category "${slug}" created for legacy value "${key}"`,
+    );
+  } else {
+    slug = FALLBACK_CATEGORY;
+    console.log(
+      `   ⚠️  "${key}" has no usable slug, moved to "${FALLBACK_CATEGORY}"`,
+    );
+  }
+
+  cache.set(key, slug);
+  return slug;
+}
+
+async function migrateCategories() {
+  const cache = new Map();
+  let updated = 0;
+
+  // Posts and breaking news store a single category
+  for (const [label, Model] of [
+    ["posts", Post],
+    ["breaking news", BreakingNews],
+  ]) {
+    const values = (await Model.distinct("category")).filter(Boolean);
+    for (const value of values) {
+      const slug = await resolveLegacyCategory(value, cache);
+      if (slug === value) continue;
+      const result = DRY_RUN
+        ? { modifiedCount: await Model.countDocuments({ category: value }) }
+        : await Model.updateMany(
+            { category: value },
+            { $set: { category: slug } },
+            { runValidators: false },
+          );
+      console.log(
+        `   ${label}: "${value}" → "${slug}" (${result.modifiedCount})`,
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  // Promotions target a list of categories
+  const promotions = await Promotion.find({
+    "targetAudience.categories.0": { $exists: true },
+  })
+    .select("targetAudience.categories")
+    .lean();
+  for (const promotion of promotions) {
+    const current = promotion.targetAudience.categories;
+    const slugs = [];
+    for (const value of current) {
+      const slug = await resolveLegacyCategory(value, cache);
+      if (!slugs.includes(slug)) slugs.push(slug);
+    }
+    if (JSON.stringify(slugs) === JSON.stringify(current)) continue;
+    if (!DRY_RUN) {
+      await Promotion.updateOne(
+        { _id: promotion._id },
+        { $set: { "targetAudience.categories": slugs } },
+        { runValidators: false },
+      );
+    }
+    updated++;
+  }
+
+  console.log(`🔁 Documents with normalized categories: ${updated}`);
+}
+
+async function seedTags() {
+  const values = (await Post.distinct("tags")).filter(Boolean);
+  let created = 0;
+  let normalized = 0;
+
+  for (const value of values) {
+    const slug = normalizeTag(value);
+    if (!slug) continue;
+
+    if (slug !== value) {
+      if (!DRY_RUN) {
+        await Post.updateMany(
+          { tags: value },
+          { $set: { "tags.$": slug } },
+          { runValidators: false },
+        );
+      }
+      normalized++;
+    }
+
+    const exists = await Tag.exists({ slug });
+    if (exists) continue;
+    if (!DRY_RUN) {
+      await Tag.create({ slug, name: slug });
+    }
+    created++;
+  }
+
+  console.log(
+    `🏷️  Tags created: ${created}, tag values normalized: ${normalized}`,
+  );
+}
+
+async function migrateTaxonomy() {
+  try {
+    const dbUrl =
+      config.MONGODB_URI_PRODUCTION ||
+      config.MONGODB_URI ||
+      process.env.MONGODB_URI ||
+      process.env.DATABASE_URL;
+    if (!dbUrl) {
+      console.error(
+        "❌ MongoDB URI not found in config or environment variables",
+      );
+      process.exit(1);
+    }
+
+    await mongoose.connect(dbUrl);
+    console.log("✅ Connected to MongoDB");
+    if (DRY_RUN) console.log("🔍 Dry run - no changes will be written\n");
+
+    await seedCategories();
+    await migrateCategories();
+    await seedTags();
+
+    await mongoose.disconnect();
+    console.log("\n✅ Migration completed!");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateTaxonomy();
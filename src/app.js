@@ -43,6 +43,19 @@ const translateRoutes = require("./routes/translateRoutes");
 const bhaskarRoutes = require("./routes/bhaskar");
 const obituaryRoutes = require("./routes/obituaries");
 const pollRoutes = require("./routes/polls");
+const categoryRoutes = require("./routes/categories");
+const tagRoutes = require("./routes/tags");
+const locationRoutes = require("./routes/locations");
+const seriesRoutes = require("./routes/series");
+const followRoutes = require("./routes/follows");
+const analyticsRoutes = require("./routes/analytics");
+const commentRoutes = require("./routes/comments");
+
+// Import background services
+const postScheduler = require("./services/postScheduler");
+const trending = require("./services/trending");
+const viewTracker = require("./services/viewTracker");
+const notificationRetention = require("./services/notificationRetention");
 
 // Initialize database
 Database.getInstance();
@@ -161,6 +174,13 @@ app.use("/api/v1/translate", translateRoutes);
 app.use("/api/v1/bhaskar", bhaskarRoutes);
 app.use("/api/v1/obituaries", obituaryRoutes);
 app.use("/api/v1/polls", pollRoutes);
+app.use("/api/v1/categories", categoryRoutes);
+app.use("/api/v1/tags", tagRoutes);
+app.use("/api/v1/locations", locationRoutes);
+app.use("/api/v1/series", seriesRoutes);
+app.use("/api/v1/follows", followRoutes);
+app.use("/api/v1/analytics", analyticsRoutes);
+app.use("/api/v1/comments", commentRoutes);
 
 // Handle undefined routes
 app.all("*", (req, res, next) => {
@@ -173,7 +193,12 @@ app.use(globalErrorHandler);
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("👋 SIGTERM received. Shutting down gracefully");
-  server.close(() => {
+  postScheduler.stop();
+  trending.stop();
+  notificationRetention.stop();
+  server.close(async () => {
+    // Write buffered view counts before the process exits
+    await viewTracker.stop();
     console.log("💥 Process terminated!");
   });
 });
@@ -250,6 +275,18 @@ io.on("connection", (socket) => {
 const PORT = config.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`🚀 Server running in ${config.NODE_ENV} mode on port ${PORT}`);
+
+  // Publish scheduled posts when they are due
+  postScheduler.start();
+
+  // Recompute trending scores from engagement buckets
+  trending.start();
+
+  // Write buffered view counts in batches
+  viewTracker.start();
+
+  // Remove expired inbox notifications
+  notificationRetention.start();
 });
 
 module.exports = app;
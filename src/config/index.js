@@ -33,7 +33,7 @@ if (missingEnvVars.length > 0 || !hasDbUri) {
   console.error(
     "JWT_SECRET=your-super-secure-jwt-secret-key-at-least-32-characters-long",
   );
-  console.error("JWT_EXPIRES_IN=7d");
+  console.error("JWT_EXPIRES_IN=15m");
   process.exit(1);
 }
 
@@ -49,9 +49,16 @@ const config = {
     process.env.DATABASE_URL ||
     process.env.MONGODB_URI_PRODUCTION,
 
-  // JWT Configuration - 7 days expiry
+  // JWT Configuration - short-lived access tokens, renewed with a refresh token
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "7d", // 7 days token expiry
+  JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || "15m", // 15 minutes access token expiry
+  REFRESH_TOKEN_EXPIRES_DAYS:
+    parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30, // 30 days refresh token expiry
+
+  // Two-factor authentication: key used to encrypt TOTP secrets at rest
+  // (derived from JWT_SECRET when not set) and the name shown in authenticator apps
+  TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || "KR Updates",
   JWT_COOKIE_EXPIRES_IN: parseInt(process.env.JWT_COOKIE_EXPIRES_IN, 10) || 7, // 7 days cookie expiry
 
   // Security Configuration
@@ -77,6 +84,39 @@ const config = {
   DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 10,
   MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
 
+  // Scheduled publishing: how often due posts are checked
+  SCHEDULER_INTERVAL_MS:
+    parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000, // 30 seconds
+
+  // Trending: how often trending scores are recomputed
+  TRENDING_INTERVAL_MS:
+    parseInt(process.env.TRENDING_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+
+  // View counting: a visitor counts once per post within the dedupe window,
+  // and counted views are written to the database every flush interval
+  VIEW_DEDUPE_WINDOW_MS:
+    parseInt(process.env.VIEW_DEDUPE_WINDOW_MS, 10) || 30 * 60 * 1000, // 30 minutes
+  VIEW_FLUSH_INTERVAL_MS:
+    parseInt(process.env.VIEW_FLUSH_INTERVAL_MS, 10) || 10 * 1000, // 10 seconds
+
+  // Notification inbox retention: read entries are removed after
+  // NOTIFICATION_READ_RETENTION_DAYS, everything else after NOTIFICATION_RETENTION_DAYS
+  NOTIFICATION_RETENTION_DAYS:
+    parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90,
+  NOTIFICATION_READ_RETENTION_DAYS:
+    parseInt(process.env.NOTIFICATION_READ_RETENTION_DAYS, 10) || 30,
+  NOTIFICATION_CLEANUP_INTERVAL_MS:
+    parseInt(process.env.NOTIFICATION_CLEANUP_INTERVAL_MS, 10) ||
+    6 * 60 * 60 * 1000, // 6 hours
+
+  // Phone login codes: delivery provider ("auto", "twilio" or "console"),
+  // code lifetime, wrong guesses allowed per code and send limits per number
+  OTP_PROVIDER: process.env.OTP_PROVIDER || "auto",
+  OTP_EXPIRES_MINUTES: parseInt(process.env.OTP_EXPIRES_MINUTES, 10) || 5,
+  OTP_MAX_ATTEMPTS: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+  OTP_RESEND_SECONDS: parseInt(process.env.OTP_RESEND_SECONDS, 10) || 60,
+  OTP_MAX_PER_HOUR: parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5,
+
   // Client URL
   CLIENT_URL: process.env.CLIENT_URL || "http://localhost:5173",
 };
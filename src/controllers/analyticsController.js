@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const { parseDateRange } = require("../utils/dateRange");
+const { formatDay } = require("../services/postAnalytics");
+const siteAnalytics = require("../services/siteAnalytics");
+
+const rangeInfo = (range) => ({
+  from: formatDay(range.from),
+  to: formatDay(range.to),
+  days: range.days,
+});
+
+// Site totals for the range compared with the previous period of the same length
+const getSummary = catchAsync(async (req, res) => {
+  const range = parseDateRange(req.query);
+  const comparison = await siteAnalytics.getComparison(range);
+
+  ApiResponse.success(
+    res,
+    comparison,
+    "Analytics summary retrieved successfully",
+  );
+});
+
+// Top posts, authors, categories or locations (?metric=views|engagement|likes|comments|shares|bookmarks)
+const getTop = catchAsync(async (req, res, next) => {
+  const { dimension } = req.params;
+  const { metric = "views" } = req.query;
+
+  if (!siteAnalytics.TOP_DIMENSIONS.includes(dimension)) {
+    return next(
+      new AppError(
+        `Unknown report, use one of ${siteAnalytics.TOP_DIMENSIONS.join(", ")}`,
+        404,
+      ),
+    );
+  }
+  if (!siteAnalytics.METRICS.includes(metric)) {
+    return next(
+      new AppError(
+        `metric must be one of ${siteAnalytics.METRICS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const range = parseDateRange(req.query);
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 10), 50);
+  const items = await siteAnalytics.getTop(dimension, range, { metric, limit });
+
+  ApiResponse.success(
+    res,
+    { range: rangeInfo(range), metric, items },
+    `Top ${dimension} retrieved successfully`,
+  );
+});
+
+// Posts published per day per author (?author= for one author)
+const getPublishingVolume = catchAsync(async (req, res, next) => {
+  const { author } = req.query;
+  if (author && !mongoose.Types.ObjectId.isValid(author)) {
+    return next(new AppError("author must be a valid user id", 400));
+  }
+
+  const range = parseDateRange(req.query);
+  const volume = await siteAnalytics.getPublishingVolume(range, { author });
+
+  ApiResponse.success(
+    res,
+    { range: rangeInfo(range), ...volume },
+    "Publishing volume retrieved successfully",
+  );
+});
+
+// Engagement funnel: views -> reads -> likes / comments / shares / bookmarks
+const getEngagementFunnel = catchAsync(async (req, res) => {
+  const range = parseDateRange(req.query);
+  const funnel = await siteAnalytics.getEngagementFunnel(range);
+
+  ApiResponse.success(
+    res,
+    { range: rangeInfo(range), ...funnel },
+    "Engagement funnel retrieved successfully",
+  );
+});
+
+module.exports = {
+  getSummary,
+  getTop,
+  getPublishingVolume,
+  getEngagementFunnel,
+};
@@ -6,7 +6,12 @@ const { AppError } = require("../utils/appError");
 const ApiResponse = require("../utils/apiResponse");
 const config = require("../config");
 const emailService = require("../services/emailService");
+const refreshTokens = require("../services/refreshTokens");
+const sessions = require("../services/sessions");
+const twoFactor = require("../services/twoFactor");
+const phoneOtp = require("../services/phoneOtp");
 const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 
 // Helper functions for activity logging
 const extractBrowserInfo = (userAgent) => {
@@ -79,7 +84,10 @@ const logActivity = async (data, req = null) => {
       activityData.browserInfo = extractBrowserInfo(req.headers["user-agent"]);
       activityData.networkInfo = getNetworkInfo(req);
       if (req.headers.referer) {
-        activityData.sessionInfo = { referrer: req.headers.referer };
+        activityData.sessionInfo = {
+          ...activityData.sessionInfo,
+          referrer: req.headers.referer,
+        };
       }
     }
     await Activity.create(activityData);
@@ -88,28 +96,74 @@ const logActivity = async (data, req = null) => {
   }
 };
 
-// Helper function to create and send JWT token
-// Token expires in 7 days, cookie expires in 7 days
-const createSendToken = (user, statusCode, res, message = "Success") => {
-  const token = user.getSignedJwtToken();
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE = "refreshToken";
+const REFRESH_COOKIE_PATH = "/api/v1/auth";
 
-  // Calculate 7 days in milliseconds
-  const sevenDaysInMs = 7 * 24 * 60 * 60 * 1000;
+const cookieOptions = (path = "/") => ({
+  httpOnly: true,
+  secure: config.NODE_ENV === "production",
+  sameSite: "strict",
+  path,
+});
 
-  const cookieOptions = {
-    expires: new Date(Date.now() + sevenDaysInMs), // 7 days cookie expiry
-    httpOnly: true,
-    secure: config.NODE_ENV === "production",
-    sameSite: "strict",
-    maxAge: sevenDaysInMs, // Also set maxAge for better browser compatibility
-  };
+// Set the access token (jwt) and refresh token cookies; returns the access token
+const setAuthCookies = (user, res, refresh) => {
+  // The session id lets a request tell which sign-in it belongs to
+  const token = user.getSignedJwtToken({ sid: refresh.doc.family });
+  const { exp } = jwt.decode(token);
+
+  res.cookie("jwt", token, {
+    ...cookieOptions(),
+    expires: new Date(exp * 1000),
+  });
+  res.cookie(REFRESH_COOKIE, refresh.token, {
+    ...cookieOptions(REFRESH_COOKIE_PATH),
+    expires: refresh.doc.expiresAt,
+  });
+
+  return { token, expiresAt: new Date(exp * 1000) };
+};
 
-  res.cookie("jwt", token, cookieOptions);
+const clearAuthCookies = (res) => {
+  res.clearCookie("jwt", cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+};
+
+// Refresh token from the cookie, or from the body for header-based clients
+const getRefreshToken = (req) =>
+  req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken;
+
+// Helper function to start a session and send the tokens.
+// The access token is short-lived (JWT_EXPIRES_IN); clients renew it with the
+// refresh token at POST /auth/refresh.
+const createSendToken = async (
+  user,
+  statusCode,
+  req,
+  res,
+  message = "Success",
+  extra = {},
+) => {
+  const { refresh } = await sessions.start(user, req);
+  const { token, expiresAt } = setAuthCookies(user, res, refresh);
 
   // Remove password from output
   user.password = undefined;
 
-  return ApiResponse.success(res, { user, token }, message, statusCode);
+  return ApiResponse.success(
+    res,
+    {
+      user,
+      token,
+      expiresAt,
+      refreshToken: refresh.token,
+      refreshTokenExpiresAt: refresh.doc.expiresAt,
+      ...extra,
+    },
+    message,
+    statusCode,
+  );
 };
 
 // Register new user
@@ -297,6 +351,36 @@ const login = catchAsync(async (req, res, next) => {
     return next(new AppError(error, 401));
   }
 
+  await completeLogin(user, req, res);
+});
+
+// Finish a first-factor login (password or phone code). With 2FA on (or
+// required for the role) the client gets a challenge token instead of the
+// real tokens.
+const completeLogin = async (user, req, res, extra = {}) => {
+  if (user.twoFactor?.enabled) {
+    return ApiResponse.success(
+      res,
+      {
+        twoFactorRequired: true,
+        challengeToken: twoFactor.createChallenge(user, "2fa_login"),
+        ...extra,
+      },
+      "Enter your two-factor authentication code",
+    );
+  }
+  if (await twoFactor.isRequired(user)) {
+    return ApiResponse.success(
+      res,
+      {
+        twoFactorSetupRequired: true,
+        challengeToken: twoFactor.createChallenge(user, "2fa_setup"),
+        ...extra,
+      },
+      "Two-factor authentication must be set up for your account",
+    );
+  }
+
   // Log login activity
   await logActivity(
     {
@@ -308,23 +392,246 @@ const login = catchAsync(async (req, res, next) => {
     req,
   );
 
-  createSendToken(user, 200, res, "Login successful");
+  return createSendToken(user, 200, req, res, "Login successful", extra);
+};
+
+// Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return next(
+      new AppError(
+        "Please provide an authentication code or a recovery code",
+        400,
+      ),
+    );
+  }
+
+  const userId = twoFactor.readChallenge(challengeToken, "2fa_login");
+  const user = userId && (await User.findById(userId).select("+isActive"));
+  if (!user || !user.isActive) {
+    return next(
+      new AppError("Invalid or expired challenge. Please log in again.", 401),
+    );
+  }
+  if (user.isLocked) {
+    return next(new AppError("Account is temporarily locked", 401));
+  }
+
+  const result = await twoFactor.verify(user._id, { code, recoveryCode });
+  if (!result) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    const updates = { $inc: { loginAttempts: 1 } };
+    if ((user.loginAttempts || 0) + 1 >= 5) {
+      updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+    }
+    await user.updateOne(updates);
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  await user.updateOne({ $unset: { loginAttempts: 1, lockUntil: 1 } });
+
+  await logActivity(
+    {
+      user: user._id,
+      type: "login",
+      description: "User logged in",
+      details: `Login successful for ${user.firstName} ${user.lastName} (${user.username}) with ${result.method === "recovery" ? "a recovery code" : "an authenticator code"}`,
+    },
+    req,
+  );
+
+  await createSendToken(
+    user,
+    200,
+    req,
+    res,
+    "Login successful",
+    result.method === "recovery"
+      ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+      : {},
+  );
 });
 
-// Logout user
-const logout = (req, res) => {
-  res.cookie("jwt", "loggedout", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
+// Phone login, step one: send a one-time code to { phone, channel }
+// (channel "whatsapp" or "sms", WhatsApp by default)
+const requestPhoneOtp = catchAsync(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((error) => error.msg);
+    return next(new AppError(errorMessages.join(". "), 400));
+  }
+
+  const phone = phoneOtp.normalizePhone(req.body.phone);
+  if (!phone) {
+    return next(new AppError("Please provide a valid mobile number", 400));
+  }
+
+  const result = await phoneOtp.requestCode({
+    phone,
+    channel: req.body.channel || "whatsapp",
+    req,
   });
+  if (result.error) {
+    if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+    return next(new AppError(result.error, result.statusCode));
+  }
 
-  ApiResponse.success(res, null, "Logged out successfully");
+  ApiResponse.success(
+    res,
+    { phone, ...result },
+    `A login code has been sent to ${phone}`,
+  );
+});
+
+// Account for a verified phone number, created on first login
+const findOrCreatePhoneUser = async (phone, { firstName, lastName }) => {
+  const existing = await User.findOne({ phone, phoneVerified: true });
+  if (existing) return { user: existing, isNewUser: false };
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const user = await User.create({
+        username: `reader_${crypto.randomBytes(4).toString("hex")}`,
+        firstName: String(firstName || "").trim() || "Reader",
+        lastName: String(lastName || "").trim(),
+        phone,
+        phoneVerified: true,
+        role: "viewer",
+        lastLogin: new Date(),
+      });
+      return { user, isNewUser: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Created by a parallel request in the meantime
+      if (error.keyPattern?.phone) {
+        const user = await User.findOne({ phone, phoneVerified: true });
+        return { user, isNewUser: false };
+      }
+      // Otherwise the generated username was taken; try another one
+    }
+  }
+  throw new AppError("Could not create your account, please try again", 500);
 };
 
-// Placeholder for other auth methods
+// Phone login, step two: { phone, code } signs the reader in, creating the
+// account on first use ({ firstName, lastName } are optional for new accounts)
+const verifyPhoneOtp = catchAsync(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((error) => error.msg);
+    return next(new AppError(errorMessages.join(". "), 400));
+  }
+
+  const phone = phoneOtp.normalizePhone(req.body.phone);
+  if (!phone || !req.body.code) {
+    return next(
+      new AppError("Please provide your mobile number and the code", 400),
+    );
+  }
+
+  const result = await phoneOtp.verifyCode(phone, req.body.code);
+  if (result.error) {
+    return next(new AppError(result.error, result.statusCode));
+  }
+
+  const { user, isNewUser } = await findOrCreatePhoneUser(phone, req.body);
+  if (!user || !user.isActive) {
+    return next(new AppError("This account has been deactivated", 401));
+  }
+  if (user.isLocked) {
+    return next(new AppError("Account is temporarily locked", 401));
+  }
+
+  if (isNewUser) {
+    await logActivity(
+      {
+        user: user._id,
+        type: "register",
+        description: "User registered",
+        details: `New user account created with phone login: ${user.username}`,
+      },
+      req,
+    );
+  } else {
+    await user.updateOne({ $set: { lastLogin: new Date() } });
+  }
+
+  await completeLogin(user, req, res, { isNewUser });
+});
+
+// Logout user: revokes the refresh token (and its session) server-side
+const logout = catchAsync(async (req, res) => {
+  const revoked = await refreshTokens.revoke(getRefreshToken(req), "logout");
+
+  if (revoked) {
+    sessions.forget(revoked.family);
+    await logActivity(
+      {
+        user: revoked.user,
+        type: "logout",
+        description: "User logged out",
+        details: "Session ended and refresh token revoked",
+      },
+      req,
+    );
+  }
+
+  clearAuthCookies(res);
+  ApiResponse.success(res, null, "Logged out successfully");
+});
+
+// Exchange a refresh token for a new access token and refresh token
 const refreshToken = catchAsync(async (req, res, next) => {
-  // TODO: Implement refresh token logic
-  return next(new AppError("Not implemented yet", 501));
+  const { user, token, doc, error, reused } = await refreshTokens.rotate(
+    getRefreshToken(req),
+    req,
+  );
+
+  if (error) {
+    if (reused) {
+      await logActivity(
+        {
+          user: reused.user,
+          type: "token_reuse",
+          description: "Refresh token reuse detected",
+          details:
+            "A rotated refresh token was used again; the session was revoked",
+          sessionInfo: { sessionId: reused.family },
+        },
+        req,
+      );
+    }
+    clearAuthCookies(res);
+    return next(new AppError(error, 401));
+  }
+
+  // Sessions started before 2FA became mandatory for the role end here
+  if (!user.twoFactor?.enabled && (await twoFactor.isRequired(user))) {
+    await refreshTokens.revokeFamily(doc.family, "admin");
+    sessions.forget(doc.family);
+    clearAuthCookies(res);
+    return next(
+      new AppError(
+        "Two-factor authentication is now required for your account. Please log in again.",
+        401,
+      ),
+    );
+  }
+
+  const access = setAuthCookies(user, res, { token, doc });
+
+  ApiResponse.success(
+    res,
+    {
+      token: access.token,
+      expiresAt: access.expiresAt,
+      refreshToken: token,
+      refreshTokenExpiresAt: doc.expiresAt,
+    },
+    "Token refreshed successfully",
+  );
 });
 
 const verifyEmail = catchAsync(async (req, res, next) => {
@@ -364,8 +671,14 @@ const verifyEmail = catchAsync(async (req, res, next) => {
     req,
   );
 
-  // Generate token for automatic login after verification
-  const authToken = user.getSignedJwtToken();
+  // Accounts that need a second factor sign in normally instead
+  if (user.twoFactor?.enabled || (await twoFactor.isRequired(user))) {
+    return res.redirect(`${config.CLIENT_URL}/verify-email-success`);
+  }
+
+  // Start a session for automatic login after verification
+  const { refresh } = await sessions.start(user, req);
+  const { token: authToken } = setAuthCookies(user, res, refresh);
   user.password = undefined;
 
   // Redirect to frontend with token
@@ -487,19 +800,244 @@ const resendVerification = catchAsync(async (req, res, next) => {
   );
 });
 
+// Branded email with one call-to-action button (same look as the verification email)
+const brandedEmailHtml = ({
+  title,
+  heading,
+  greeting,
+  intro,
+  button,
+  footnote,
+}) => `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+  </head>
+  <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+    <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f5f5f5;">
+      <tr>
+        <td align="center" style="padding: 40px 20px;">
+          <table role="presentation" style="max-width: 600px; width: 100%; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+            <tr>
+              <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 12px 12px 0 0;">
+                <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">${title}</h1>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 40px 30px;">
+                <h2 style="margin: 0 0 20px 0; color: #333333; font-size: 24px; font-weight: 600;">${heading}</h2>
+                <p style="margin: 0 0 20px 0; color: #666666; font-size: 16px; line-height: 1.6;">
+                  Hi ${greeting},
+                </p>
+                <p style="margin: 0 0 30px 0; color: #666666; font-size: 16px; line-height: 1.6;">
+                  ${intro}
+                </p>
+                ${
+                  button
+                    ? `<table role="presentation" style="width: 100%; margin: 30px 0;">
+                  <tr>
+                    <td align="center">
+                      <a href="${button.url}" style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px; box-shadow: 0 4px 6px rgba(102, 126, 234, 0.3);">${button.text}</a>
+                    </td>
+                  </tr>
+                </table>
+                <p style="margin: 30px 0 0 0; color: #999999; font-size: 14px; line-height: 1.6;">
+                  If the button doesn't work, copy and paste this link into your browser:
+                </p>
+                <p style="margin: 10px 0 0 0; color: #667eea; font-size: 14px; word-break: break-all;">
+                  ${button.url}
+                </p>`
+                    : ""
+                }
+                <p style="margin: 30px 0 0 0; color: #999999; font-size: 14px; line-height: 1.6;">
+                  ${footnote}
+                </p>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 20px 30px; background-color: #f9f9f9; border-radius: 0 0 12px 12px; text-align: center;">
+                <p style="margin: 0; color: #999999; font-size: 12px;">
+                  © ${new Date().getFullYear()} KR Updates. All rights reserved.
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+`;
+
+// Tell the user their password changed (best effort)
+const sendPasswordChangedEmail = (user) =>
+  emailService
+    .sendEmail({
+      to: user.email,
+      subject: "Your Password Was Changed - KR Updates",
+      html: brandedEmailHtml({
+        title: "Password Changed",
+        heading: "Your password was changed",
+        greeting: user.firstName,
+        intro:
+          "The password for your KR Updates account was just changed and you have been signed out on all other devices.",
+        footnote:
+          "If you didn't do this, reset your password right away and contact support.",
+      }),
+    })
+    .catch((error) => {
+      console.error("Error sending password changed email:", error);
+    });
+
+const FORGOT_PASSWORD_MESSAGE =
+  "If an account exists for this email, a password reset link has been sent.";
+
+// Send a password reset link. The response is the same whether or not the
+// email belongs to an account.
 const forgotPassword = catchAsync(async (req, res, next) => {
-  // TODO: Implement forgot password logic
-  return next(new AppError("Not implemented yet", 501));
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((error) => error.msg);
+    return next(new AppError(errorMessages.join(". "), 400));
+  }
+
+  const user = await User.findOne({
+    email: req.body.email.toLowerCase(),
+    isActive: true,
+  });
+
+  if (user) {
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    // Nothing below is awaited, so the response time does not reveal that
+    // the account exists
+    logActivity(
+      {
+        user: user._id,
+        type: "password_reset_request",
+        description: "Password reset requested",
+        details: `Password reset link requested for ${user.email}`,
+      },
+      req,
+    );
+
+    const resetUrl = `${config.CLIENT_URL}/reset-password/${resetToken}`;
+    emailService
+      .sendEmail({
+        to: user.email,
+        subject: "Reset Your Password - KR Updates",
+        html: brandedEmailHtml({
+          title: "Reset Your Password",
+          heading: "Password Reset Request",
+          greeting: user.firstName,
+          intro:
+            "We received a request to reset the password for your account. Click the button below to choose a new password.",
+          button: { url: resetUrl, text: "Reset Password" },
+          footnote:
+            "This link will expire in 10 minutes. If you didn't request a password reset, you can safely ignore this email.",
+        }),
+      })
+      .catch(async (emailError) => {
+        console.error("Error sending password reset email:", emailError);
+        // The link never arrived, so don't leave a usable token behind
+        await User.updateOne(
+          { _id: user._id },
+          { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+        ).catch(() => {});
+      });
+  }
+
+  ApiResponse.success(res, null, FORGOT_PASSWORD_MESSAGE);
 });
 
+// Set a new password with a reset token; every existing session is signed out
 const resetPassword = catchAsync(async (req, res, next) => {
-  // TODO: Implement reset password logic
-  return next(new AppError("Not implemented yet", 501));
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((error) => error.msg);
+    return next(new AppError(errorMessages.join(". "), 400));
+  }
+
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+    isActive: true,
+  });
+
+  if (!user) {
+    return next(new AppError("Invalid or expired password reset token", 400));
+  }
+
+  // Saving a new password also sets passwordChangedAt, which invalidates
+  // access tokens issued before now
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.loginAttempts = undefined;
+  user.lockUntil = undefined;
+  await user.save();
+
+  await sessions.revokeAll(user._id, "password_change");
+
+  await logActivity(
+    {
+      user: user._id,
+      type: "password_reset",
+      description: "Password reset",
+      details: `Password reset via email link for ${user.username}`,
+    },
+    req,
+  );
+
+  sendPasswordChangedEmail(user);
+
+  // A reset link alone is not a second factor: 2FA users still get the
+  // challenge (or enrollment) step
+  await completeLogin(user, req, res, { passwordReset: true });
 });
 
+// Change the password of the signed-in user; other sessions are signed out
 const updatePassword = catchAsync(async (req, res, next) => {
-  // TODO: Implement update password logic
-  return next(new AppError("Not implemented yet", 501));
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map((error) => error.msg);
+    return next(new AppError(errorMessages.join(". "), 400));
+  }
+
+  const { currentPassword, password } = req.body;
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!user || !(await user.matchPassword(currentPassword))) {
+    return next(new AppError("Your current password is wrong", 401));
+  }
+
+  user.password = password;
+  await user.save();
+
+  await sessions.revokeAll(user._id, "password_change");
+
+  await logActivity(
+    {
+      user: user._id,
+      type: "password_change",
+      description: "Password changed",
+      details: `Password changed by ${user.username}`,
+    },
+    req,
+  );
+
+  sendPasswordChangedEmail(user);
+
+  await createSendToken(user, 200, req, res, "Password updated successfully");
 });
 
 const getMe = catchAsync(async (req, res, next) => {
@@ -517,8 +1055,13 @@ const deleteMe = catchAsync(async (req, res, next) => {
 });
 
 module.exports = {
+  createSendToken,
+  completeLogin,
   register,
   login,
+  verifyTwoFactorLogin,
+  requestPhoneOtp,
+  verifyPhoneOtp,
   logout,
   refreshToken,
   verifyEmail,
@@ -0,0 +1,423 @@
+const mongoose = require("mongoose");
+const Comment = require("../models/Comment");
+const Post = require("../models/Post");
+const Activity = require("../models/Activity");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const mentions = require("../services/mentions");
+
+// Reports after which an approved comment is held for review
+const REPORT_HOLD_THRESHOLD = 5;
+
+const MODERATION_ACTIONS = {
+  approve: { moderationStatus: "approved" },
+  reject: { moderationStatus: "rejected" },
+  hide: { isHidden: true },
+  unhide: { isHidden: false },
+};
+
+const ACTION_LABELS = {
+  approve: "approved",
+  reject: "rejected",
+  hide: "hidden",
+  unhide: "unhidden",
+};
+
+const QUEUE_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "hidden",
+  "reported",
+  "all",
+];
+
+const COMMENT_MODES = ["open", "moderated", "closed"];
+
+const logModeration = async (req, type, description, details, metadata) => {
+  try {
+    await Activity.create({
+      user: req.user._id,
+      type,
+      description,
+      details,
+      metadata,
+      ipAddress: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+const isVisible = (comment) =>
+  !comment.isDeleted &&
+  !comment.isHidden &&
+  comment.moderationStatus === "approved";
+
+// Ids of the comments matching a filter that are visible right now
+const visibleIds = async (filter) => {
+  const comments = await Comment.find(filter)
+    .select("isDeleted isHidden moderationStatus")
+    .lean();
+  return new Set(comments.filter(isVisible).map((c) => String(c._id)));
+};
+
+// Recount every affected post and tell open post pages about comments whose
+// visibility changed (wasVisible: ids that were visible before the change)
+const afterModeration = async (comments, wasVisible) => {
+  const postIds = [...new Set(comments.map((c) => String(c.post)))];
+  const counts = new Map(
+    await Promise.all(
+      postIds.map(async (postId) => [
+        postId,
+        await Comment.syncPostCommentCount(postId),
+      ]),
+    ),
+  );
+
+  const changed = comments.filter(
+    (c) => isVisible(c) !== wasVisible.has(String(c._id)),
+  );
+
+  // Mentions in comments that just went live (each comment notifies only once)
+  const withMentions = changed.filter(
+    (c) => isVisible(c) && c.mentions?.length,
+  );
+  if (withMentions.length > 0) {
+    const posts = await Post.find({
+      _id: { $in: [...new Set(withMentions.map((c) => String(c.post)))] },
+    })
+      .select("title slug")
+      .lean();
+    const postsById = new Map(posts.map((p) => [String(p._id), p]));
+    withMentions.forEach((comment) => {
+      const post = postsById.get(String(comment.post));
+      if (post && comment.author?._id) {
+        mentions.notifyMentions(comment, post, comment.author);
+      }
+    });
+  }
+
+  if (!global.io) return;
+  changed.forEach((comment) => {
+    const postId = String(comment.post);
+
+    if (isVisible(comment)) {
+      // Reporters stay private
+      const publicComment = comment.toObject();
+      delete publicComment.reports;
+
+      global.io.to(`post_${postId}`).emit("commentAdded", {
+        postId,
+        comment: publicComment,
+        commentCount: counts.get(postId),
+      });
+    } else {
+      global.io.to(`post_${postId}`).emit("commentRemoved", {
+        postId,
+        commentId: comment._id,
+        commentCount: counts.get(postId),
+      });
+    }
+  });
+};
+
+const moderationUpdate = (req, action, note) => ({
+  ...MODERATION_ACTIONS[action],
+  moderatedBy: req.user._id,
+  moderatedAt: new Date(),
+  ...(note !== undefined && { moderationNote: String(note).trim() }),
+});
+
+// Report a comment ({ reason, details }); one report per user per comment
+const reportComment = catchAsync(async (req, res, next) => {
+  const { id: postId, commentId } = req.params;
+  const { reason, details } = req.body;
+
+  if (!Comment.REPORT_REASONS.includes(reason)) {
+    return next(
+      new AppError(
+        `reason must be one of ${Comment.REPORT_REASONS.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    post: postId,
+    isDeleted: false,
+  }).select("author post moderationStatus isHidden reportedCount reports.user");
+  if (!comment) {
+    return next(new AppError("Comment not found", 404));
+  }
+  if (comment.author.toString() === req.user._id.toString()) {
+    return next(new AppError("You cannot report your own comment", 400));
+  }
+
+  // Atomic so a double click cannot add two reports
+  const updated = await Comment.findOneAndUpdate(
+    { _id: commentId, "reports.user": { $ne: req.user._id } },
+    {
+      $push: {
+        reports: {
+          user: req.user._id,
+          reason,
+          details: details ? String(details).trim() : undefined,
+        },
+      },
+      $inc: { reportedCount: 1 },
+    },
+    { new: true, runValidators: true },
+  );
+  if (!updated) {
+    return next(new AppError("You have already reported this comment", 409));
+  }
+
+  // Heavily reported comments leave the page until a moderator looks at them
+  if (
+    updated.moderationStatus === "approved" &&
+    updated.reportedCount >= REPORT_HOLD_THRESHOLD
+  ) {
+    const wasVisible = isVisible(updated)
+      ? new Set([String(updated._id)])
+      : new Set();
+    updated.moderationStatus = "pending";
+    await updated.save();
+    await afterModeration([updated], wasVisible);
+  }
+
+  await logModeration(
+    req,
+    "comment_report",
+    "User reported a comment",
+    `Reported comment as ${reason}`,
+    { postId: updated.post, commentId: updated._id },
+  );
+
+  ApiResponse.success(
+    res,
+    { commentId: updated._id, reportedCount: updated.reportedCount },
+    "Comment reported successfully",
+    201,
+  );
+});
+
+// Moderation queue (?status=pending|approved|rejected|hidden|reported|all, ?minReports=, ?post=)
+const getModerationQueue = catchAsync(async (req, res, next) => {
+  const {
+    status = "pending",
+    minReports,
+    post,
+    page = 1,
+    limit = 20,
+    sortBy = "reports",
+  } = req.query;
+
+  if (!QUEUE_STATUSES.includes(status)) {
+    return next(
+      new AppError(`status must be one of ${QUEUE_STATUSES.join(", ")}`, 400),
+    );
+  }
+
+  const query = { isDeleted: false };
+  if (status === "hidden") {
+    query.isHidden = true;
+  } else if (status === "reported") {
+    query.reportedCount = { $gt: 0 };
+  } else if (status !== "all") {
+    query.moderationStatus = status;
+  }
+
+  if (minReports !== undefined) {
+    const min = parseInt(minReports);
+    if (!Number.isInteger(min) || min < 0) {
+      return next(
+        new AppError("minReports must be a non-negative integer", 400),
+      );
+    }
+    query.reportedCount = { ...query.reportedCount, $gte: min };
+  }
+
+  if (post) {
+    if (!mongoose.Types.ObjectId.isValid(post)) {
+      return next(new AppError("post must be a valid post id", 400));
+    }
+    query.post = post;
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+  const sortOptions = {
+    reports: { reportedCount: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+  };
+
+  const [comments, totalCount] = await Promise.all([
+    Comment.find(query)
+      .populate("author", "username firstName lastName profileImage")
+      .populate("post", "title slug commentMode")
+      .populate("parentComment", "content author")
+      .populate("reports.user", "username firstName lastName")
+      .populate("moderatedBy", "username firstName lastName")
+      .sort(sortOptions[sortBy] || sortOptions.reports)
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Comment.countDocuments(query),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  ApiResponse.success(
+    res,
+    {
+      data: comments,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        totalPages,
+        hasMore: pageNum < totalPages,
+      },
+    },
+    "Moderation queue retrieved successfully",
+  );
+});
+
+// Approve, reject, hide or unhide one comment ({ action, note })
+const moderateComment = catchAsync(async (req, res, next) => {
+  const { action, note } = req.body;
+  if (!MODERATION_ACTIONS[action]) {
+    return next(
+      new AppError(
+        `action must be one of ${Object.keys(MODERATION_ACTIONS).join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const filter = { _id: req.params.commentId, isDeleted: false };
+  const wasVisible = await visibleIds(filter);
+
+  const comment = await Comment.findOneAndUpdate(
+    filter,
+    moderationUpdate(req, action, note),
+    { new: true, runValidators: true },
+  ).populate("author", "username firstName lastName profileImage");
+  if (!comment) {
+    return next(new AppError("Comment not found", 404));
+  }
+
+  await afterModeration([comment], wasVisible);
+  await logModeration(
+    req,
+    "comment_moderate",
+    `Moderator ${ACTION_LABELS[action]} a comment`,
+    `${action}: comment ${comment._id}`,
+    { postId: comment.post, commentId: comment._id, newValue: action },
+  );
+
+  ApiResponse.success(
+    res,
+    comment,
+    `Comment ${ACTION_LABELS[action]} successfully`,
+  );
+});
+
+// Apply one action to many comments ({ commentIds, action, note })
+const bulkModerateComments = catchAsync(async (req, res, next) => {
+  const { commentIds, action, note } = req.body;
+
+  if (!Array.isArray(commentIds) || commentIds.length === 0) {
+    return next(new AppError("commentIds must be a non-empty array", 400));
+  }
+  if (!commentIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return next(new AppError("commentIds must contain valid comment ids", 400));
+  }
+  if (!MODERATION_ACTIONS[action]) {
+    return next(
+      new AppError(
+        `action must be one of ${Object.keys(MODERATION_ACTIONS).join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const filter = { _id: { $in: commentIds }, isDeleted: false };
+  const wasVisible = await visibleIds(filter);
+  const result = await Comment.updateMany(
+    filter,
+    moderationUpdate(req, action, note),
+    {
+      runValidators: true,
+    },
+  );
+
+  const comments = await Comment.find(filter).populate(
+    "author",
+    "username firstName lastName profileImage",
+  );
+  await afterModeration(comments, wasVisible);
+  await logModeration(
+    req,
+    "comment_moderate",
+    "Moderator applied a bulk comment action",
+    `${action}: ${result.modifiedCount} comments`,
+    { newValue: action },
+  );
+
+  ApiResponse.success(
+    res,
+    { matched: result.matchedCount, modified: result.modifiedCount, action },
+    `${result.modifiedCount} comments updated successfully`,
+  );
+});
+
+// Open, pre-moderate or close comments on a post (author of the post or staff)
+const setCommentMode = catchAsync(async (req, res, next) => {
+  const { mode } = req.body;
+  if (!COMMENT_MODES.includes(mode)) {
+    return next(
+      new AppError(`mode must be one of ${COMMENT_MODES.join(", ")}`, 400),
+    );
+  }
+
+  const post = await Post.findById(req.params.id).select(
+    "author title commentMode",
+  );
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+  if (
+    req.user.role === "author" &&
+    post.author.toString() !== req.user._id.toString()
+  ) {
+    return next(
+      new AppError(
+        "You can only change comment settings of your own posts",
+        403,
+      ),
+    );
+  }
+
+  await Post.updateOne({ _id: post._id }, { commentMode: mode });
+
+  ApiResponse.success(
+    res,
+    { postId: post._id, commentMode: mode },
+    "Comment settings updated successfully",
+  );
+});
+
+module.exports = {
+  reportComment,
+  getModerationQueue,
+  moderateComment,
+  bulkModerateComments,
+  setCommentMode,
+};
@@ -0,0 +1,164 @@
+const Post = require("../models/Post");
+const PostEditLock = require("../models/PostEditLock");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username;
+
+const serializeLock = (lock) => ({
+  postId: lock.post,
+  lockedBy: {
+    _id: lock.user,
+    name: lock.userName,
+  },
+  acquiredAt: lock.acquiredAt,
+  expiresAt: lock.expiresAt,
+});
+
+// Tell everyone in the post room who is editing (lock = null when released)
+const broadcastLock = (postId, lock) => {
+  if (!global.io) return;
+  if (lock) {
+    global.io.to(`post_${postId}`).emit("editLockUpdate", {
+      postId,
+      locked: true,
+      ...serializeLock(lock),
+    });
+  } else {
+    global.io.to(`post_${postId}`).emit("editLockUpdate", {
+      postId,
+      locked: false,
+    });
+  }
+};
+
+const ensureCanEdit = async (req, next) => {
+  const post = await Post.findById(req.params.id).select("author isActive");
+  if (!post || !post.isActive) {
+    next(new AppError("Post not found", 404));
+    return null;
+  }
+  if (
+    req.user.role === "author" &&
+    post.author.toString() !== req.user._id.toString()
+  ) {
+    next(new AppError("You can only edit your own posts", 403));
+    return null;
+  }
+  return post;
+};
+
+// Current lock on a post (null when nobody is editing)
+const getLock = catchAsync(async (req, res) => {
+  const lock = await PostEditLock.findActive(req.params.id);
+
+  ApiResponse.success(
+    res,
+    lock ? { locked: true, ...serializeLock(lock) } : { locked: false },
+    "Edit lock status retrieved successfully",
+  );
+});
+
+// Acquire the edit lock (admins may take over with { force: true })
+const acquireLock = catchAsync(async (req, res, next) => {
+  const post = await ensureCanEdit(req, next);
+  if (!post) return;
+
+  const now = new Date();
+  const force = req.body?.force === true && req.user.role === "admin";
+
+  const filter = force
+    ? { post: post._id }
+    : {
+        post: post._id,
+        $or: [{ user: req.user._id }, { expiresAt: { $lte: now } }],
+      };
+
+  let lock;
+  try {
+    lock = await PostEditLock.findOneAndUpdate(
+      filter,
+      {
+        post: post._id,
+        user: req.user._id,
+        userName: displayName(req.user),
+        acquiredAt: now,
+        expiresAt: new Date(now.getTime() + PostEditLock.LOCK_TTL_MS),
+      },
+      { new: true, upsert: true },
+    );
+  } catch (error) {
+    // Unique index on post: someone else holds a valid lock
+    if (error.code === 11000) {
+      const current = await PostEditLock.findActive(post._id);
+      return ApiResponse.error(
+        res,
+        `This post is being edited by ${current?.userName || "another user"}`,
+        409,
+        current ? { locked: true, ...serializeLock(current) } : null,
+      );
+    }
+    throw error;
+  }
+
+  broadcastLock(post._id, lock);
+
+  ApiResponse.success(
+    res,
+    { locked: true, ...serializeLock(lock) },
+    "Edit lock acquired",
+  );
+});
+
+// Extend a lock the current user holds
+const heartbeatLock = catchAsync(async (req, res, next) => {
+  const lock = await PostEditLock.findOneAndUpdate(
+    {
+      post: req.params.id,
+      user: req.user._id,
+      expiresAt: { $gt: new Date() },
+    },
+    { expiresAt: new Date(Date.now() + PostEditLock.LOCK_TTL_MS) },
+    { new: true },
+  );
+
+  if (!lock) {
+    return next(
+      new AppError("You no longer hold the edit lock for this post", 409),
+    );
+  }
+
+  // Keep other editors' view of the lock (and its expiry) current
+  broadcastLock(lock.post, lock);
+
+  ApiResponse.success(
+    res,
+    { locked: true, ...serializeLock(lock) },
+    "Edit lock extended",
+  );
+});
+
+// Release the lock (holder, or an admin clearing someone else's lock)
+const releaseLock = catchAsync(async (req, res) => {
+  const filter = { post: req.params.id };
+  if (req.user.role !== "admin") {
+    filter.user = req.user._id;
+  }
+
+  const lock = await PostEditLock.findOneAndDelete(filter);
+
+  if (lock) {
+    broadcastLock(req.params.id, null);
+  }
+
+  ApiResponse.success(res, { locked: false }, "Edit lock released");
+});
+
+module.exports = {
+  getLock,
+  acquireLock,
+  heartbeatLock,
+  releaseLock,
+};
@@ -0,0 +1,201 @@
+const Follow = require("../models/Follow");
+const Activity = require("../models/Activity");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const followService = require("../services/follows");
+const { notify } = require("../services/notify");
+
+const validateType = (type, next) => {
+  if (!Follow.FOLLOW_TYPES.includes(type)) {
+    next(
+      new AppError(
+        `type must be one of ${Follow.FOLLOW_TYPES.join(", ")}`,
+        400,
+      ),
+    );
+    return false;
+  }
+  return true;
+};
+
+const logFollowActivity = async (req, type, targetType, resolved) => {
+  try {
+    await Activity.create({
+      user: req.user._id,
+      type,
+      description:
+        type === "user_follow"
+          ? `Followed a ${targetType}`
+          : `Unfollowed a ${targetType}`,
+      details: `${targetType}: ${resolved.target}`,
+      metadata: {
+        targetUserId: targetType === "author" ? resolved.target : undefined,
+        newValue: `${targetType}:${resolved.target}`,
+      },
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+// Follow an author, category, tag or location ({ type, target })
+const follow = catchAsync(async (req, res, next) => {
+  const { type, target } = req.body;
+  if (!validateType(type, next)) return;
+
+  const resolved = await followService.resolveTarget(type, target);
+  if (!resolved) {
+    return next(new AppError(`${type} not found`, 404));
+  }
+  if (type === "author" && resolved.target === String(req.user._id)) {
+    return next(new AppError("You cannot follow yourself", 400));
+  }
+
+  const existing = await Follow.findOne({
+    follower: req.user._id,
+    targetType: type,
+    target: resolved.target,
+  });
+  if (existing) {
+    return ApiResponse.success(
+      res,
+      { follow: existing, details: resolved.details },
+      `Already following this ${type}`,
+    );
+  }
+
+  let created;
+  try {
+    created = await Follow.create({
+      follower: req.user._id,
+      targetType: type,
+      target: resolved.target,
+    });
+  } catch (error) {
+    // Concurrent duplicate request
+    if (error.code === 11000) {
+      return next(new AppError(`Already following this ${type}`, 409));
+    }
+    throw error;
+  }
+
+  await logFollowActivity(req, "user_follow", type, resolved);
+
+  if (type === "author") {
+    notify(resolved.target, {
+      type: "new_follower",
+      message: `${req.user.firstName} ${req.user.lastName} started following you`,
+      from: {
+        _id: req.user._id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        username: req.user.username,
+        profileImage: req.user.profileImage,
+      },
+      timestamp: new Date(),
+    });
+  }
+
+  ApiResponse.success(
+    res,
+    { follow: created, details: resolved.details },
+    `Now following this ${type}`,
+    201,
+  );
+});
+
+// Unfollow (DELETE /follows/:type/:target)
+const unfollow = catchAsync(async (req, res, next) => {
+  const { type, target } = req.params;
+  if (!validateType(type, next)) return;
+
+  // Targets that were deleted or deactivated can still be unfollowed by key
+  const resolved = (await followService.resolveTarget(type, target)) || {
+    target,
+  };
+
+  const removed = await Follow.findOneAndDelete({
+    follower: req.user._id,
+    targetType: type,
+    target: resolved.target,
+  });
+  if (!removed) {
+    return next(new AppError(`You are not following this ${type}`, 404));
+  }
+
+  await logFollowActivity(req, "user_unfollow", type, resolved);
+
+  ApiResponse.success(res, null, `Unfollowed this ${type}`);
+});
+
+// Everything the current user follows (?type= to filter)
+const getMyFollows = catchAsync(async (req, res, next) => {
+  const { type } = req.query;
+  const query = { follower: req.user._id };
+  if (type) {
+    if (!validateType(type, next)) return;
+    query.targetType = type;
+  }
+
+  const follows = await Follow.find(query).sort({ createdAt: -1 }).lean();
+
+  ApiResponse.success(
+    res,
+    await followService.withTargetDetails(follows),
+    "Follows retrieved successfully",
+  );
+});
+
+// Whether the current user follows a target (?type=&target=)
+const getFollowStatus = catchAsync(async (req, res, next) => {
+  const { type, target } = req.query;
+  if (!validateType(type, next)) return;
+
+  const resolved = await followService.resolveTarget(type, target);
+  if (!resolved) {
+    return next(new AppError(`${type} not found`, 404));
+  }
+
+  const isFollowing = !!(await Follow.exists({
+    follower: req.user._id,
+    targetType: type,
+    target: resolved.target,
+  }));
+
+  ApiResponse.success(
+    res,
+    { type, target: resolved.target, isFollowing },
+    "Follow status retrieved successfully",
+  );
+});
+
+// Public: follower count of any target
+const getFollowerCount = catchAsync(async (req, res, next) => {
+  const { type, target } = req.params;
+  if (!validateType(type, next)) return;
+
+  const resolved = await followService.resolveTarget(type, target);
+  if (!resolved) {
+    return next(new AppError(`${type} not found`, 404));
+  }
+
+  const followerCount = await Follow.countDocuments({
+    targetType: type,
+    target: resolved.target,
+  });
+
+  ApiResponse.success(
+    res,
+    { type, target: resolved.target, followerCount },
+    "Follower count retrieved successfully",
+  );
+});
+
+module.exports = {
+  follow,
+  unfollow,
+  getMyFollows,
+  getFollowStatus,
+  getFollowerCount,
+};
@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const UserNotification = require("../models/UserNotification");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+
+const unreadCountFor = (userId) =>
+  UserNotification.countDocuments({ recipient: userId, isRead: false });
+
+// Keep the user's other tabs and devices in sync
+const emitUnreadCount = (userId, unreadCount) => {
+  if (global.io) {
+    global.io
+      .to(`user_${userId}`)
+      .emit("notificationsUpdated", { unreadCount });
+  }
+};
+
+// The current user's notifications, newest first (?unread=true, ?type=)
+const getInbox = catchAsync(async (req, res) => {
+  const { unread, type, page = 1, limit = 20 } = req.query;
+
+  const query = { recipient: req.user._id };
+  if (unread === "true") query.isRead = false;
+  if (type) query.type = String(type);
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+
+  const [notifications, totalCount, unreadCount] = await Promise.all([
+    UserNotification.find(query)
+      .populate("actor", "username firstName lastName profileImage")
+      .populate("post", "title slug featuredImage")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    UserNotification.countDocuments(query),
+    unreadCountFor(req.user._id),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  ApiResponse.success(
+    res,
+    {
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        totalPages,
+        hasMore: pageNum < totalPages,
+      },
+    },
+    "Notifications retrieved successfully",
+  );
+});
+
+const getUnreadCount = catchAsync(async (req, res) => {
+  const unreadCount = await unreadCountFor(req.user._id);
+  ApiResponse.success(
+    res,
+    { unreadCount },
+    "Unread count retrieved successfully",
+  );
+});
+
+const markAsRead = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  const notification = await UserNotification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  const unreadCount = await unreadCountFor(req.user._id);
+  emitUnreadCount(req.user._id, unreadCount);
+
+  ApiResponse.success(
+    res,
+    { notification, unreadCount },
+    "Notification marked as read",
+  );
+});
+
+const markAllAsRead = catchAsync(async (req, res) => {
+  const result = await UserNotification.updateMany(
+    { recipient: req.user._id, isRead: false },
+    { isRead: true, readAt: new Date() },
+  );
+
+  emitUnreadCount(req.user._id, 0);
+
+  ApiResponse.success(
+    res,
+    { modified: result.modifiedCount, unreadCount: 0 },
+    "All notifications marked as read",
+  );
+});
+
+const deleteNotification = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  const notification = await UserNotification.findOneAndDelete({
+    _id: req.params.id,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    return next(new AppError("Notification not found", 404));
+  }
+
+  const unreadCount = await unreadCountFor(req.user._id);
+  if (!notification.isRead) emitUnreadCount(req.user._id, unreadCount);
+
+  ApiResponse.success(
+    res,
+    { unreadCount },
+    "Notification deleted successfully",
+  );
+});
+
+module.exports = {
+  getInbox,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+};
@@ -0,0 +1,333 @@
+const Post = require("../models/Post");
+const LiveBlogEntry = require("../models/LiveBlogEntry");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+
+const STAFF_ROLES = ["admin", "moderator", "author"];
+const AUTHOR_FIELDS = "username firstName lastName profileImage";
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const normalizeImage = (image) => {
+  if (!image || !image.url) return undefined;
+  return {
+    url: String(image.url).trim(),
+    alt: String(image.alt || "").trim(),
+    caption: String(image.caption || "").trim(),
+  };
+};
+
+// Load a post the current staff member may add live entries to
+const loadStaffPost = async (req, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    next(new AppError("Post not found", 404));
+    return null;
+  }
+  if (
+    req.user.role === "author" &&
+    post.author.toString() !== req.user._id.toString()
+  ) {
+    next(
+      new AppError("You can only update live coverage of your own posts", 403),
+    );
+    return null;
+  }
+  return post;
+};
+
+// Admin/moderator can change any entry, authors only their own
+const canChangeEntry = (user, entry) =>
+  ["admin", "moderator"].includes(user.role) ||
+  entry.author.toString() === user._id.toString();
+
+const emitToPost = (postId, event, payload) => {
+  if (global.io) {
+    global.io.to(`post_${postId}`).emit(event, { postId, ...payload });
+  }
+};
+
+// Turn live blog mode on/off or mark the story as ended
+const setLiveMode = catchAsync(async (req, res, next) => {
+  const post = await loadStaffPost(req, next);
+  if (!post) return;
+
+  const { enabled, status } = req.body;
+
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return next(new AppError("enabled must be a boolean", 400));
+  }
+  if (status !== undefined && !["live", "ended"].includes(status)) {
+    return next(new AppError("status must be 'live' or 'ended'", 400));
+  }
+
+  if (enabled !== undefined) {
+    post.liveBlog.enabled = enabled;
+    if (enabled && !post.liveBlog.startedAt) {
+      post.liveBlog.startedAt = new Date();
+    }
+  }
+  if (status !== undefined) {
+    post.liveBlog.status = status;
+    post.liveBlog.endedAt = status === "ended" ? new Date() : undefined;
+  }
+
+  await post.save();
+
+  emitToPost(post._id, "liveBlogStatus", { liveBlog: post.liveBlog });
+
+  ApiResponse.success(res, post.liveBlog, "Live blog settings updated");
+});
+
+// Append a new entry and push it to readers
+const addEntry = catchAsync(async (req, res, next) => {
+  const post = await loadStaffPost(req, next);
+  if (!post) return;
+
+  const text = String(req.body.text || "").trim();
+  if (!text) {
+    return next(new AppError("Entry text is required", 400));
+  }
+
+  if (post.liveBlog.status === "ended") {
+    return next(new AppError("Live coverage of this post has ended", 400));
+  }
+
+  const entry = await LiveBlogEntry.create({
+    post: post._id,
+    author: req.user._id,
+    text,
+    image: normalizeImage(req.body.image),
+    isPinned: req.body.isPinned === true,
+    postedAt: parseDate(req.body.postedAt) || new Date(),
+  });
+
+  // First entry switches the post into live blog mode
+  const liveUpdate = {
+    "liveBlog.enabled": true,
+    "liveBlog.lastEntryAt": entry.postedAt,
+    $inc: { "liveBlog.entryCount": 1 },
+  };
+  if (!post.liveBlog.startedAt) {
+    liveUpdate["liveBlog.startedAt"] = entry.postedAt;
+  }
+  await Post.updateOne({ _id: post._id }, liveUpdate);
+
+  await entry.populate("author", AUTHOR_FIELDS);
+
+  emitToPost(post._id, "liveEntryAdded", { entry });
+
+  ApiResponse.success(res, entry, "Live entry added successfully", 201);
+});
+
+// Edit an entry's text, image or pinned flag
+const updateEntry = catchAsync(async (req, res, next) => {
+  const entry = await LiveBlogEntry.findOne({
+    _id: req.params.entryId,
+    post: req.params.id,
+  });
+
+  if (!entry) {
+    return next(new AppError("Live entry not found", 404));
+  }
+  if (!canChangeEntry(req.user, entry)) {
+    return next(new AppError("You can only edit your own live entries", 403));
+  }
+
+  const { text, image, isPinned, postedAt } = req.body;
+
+  if (text !== undefined) {
+    const trimmed = String(text || "").trim();
+    if (!trimmed) {
+      return next(new AppError("Entry text cannot be empty", 400));
+    }
+    entry.text = trimmed;
+  }
+  if (image !== undefined) {
+    entry.image = normalizeImage(image);
+  }
+  if (isPinned !== undefined) {
+    if (typeof isPinned !== "boolean") {
+      return next(new AppError("isPinned must be a boolean", 400));
+    }
+    entry.isPinned = isPinned;
+  }
+  if (postedAt !== undefined) {
+    const date = parseDate(postedAt);
+    if (!date) {
+      return next(new AppError("postedAt must be a valid date", 400));
+    }
+    entry.postedAt = date;
+  }
+
+  await entry.save();
+  await entry.populate("author", AUTHOR_FIELDS);
+
+  emitToPost(req.params.id, "liveEntryUpdated", { entry });
+
+  ApiResponse.success(res, entry, "Live entry updated successfully");
+});
+
+// Delete an entry
+const deleteEntry = catchAsync(async (req, res, next) => {
+  const entry = await LiveBlogEntry.findOne({
+    _id: req.params.entryId,
+    post: req.params.id,
+  });
+
+  if (!entry) {
+    return next(new AppError("Live entry not found", 404));
+  }
+  if (!canChangeEntry(req.user, entry)) {
+    return next(new AppError("You can only delete your own live entries", 403));
+  }
+
+  await entry.deleteOne();
+  await Post.updateOne(
+    { _id: req.params.id, "liveBlog.entryCount": { $gt: 0 } },
+    { $inc: { "liveBlog.entryCount": -1 } },
+  );
+
+  emitToPost(req.params.id, "liveEntryDeleted", { entryId: entry._id });
+
+  ApiResponse.success(res, null, "Live entry deleted successfully");
+});
+
+// Cursors are "<ISO date>_<entry id>" so entries with the same timestamp are
+// not skipped; a bare ISO date is accepted as well
+const encodeCursor = (date, id) => `${new Date(date).toISOString()}_${id}`;
+
+const parseCursor = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  const separator = text.lastIndexOf("_");
+  const id = separator > 0 ? text.slice(separator + 1) : null;
+  if (id && /^[0-9a-fA-F]{24}$/.test(id)) {
+    const date = parseDate(text.slice(0, separator));
+    return date ? { date, id } : null;
+  }
+  const date = parseDate(text);
+  return date ? { date, id: null } : null;
+};
+
+// Filter for entries after (direction 1) or before (-1) a cursor on a date field
+const cursorFilter = (field, cursor, direction) => {
+  const op = direction > 0 ? "$gt" : "$lt";
+  if (!cursor.id) return { [field]: { [op]: cursor.date } };
+  return {
+    $or: [
+      { [field]: { [op]: cursor.date } },
+      { [field]: cursor.date, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+// Public: entries newest first (by postedAt).
+// ?before=<nextCursor> pages back through older entries.
+// ?since=<latestCursor> returns entries created after the cursor, oldest
+// first, so polling clients page forward (while hasMore) without gaps. This
+// cursor follows createdAt, not the editable postedAt, so backdated entries
+// are still delivered.
+const getEntries = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { since, before, limit = 20 } = req.query;
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+  const query = isObjectId
+    ? { _id: id, isActive: true }
+    : { slug: id, isActive: true };
+  if (!req.user || !STAFF_ROLES.includes(req.user.role)) {
+    query.status = "published";
+    query.isVisible = { $ne: false };
+  }
+
+  const post = await Post.findOne(query).select("title slug liveBlog").lean();
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const sinceCursor = parseCursor(since);
+  const beforeCursor = parseCursor(before);
+  if ((since && !sinceCursor) || (before && !beforeCursor)) {
+    return next(new AppError("since and before must be valid cursors", 400));
+  }
+  if (sinceCursor && beforeCursor) {
+    return next(new AppError("Use either since or before, not both", 400));
+  }
+
+  let filter = { post: post._id };
+  let sort = { postedAt: -1, _id: -1 };
+  if (sinceCursor) {
+    filter = { ...filter, ...cursorFilter("createdAt", sinceCursor, 1) };
+    sort = { createdAt: 1, _id: 1 };
+  } else if (beforeCursor) {
+    filter = { ...filter, ...cursorFilter("postedAt", beforeCursor, -1) };
+  }
+
+  const list = await LiveBlogEntry.find(filter)
+    .populate("author", AUTHOR_FIELDS)
+    .sort(sort)
+    .limit(limitNum + 1)
+    .lean();
+
+  const hasMore = list.length > limitNum;
+  const entries = hasMore ? list.slice(0, limitNum) : list;
+
+  // Pinned entries are sent with the first page so readers always see them
+  const pinned =
+    !sinceCursor && !beforeCursor
+      ? await LiveBlogEntry.find({ post: post._id, isPinned: true })
+          .populate("author", AUTHOR_FIELDS)
+          .sort({ postedAt: -1 })
+          .lean()
+      : [];
+
+  let latestCursor = null;
+  if (sinceCursor) {
+    const last = entries[entries.length - 1];
+    latestCursor = last ? encodeCursor(last.createdAt, last._id) : since;
+  } else {
+    // The newest entry may not be on this page when it was backdated
+    const newest = await LiveBlogEntry.findOne({ post: post._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("createdAt")
+      .lean();
+    latestCursor = newest ? encodeCursor(newest.createdAt, newest._id) : null;
+  }
+
+  const lastEntry = entries[entries.length - 1];
+
+  ApiResponse.success(
+    res,
+    {
+      post: { _id: post._id, title: post.title, slug: post.slug },
+      liveBlog: post.liveBlog,
+      entries,
+      pinned,
+      hasMore,
+      // Pass as ?before= for the next (older) page
+      nextCursor:
+        hasMore && !sinceCursor
+          ? encodeCursor(lastEntry.postedAt, lastEntry._id)
+          : null,
+      // Pass as ?since= to poll for newer entries (again right away while
+      // hasMore is true)
+      latestCursor,
+    },
+    "Live entries retrieved successfully",
+  );
+});
+
+module.exports = {
+  setLiveMode,
+  addEntry,
+  updateEntry,
+  deleteEntry,
+  getEntries,
+};
@@ -0,0 +1,435 @@
+const mongoose = require("mongoose");
+const Location = require("../models/Location");
+const Post = require("../models/Post");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const locationResolver = require("../services/locationResolver");
+
+const PUBLIC_FIELDS =
+  "name nameHi slug type parent ancestors aliases coordinates";
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const normalizeAliases = (aliases) =>
+  Array.isArray(aliases)
+    ? [...new Set(aliases.map(locationResolver.normalize).filter(Boolean))]
+    : [];
+
+const normalizeCoordinates = (coordinates) => {
+  if (
+    !coordinates ||
+    coordinates.lat === undefined ||
+    coordinates.lng === undefined
+  ) {
+    return undefined;
+  }
+  return { lat: Number(coordinates.lat), lng: Number(coordinates.lng) };
+};
+
+// Find a location by id or slug
+const findLocation = (idOrSlug, extraFilter = {}) =>
+  mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? Location.findOne({ _id: idOrSlug, ...extraFilter })
+    : Location.findOne({
+        slug: String(idOrSlug).toLowerCase(),
+        ...extraFilter,
+      });
+
+// Check the parent is one level above `type`; returns { parent } or { error }
+const loadParent = async (type, parentId) => {
+  const expectedType = Location.parentTypeFor(type);
+
+  if (!expectedType) {
+    return parentId
+      ? { error: "A state cannot have a parent" }
+      : { parent: null };
+  }
+  if (!parentId) {
+    return { error: `A ${type} needs a parent ${expectedType}` };
+  }
+
+  const parent = await Location.findById(parentId)
+    .select("type ancestors")
+    .lean();
+  if (!parent) {
+    return { error: "Parent location not found" };
+  }
+  if (parent.type !== expectedType) {
+    return { error: `The parent of a ${type} must be a ${expectedType}` };
+  }
+  return { parent };
+};
+
+// Nest locations under their parents
+const buildTree = (locations) => {
+  const byId = new Map(
+    locations.map((l) => [String(l._id), { ...l, children: [] }]),
+  );
+  const roots = [];
+  byId.forEach((location) => {
+    const parent = location.parent && byId.get(String(location.parent));
+    if (parent) parent.children.push(location);
+    else roots.push(location);
+  });
+  return roots;
+};
+
+// Public: active locations (?type=, ?parent=<id|slug>, ?q= search, ?tree=true)
+const getLocations = catchAsync(async (req, res, next) => {
+  const { type, parent, q, tree } = req.query;
+
+  const query = { isActive: true };
+  if (type) {
+    if (!Location.LOCATION_TYPES.includes(type)) {
+      return next(
+        new AppError(
+          `type must be one of ${Location.LOCATION_TYPES.join(", ")}`,
+          400,
+        ),
+      );
+    }
+    query.type = type;
+  }
+  if (parent) {
+    const parentLocation = await findLocation(parent).select("_id").lean();
+    if (!parentLocation) {
+      return next(new AppError("Parent location not found", 404));
+    }
+    query.parent = parentLocation._id;
+  }
+  if (q && String(q).trim()) {
+    const term = new RegExp(`^${escapeRegex(String(q).trim())}`, "i");
+    query.$or = [{ name: term }, { nameHi: term }, { aliases: term }];
+  }
+
+  const locations = await Location.find(query)
+    .select(PUBLIC_FIELDS)
+    .sort({ name: 1 })
+    .limit(tree === "true" ? 0 : 500)
+    .lean();
+
+  ApiResponse.success(
+    res,
+    tree === "true" ? buildTree(locations) : locations,
+    "Locations retrieved successfully",
+  );
+});
+
+// Public: map a legacy location string (or id/slug) to its managed location
+const resolveLocation = catchAsync(async (req, res, next) => {
+  const { q } = req.query;
+  if (!q || !String(q).trim()) {
+    return next(new AppError("Query parameter 'q' is required", 400));
+  }
+
+  const location = await locationResolver.resolve(q);
+
+  ApiResponse.success(
+    res,
+    { query: q, location },
+    location ? "Location resolved successfully" : "No matching location",
+  );
+});
+
+// Public: single location with its ancestors and direct children
+const getLocation = catchAsync(async (req, res, next) => {
+  const location = await findLocation(req.params.id, { isActive: true })
+    .select(PUBLIC_FIELDS)
+    .populate("ancestors", "name nameHi slug type")
+    .lean();
+
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const children = await Location.find({ parent: location._id, isActive: true })
+    .select("name nameHi slug type")
+    .sort({ name: 1 })
+    .lean();
+
+  ApiResponse.success(
+    res,
+    { ...location, children },
+    "Location retrieved successfully",
+  );
+});
+
+// Admin: all locations including inactive ones
+const getAdminLocations = catchAsync(async (req, res) => {
+  const {
+    page = 1,
+    limit = 50,
+    type,
+    parent,
+    search = "",
+    status = "all",
+  } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 50), 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {};
+  if (type) query.type = type;
+  if (parent && mongoose.Types.ObjectId.isValid(parent)) query.parent = parent;
+  if (status === "active") query.isActive = true;
+  if (status === "inactive") query.isActive = false;
+  if (String(search).trim()) {
+    const term = new RegExp(escapeRegex(String(search).trim()), "i");
+    query.$or = [
+      { name: term },
+      { nameHi: term },
+      { slug: term },
+      { aliases: term },
+    ];
+  }
+
+  const [locations, totalCount] = await Promise.all([
+    Location.find(query)
+      .populate("parent", "name nameHi slug type")
+      .sort({ type: 1, name: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Location.countDocuments(query),
+  ]);
+
+  const counts = await Post.aggregate([
+    { $match: { locationRef: { $in: locations.map((l) => l._id) } } },
+    { $group: { _id: "$locationRef", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+
+  ApiResponse.success(
+    res,
+    {
+      data: locations.map((l) => ({
+        ...l,
+        postCount: countById.get(String(l._id)) || 0,
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + locations.length < totalCount,
+      },
+    },
+    "Locations retrieved successfully",
+  );
+});
+
+const createLocation = catchAsync(async (req, res, next) => {
+  const {
+    name,
+    nameHi,
+    slug,
+    type,
+    parent: parentId,
+    aliases,
+    coordinates,
+  } = req.body;
+
+  if (!Location.LOCATION_TYPES.includes(type)) {
+    return next(
+      new AppError(
+        `type must be one of ${Location.LOCATION_TYPES.join(", ")}`,
+        400,
+      ),
+    );
+  }
+
+  const { parent, error } = await loadParent(type, parentId);
+  if (error) return next(new AppError(error, 400));
+
+  const locationSlug = locationResolver.slugify(slug || name);
+  if (!locationSlug) {
+    return next(new AppError("A slug (or an English name) is required", 400));
+  }
+  if (await Location.exists({ slug: locationSlug })) {
+    return next(new AppError(`Location '${locationSlug}' already exists`, 409));
+  }
+
+  const location = await Location.create({
+    name,
+    nameHi,
+    slug: locationSlug,
+    type,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    aliases: normalizeAliases(aliases),
+    coordinates: normalizeCoordinates(coordinates),
+    createdBy: req.user._id,
+  });
+
+  locationResolver.invalidate();
+
+  ApiResponse.success(res, location, "Location created successfully", 201);
+});
+
+// Update a location; moving it re-parents its whole subtree
+const updateLocation = catchAsync(async (req, res, next) => {
+  const location = await Location.findById(req.params.id);
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const {
+    name,
+    nameHi,
+    slug,
+    type,
+    parent: parentId,
+    aliases,
+    coordinates,
+    isActive,
+  } = req.body;
+
+  if (name !== undefined) location.name = name;
+  if (nameHi !== undefined) location.nameHi = nameHi;
+  if (aliases !== undefined) location.aliases = normalizeAliases(aliases);
+  if (coordinates !== undefined)
+    location.coordinates = normalizeCoordinates(coordinates);
+  if (isActive !== undefined) location.isActive = isActive;
+
+  if (slug !== undefined) {
+    const newSlug = locationResolver.slugify(slug);
+    if (!newSlug) {
+      return next(new AppError("Slug cannot be empty", 400));
+    }
+    if (
+      newSlug !== location.slug &&
+      (await Location.exists({ slug: newSlug, _id: { $ne: location._id } }))
+    ) {
+      return next(new AppError(`Location '${newSlug}' already exists`, 409));
+    }
+    location.slug = newSlug;
+  }
+
+  const hierarchyChanged = type !== undefined || parentId !== undefined;
+  if (hierarchyChanged) {
+    const newType = type !== undefined ? type : location.type;
+    if (!Location.LOCATION_TYPES.includes(newType)) {
+      return next(
+        new AppError(
+          `type must be one of ${Location.LOCATION_TYPES.join(", ")}`,
+          400,
+        ),
+      );
+    }
+
+    const newParentId = parentId !== undefined ? parentId : location.parent;
+    const { parent, error } = await loadParent(newType, newParentId);
+    if (error) return next(new AppError(error, 400));
+
+    if (
+      parent &&
+      parent.ancestors.some((a) => String(a) === String(location._id))
+    ) {
+      return next(
+        new AppError(
+          "A location cannot be moved under its own descendant",
+          400,
+        ),
+      );
+    }
+
+    // Children must still sit exactly one level below
+    if (newType !== location.type) {
+      const childType =
+        Location.LOCATION_TYPES[Location.LOCATION_TYPES.indexOf(newType) + 1];
+      const mismatched = await Location.exists({
+        parent: location._id,
+        type: { $ne: childType },
+      });
+      if (mismatched) {
+        return next(
+          new AppError(
+            "Changing the type would break the hierarchy of its sub-locations",
+            400,
+          ),
+        );
+      }
+    }
+
+    location.type = newType;
+    location.parent = parent ? parent._id : null;
+    location.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  }
+
+  await location.save();
+
+  if (hierarchyChanged) {
+    // Rebuild ancestor paths of all descendants, top-down
+    const descendants = await Location.find({ ancestors: location._id })
+      .select("parent ancestors")
+      .lean();
+    const pathById = new Map([
+      [String(location._id), location.ancestors.concat(location._id)],
+    ]);
+    const pending = [...descendants];
+    const updates = [];
+    while (pending.length) {
+      const index = pending.findIndex((d) => pathById.has(String(d.parent)));
+      if (index === -1) break;
+      const [descendant] = pending.splice(index, 1);
+      const ancestors = pathById.get(String(descendant.parent));
+      pathById.set(String(descendant._id), ancestors.concat(descendant._id));
+      updates.push({
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors } },
+        },
+      });
+    }
+    if (updates.length) await Location.bulkWrite(updates);
+  }
+
+  // Keep the display name on linked posts in sync
+  if (name !== undefined) {
+    await Post.updateMany(
+      { locationRef: location._id },
+      { $set: { location: location.name } },
+    );
+  }
+
+  locationResolver.invalidate();
+
+  ApiResponse.success(res, location, "Location updated successfully");
+});
+
+// Delete a location without sub-locations or posts (deactivate it otherwise)
+const deleteLocation = catchAsync(async (req, res, next) => {
+  const location = await Location.findById(req.params.id);
+  if (!location) {
+    return next(new AppError("Location not found", 404));
+  }
+
+  const [children, posts] = await Promise.all([
+    Location.countDocuments({ parent: location._id }),
+    Post.countDocuments({ locationRef: location._id }),
+  ]);
+  if (children > 0 || posts > 0) {
+    return ApiResponse.error(
+      res,
+      "Location is still in use. Deactivate it instead or move its sub-locations and posts first.",
+      409,
+      { children, posts },
+    );
+  }
+
+  await location.deleteOne();
+  locationResolver.invalidate();
+
+  ApiResponse.success(res, null, "Location deleted successfully");
+});
+
+module.exports = {
+  getLocations,
+  resolveLocation,
+  getLocation,
+  getAdminLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+};
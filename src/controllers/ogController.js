@@ -1,33 +1,7 @@
 const Post = require("../models/Post");
 const catchAsync = require("../utils/catchAsync");
 const { AppError } = require("../utils/appError");
-
-// Detect if request is from a bot/crawler
-const isBot = (userAgent) => {
-  if (!userAgent) return false;
-  const botPatterns = [
-    /facebookexternalhit/i,
-    /Facebot/i,
-    /Twitterbot/i,
-    /LinkedInBot/i,
-    /WhatsApp/i,
-    /Googlebot/i,
-    /bingbot/i,
-    /Slackbot/i,
-    /Applebot/i,
-    /Discordbot/i,
-    /TelegramBot/i,
-    /SkypeUriPreview/i,
-    /Slurp/i,
-    /DuckDuckBot/i,
-    /Baiduspider/i,
-    /YandexBot/i,
-    /Sogou/i,
-    /Exabot/i,
-    /ia_archiver/i,
-  ];
-  return botPatterns.some((pattern) => pattern.test(userAgent));
-};
+const isBot = require("../utils/isBot");
 
 // Generate Open Graph HTML
 const generateOGHTML = (post, baseUrl) => {
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const { parseDateRange } = require("../utils/dateRange");
+const postAnalytics = require("../services/postAnalytics");
+const viewTracker = require("../services/viewTracker");
+
+// Analytics for one post (authors their own posts, admin/moderator any post).
+// ?format=csv downloads the daily series.
+const getPostAnalytics = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const post = await Post.findById(req.params.id)
+    .select(
+      "title slug author status publishedAt viewCount likeCount commentCount shareCount",
+    )
+    .lean();
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (
+    req.user.role === "author" &&
+    post.author.toString() !== req.user._id.toString()
+  ) {
+    return next(
+      new AppError("You can only view analytics of your own posts", 403),
+    );
+  }
+
+  const range = parseDateRange(req.query);
+
+  // Counts written since the last flush should show up immediately
+  await viewTracker.flush();
+
+  const analytics = await postAnalytics.getPostAnalytics(post._id, range);
+
+  if (req.query.format === "csv") {
+    const filename = `post-${post.slug || post._id}-${analytics.range.from}-${analytics.range.to}.csv`;
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.attachment(filename);
+    return res.send(postAnalytics.toCsv(analytics));
+  }
+
+  ApiResponse.success(
+    res,
+    {
+      post: {
+        _id: post._id,
+        title: post.title,
+        slug: post.slug,
+        status: post.status,
+        publishedAt: post.publishedAt,
+      },
+      lifetime: {
+        views: post.viewCount || 0,
+        likes: post.likeCount || 0,
+        comments: post.commentCount || 0,
+        shares: post.shareCount || 0,
+      },
+      ...analytics,
+    },
+    "Post analytics retrieved successfully",
+  );
+});
+
+// Reader reports how far they read (progress: 0-100); counted once per visitor
+const trackReadThrough = catchAsync(async (req, res, next) => {
+  const progress = Number(req.body?.progress);
+  if (!Number.isFinite(progress) || progress < 0 || progress > 100) {
+    return next(
+      new AppError("progress must be a number between 0 and 100", 400),
+    );
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const post = await Post.findOne({ _id: req.params.id, isActive: true })
+    .select("status author")
+    .lean();
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const recorded = viewTracker.trackReadThrough(req, post, progress);
+
+  ApiResponse.success(res, { recorded }, "Read-through recorded");
+});
+
+module.exports = {
+  getPostAnalytics,
+  trackReadThrough,
+};
@@ -4,10 +4,31 @@ const Like = require("../models/Like");
 const Comment = require("../models/Comment");
 const Activity = require("../models/Activity");
 const Bookmark = require("../models/Bookmark");
+const PostRevision = require("../models/PostRevision");
+const Location = require("../models/Location");
+const StorySeries = require("../models/StorySeries");
 const mongoose = require("mongoose");
 const catchAsync = require("../utils/catchAsync");
 const { AppError } = require("../utils/appError");
 const ApiResponse = require("../utils/apiResponse");
+const {
+  canTransition,
+  notifyAuthor,
+} = require("../services/editorialWorkflow");
+const contentBlocksService = require("../services/contentBlocks");
+const taxonomy = require("../services/taxonomy");
+const locationResolver = require("../services/locationResolver");
+const relatedPosts = require("../services/relatedPosts");
+const personalFeed = require("../services/personalFeed");
+const followService = require("../services/follows");
+const trending = require("../services/trending");
+const viewTracker = require("../services/viewTracker");
+const postAnalytics = require("../services/postAnalytics");
+const commentFilter = require("../services/commentFilter");
+const mentions = require("../services/mentions");
+const { notify } = require("../services/notify");
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
 // Helper functions for activity logging
 const extractBrowserInfo = (userAgent) => {
@@ -132,6 +153,16 @@ const addLikeStatusToPosts = async (posts, userId) => {
   }
 };
 
+// Map a location string or id to the stored pair: managed locations use their
+// canonical name, unknown strings are kept as free text
+const resolvePostLocation = async (value) => {
+  const text = String(value || "").trim() || "Kishangarh Renwal";
+  const location = await locationResolver.resolve(text);
+  return location
+    ? { location: location.name, locationRef: location._id }
+    : { location: text, locationRef: null };
+};
+
 // Get distinct location options for filters / creation UI
 // - Public users: only published & active posts
 // - Staff (admin/mod/author): include drafts too (so new locations show up immediately after creation)
@@ -165,16 +196,26 @@ const getLocationOptions = catchAsync(async (req, res, next) => {
 
   const locations = rows.map((r) => r._id);
 
+  // Managed regions above village level, for the region (?region=) filter
+  const regions = await Location.find({
+    isActive: true,
+    type: { $in: ["state", "district", "tehsil"] },
+  })
+    .select("name nameHi slug type parent")
+    .sort({ name: 1 })
+    .lean();
+
   ApiResponse.success(
     res,
-    { locations: ["All", ...locations] },
+    { locations: ["All", ...locations], regions },
     "Location options retrieved successfully",
   );
 });
 
 // Get all posts (public)
 const getAllPosts = catchAsync(async (req, res, next) => {
-  const { page = 1, limit = 8, location, noCount, locationMode } = req.query;
+  const { page = 1, limit = 8, location, region, noCount, locationMode } =
+    req.query;
 
   const pageNum = Math.max(1, parseInt(page, 10) || 1);
   const rawLimit = parseInt(limit, 10) || 8;
@@ -214,6 +255,25 @@ const getAllPosts = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Region filter: a managed location (id, slug, name or alias) and everything
+  // below it, e.g. a district returns posts from all its tehsils and villages.
+  // Posts not yet linked to a location are matched by name.
+  let regionKey = null;
+  if (region && region !== "All" && region !== "all") {
+    const regionLocation = await locationResolver.resolve(region);
+    if (!regionLocation) {
+      return next(new AppError("Region not found", 404));
+    }
+    const scope = await locationResolver.getRegionScope(regionLocation);
+    baseFilter.$and.push({
+      $or: [
+        { locationRef: { $in: scope.ids } },
+        { locationRef: null, location: { $in: scope.namePatterns } },
+      ],
+    });
+    regionKey = String(regionLocation._id);
+  }
+
   // Small in-memory cache for anonymous feed traffic (very common on first load).
   // Safe because it only applies when there is no authenticated personalization.
   const canCache = !req.user;
@@ -222,6 +282,7 @@ const getAllPosts = catchAsync(async (req, res, next) => {
         page: pageNum,
         limit: limitNum,
         location: baseFilter.location || "All",
+        region: regionKey,
         noCount: shouldSkipCount,
         locationMode: String(locationMode || ""),
       })}`
@@ -307,174 +368,119 @@ const getAllPosts = catchAsync(async (req, res, next) => {
   );
 });
 
-// Get trending posts
-const getTrendingPosts = catchAsync(async (req, res, next) => {
-  const {
-    timeFilter = "week",
-    sortBy = "trending",
-    limit = 20,
-    search,
-  } = req.query;
+// "For You" feed ranked by the reader's activity (protected)
+const getPersonalFeed = catchAsync(async (req, res) => {
+  const { page = 1, limit = 10, refresh } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
+  const skip = (pageNum - 1) * limitNum;
 
-  // Calculate date range based on time filter
-  let dateFilter = {};
-  const now = new Date();
+  // Page 1 with ?refresh=true re-ranks instead of using the cached ranking
+  const feed = await personalFeed.getPersonalFeed(req.user._id, {
+    refresh: pageNum === 1 && String(refresh).toLowerCase() === "true",
+  });
 
-  switch (timeFilter) {
-    case "today":
-      dateFilter = { createdAt: { $gte: new Date(now.setHours(0, 0, 0, 0)) } };
-      break;
-    case "week":
-      dateFilter = {
-        createdAt: { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) },
-      };
-      break;
-    case "month":
-      dateFilter = {
-        createdAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) },
-      };
-      break;
-    case "all":
-    default:
-      dateFilter = {};
-      break;
-  }
+  const pagePosts = feed.posts.slice(skip, skip + limitNum);
+  const postsWithLikeStatus = await addLikeStatusToPosts(pagePosts, req.user._id);
 
-  // Build search filter
-  let searchFilter = {};
-  if (search) {
-    searchFilter = {
-      $or: [
-        { title: { $regex: search, $options: "i" } },
-        { content: { $regex: search, $options: "i" } },
-        { excerpt: { $regex: search, $options: "i" } },
-        { tags: { $in: [new RegExp(search, "i")] } },
-      ],
-    };
+  ApiResponse.success(
+    res,
+    {
+      data: postsWithLikeStatus || pagePosts,
+      personalized: feed.personalized,
+      source: feed.personalized ? "personal" : "trending",
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount: feed.posts.length,
+        hasMore: skip + pagePosts.length < feed.posts.length,
+      },
+    },
+    "Personal feed retrieved successfully",
+  );
+});
+
+// Posts from followed authors, categories, tags and locations (protected)
+const getFollowingFeed = catchAsync(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
+  const skip = (pageNum - 1) * limitNum;
+
+  const followingFilter = await followService.getFollowingFilter(req.user._id);
+  if (!followingFilter) {
+    return ApiResponse.success(
+      res,
+      {
+        data: [],
+        pagination: { page: pageNum, limit: limitNum, totalCount: 0, hasMore: false },
+      },
+      "You are not following anything yet",
+    );
   }
 
-  // Combine filters
-  const matchFilter = {
+  const filter = {
     status: "published",
-    ...dateFilter,
-    ...searchFilter,
+    isActive: true,
+    isVisible: { $ne: false },
+    publishedAt: { $lte: new Date() },
+    ...followingFilter,
   };
 
-  try {
-    let posts;
-
-    if (sortBy === "trending") {
-      // Calculate trending score using aggregation
-      posts = await Post.aggregate([
-        { $match: matchFilter },
-        {
-          $addFields: {
-            likesCount: { $size: { $ifNull: ["$likes", []] } },
-            commentsCount: { $size: { $ifNull: ["$comments", []] } },
-            sharesCount: { $ifNull: ["$shares", 0] },
-            viewsCount: { $ifNull: ["$views", 0] },
-            // Time decay factor (newer posts get higher score)
-            timeFactor: {
-              $divide: [
-                { $subtract: [new Date(), "$createdAt"] },
-                1000 * 60 * 60 * 24, // Convert to days
-              ],
-            },
-          },
-        },
-        {
-          $addFields: {
-            trendingScore: {
-              $add: [
-                "$likesCount",
-                { $multiply: ["$commentsCount", 2] },
-                { $multiply: ["$sharesCount", 3] },
-                { $multiply: ["$viewsCount", 0.1] },
-                // Boost recent posts
-                { $divide: [100, { $add: ["$timeFactor", 1] }] },
-              ],
-            },
-          },
-        },
-        { $sort: { trendingScore: -1 } },
-        { $limit: parseInt(limit) },
-        {
-          $lookup: {
-            from: "users",
-            localField: "author",
-            foreignField: "_id",
-            as: "author",
-          },
-        },
-        { $unwind: "$author" },
-        {
-          $project: {
-            title: 1,
-            excerpt: 1,
-            featuredImage: 1,
-            slug: 1,
-            tags: 1,
-            category: 1,
-            status: 1,
-            createdAt: 1,
-            publishedAt: 1,
-            updatedAt: 1,
-            trendingScore: 1,
-            "author._id": 1,
-            "author.firstName": 1,
-            "author.lastName": 1,
-            "author.username": 1,
-            "author.profileImage": 1,
-          },
-        },
-      ]);
-    } else {
-      // Simple sorting for other options
-      let sortOption = {};
-      switch (sortBy) {
-        case "likes":
-          sortOption = { likes: -1 };
-          break;
-        case "comments":
-          sortOption = { comments: -1 };
-          break;
-        case "shares":
-          sortOption = { shares: -1 };
-          break;
-        case "views":
-          sortOption = { views: -1 };
-          break;
-        default:
-          sortOption = { createdAt: -1 };
-      }
+  const [posts, totalCount] = await Promise.all([
+    Post.find(filter)
+      .select(
+        "title excerpt featuredImage featuredVideo images tags category location publishedAt likeCount commentCount shareCount viewCount slug readingTime isTrending isFeatured isPromoted author",
+      )
+      .populate("author", "username firstName lastName profileImage role title")
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Post.countDocuments(filter),
+  ]);
 
-      posts = await Post.find(matchFilter)
-        .select(
-          "title excerpt featuredImage tags category status publishedAt createdAt updatedAt likeCount commentCount shareCount viewCount slug",
-        )
-        .populate("author", "username firstName lastName profileImage role title")
-        .sort(sortOption)
-        .limit(parseInt(limit))
-        .lean();
-    }
+  const postsWithLikeStatus = await addLikeStatusToPosts(posts, req.user._id);
 
-    ApiResponse.success(
-      res,
-      {
-        data: posts,
-        totalCount: posts.length,
-        filters: {
-          timeFilter,
-          sortBy,
-          search: search || null,
-        },
+  ApiResponse.success(
+    res,
+    {
+      data: postsWithLikeStatus || posts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + posts.length < totalCount,
       },
-      "Trending posts retrieved successfully",
-    );
-  } catch (error) {
-    console.error("Error fetching trending posts:", error);
-    return next(new AppError("Error fetching trending posts", 500));
-  }
+    },
+    "Following feed retrieved successfully",
+  );
+});
+
+// Get trending posts (ranked by the stored trending score, pinned posts first)
+const getTrendingPosts = catchAsync(async (req, res) => {
+  const {
+    timeFilter = "week",
+    sortBy = "trending",
+    limit = 20,
+    search,
+  } = req.query;
+
+  const posts = await trending.getTrendingPosts({ timeFilter, sortBy, limit, search });
+
+  ApiResponse.success(
+    res,
+    {
+      data: posts,
+      totalCount: posts.length,
+      filters: {
+        timeFilter,
+        sortBy,
+        search: search || null,
+      },
+    },
+    "Trending posts retrieved successfully",
+  );
 });
 
 // Get featured posts
@@ -497,7 +503,10 @@ const getFeaturedPosts = catchAsync(async (req, res, next) => {
 
 // Get posts by category
 const getPostsByCategory = catchAsync(async (req, res, next) => {
-  const { category } = req.params;
+  // Accept slug, name or Hindi name; unknown values match nothing
+  const category =
+    (await taxonomy.resolveCategory(req.params.category)) ||
+    req.params.category;
 
   const posts = await Post.getPublished({ category })
     .sort({ publishedAt: -1 })
@@ -529,7 +538,8 @@ const searchPosts = catchAsync(async (req, res, next) => {
 
   // Add category filter if provided
   if (category) {
-    searchQuery.category = category;
+    searchQuery.category =
+      (await taxonomy.resolveCategory(category)) || category;
   }
 
   // Add tags filter if provided
@@ -604,14 +614,26 @@ const getPostBySlug = catchAsync(async (req, res, next) => {
     return next(new AppError("Post not found", 404));
   }
 
-  // Only increment view count for published posts
-  if (post.status === "published") {
-    await post.incrementViewCount();
-  }
+  // Count the view (deduplicated, bots and staff excluded, written in batches)
+  viewTracker.trackView(req, post);
 
   ApiResponse.success(res, post, "Post retrieved successfully");
 });
 
+// Validate block-based content and render it to HTML/plain text
+const buildBlockContent = async (contentBlocks) => {
+  const errors = await contentBlocksService.validateBlocks(contentBlocks);
+  if (errors.length > 0) {
+    return { error: errors.join(". ") };
+  }
+  const blocks = contentBlocksService.normalizeBlocks(contentBlocks);
+  return {
+    blocks,
+    html: contentBlocksService.renderHtml(blocks),
+    text: contentBlocksService.renderText(blocks),
+  };
+};
+
 // Create new post (protected)
 const createPost = catchAsync(async (req, res, next) => {
   // Check for validation errors
@@ -635,18 +657,35 @@ const createPost = catchAsync(async (req, res, next) => {
     featuredImage,
     featuredVideo,
     images,
+    contentBlocks,
   } = req.body;
 
   // Create post object
   const postData = {
     title: title.trim(),
-    content: content.trim(),
     author: req.user._id,
     category,
-    location: String(location || "Kishangarh Renwal").trim() || "Kishangarh Renwal",
     status: "draft", // Always start as draft
+    ...(await resolvePostLocation(location)),
   };
 
+  // Block-based content is rendered to sanitized HTML; plain HTML posts keep working
+  if (contentBlocks !== undefined) {
+    const built = await buildBlockContent(contentBlocks);
+    if (built.error) {
+      return next(new AppError(built.error, 400));
+    }
+    if (built.text.length < 50) {
+      return next(new AppError("Content must be at least 50 characters long", 400));
+    }
+    postData.contentFormat = "blocks";
+    postData.contentBlocks = built.blocks;
+    postData.content = built.html;
+  } else {
+    postData.contentFormat = "html";
+    postData.content = content.trim();
+  }
+
   // Add subheading (accept both 'description' and 'subheading' from frontend)
   if (subheading && subheading.trim()) {
     postData.subheading = subheading.trim();
@@ -712,10 +751,14 @@ const createPost = catchAsync(async (req, res, next) => {
       postData.status = "draft";
     }
   } else {
-    // Moderator, Sub-admin, and other roles: ALWAYS force to draft
-    // They cannot publish directly - must be approved by Admin
-    // Override any status they might have sent
-    postData.status = "draft";
+    // Moderator, Sub-admin, and other roles can never publish directly.
+    // New posts go straight into the review queue unless explicitly saved as a draft.
+    if (requestedStatus === "draft") {
+      postData.status = "draft";
+    } else {
+      postData.status = "submitted";
+      postData.review = { submittedAt: new Date() };
+    }
     postData.publishedAt = null; // Ensure no publish date
   }
 
@@ -725,8 +768,8 @@ const createPost = catchAsync(async (req, res, next) => {
   // Populate author info for response
   await post.populate("author", "username firstName lastName profileImage");
 
-  // If post is draft and created by non-admin, notify Admin for review
-  if (postData.status === "draft" && req.user.role !== "admin") {
+  // If post was submitted by non-admin, notify Admin for review
+  if (postData.status === "submitted") {
     try {
       // Find all admin users
       const User = require("../models/User");
@@ -750,29 +793,27 @@ const createPost = catchAsync(async (req, res, next) => {
           isActive: true,
         });
 
-        // Send real-time notification to admins via Socket.IO
-        if (global.io) {
-          const notificationData = {
-            type: "post_review_request",
-            message: `${req.user.firstName || req.user.username} submitted a post for review: "${post.title}"`,
-            postId: post._id,
-            postTitle: post.title,
-            announcementId: announcement._id,
-            author: {
-              _id: req.user._id,
-              firstName: req.user.firstName,
-              lastName: req.user.lastName,
-              username: req.user.username,
-              role: req.user.role,
-            },
-            timestamp: new Date(),
-          };
-
-          // Emit to all admin users
-          admins.forEach((admin) => {
-            global.io.to(`user_${admin._id}`).emit("notification", notificationData);
-          });
-        }
+        // Notify every admin (inbox + Socket.IO)
+        const notificationData = {
+          type: "post_review_request",
+          message: `${req.user.firstName || req.user.username} submitted a post for review: "${post.title}"`,
+          postId: post._id,
+          postTitle: post.title,
+          announcementId: announcement._id,
+          author: {
+            _id: req.user._id,
+            firstName: req.user.firstName,
+            lastName: req.user.lastName,
+            username: req.user.username,
+            role: req.user.role,
+          },
+          from: { _id: req.user._id },
+          timestamp: new Date(),
+        };
+
+        admins.forEach((admin) => {
+          notify(admin._id, notificationData);
+        });
       }
     } catch (notificationError) {
       // Log error but don't fail the post creation
@@ -780,10 +821,17 @@ const createPost = catchAsync(async (req, res, next) => {
     }
   }
 
-  const message =
-    postData.status === "published"
-      ? "Post created and published successfully"
-      : "Post created as draft and submitted for review. Admin will review and publish it.";
+  if (post.status === "published") {
+    relatedPosts.clear();
+    followService.notifyFollowers(post);
+  }
+
+  let message = "Post created as draft";
+  if (postData.status === "published") {
+    message = "Post created and published successfully";
+  } else if (postData.status === "submitted") {
+    message = "Post created and submitted for review. Admin will review and publish it.";
+  }
 
   ApiResponse.success(res, post, message, 201);
 });
@@ -797,6 +845,63 @@ const getMyPosts = catchAsync(async (req, res, next) => {
   ApiResponse.success(res, posts, "Your posts retrieved successfully");
 });
 
+// Version the client based its edit on: If-Match header ("3" or W/"3") or body.version
+const getExpectedVersion = (req) => {
+  const raw = req.headers["if-match"] ?? req.body?.version;
+  if (raw === undefined || raw === null || raw === "" || raw === "*") return null;
+  const parsed = parseInt(String(raw).replace(/^W\//, "").replace(/"/g, ""), 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+};
+
+// Compare values ignoring generated subdocument ids
+const stripIds = (value) =>
+  JSON.parse(
+    JSON.stringify(value === undefined ? null : value, (key, val) =>
+      key === "_id" ? undefined : val,
+    ),
+  );
+const sameValue = (a, b) =>
+  JSON.stringify(stripIds(a)) === JSON.stringify(stripIds(b));
+
+// Fields a stale save would overwrite: changed by someone else since the
+// client's version and set to something different by this save
+const findConflicts = async (post, expectedVersion, updateData) => {
+  const current = post.toObject();
+  const base = await PostRevision.findOne({
+    post: post._id,
+    version: expectedVersion,
+  })
+    .sort({ revision: -1 })
+    .lean();
+
+  return Object.keys(updateData)
+    .filter((field) => {
+      if (sameValue(updateData[field], current[field])) return false;
+      // Without the base version we cannot tell who changed what
+      if (!base) return true;
+      // Derived fields (reading time, flags) are not versioned
+      if (!PostRevision.REVISION_FIELDS.includes(field)) return false;
+      return !sameValue(base.snapshot[field], current[field]);
+    })
+    .map((field) => ({
+      field,
+      yours: updateData[field] === undefined ? null : updateData[field],
+      theirs: current[field] === undefined ? null : current[field],
+    }));
+};
+
+const sendVersionConflict = (res, post, expectedVersion, conflicts) =>
+  ApiResponse.error(
+    res,
+    "This post was changed by someone else since you opened it",
+    409,
+    {
+      currentVersion: post.editVersion || 0,
+      yourVersion: expectedVersion,
+      conflicts,
+    },
+  );
+
 // Update post (protected)
 const updatePost = catchAsync(async (req, res, next) => {
   // Check for validation errors
@@ -824,6 +929,7 @@ const updatePost = catchAsync(async (req, res, next) => {
     authorDisplayName,
     isTrending,
     isFeatured,
+    contentBlocks,
   } = req.body;
 
   // Find the post
@@ -843,7 +949,24 @@ const updatePost = catchAsync(async (req, res, next) => {
   // Update fields if provided
   const updateData = {};
   if (title) updateData.title = title.trim();
-  if (content) updateData.content = content.trim();
+  if (contentBlocks !== undefined) {
+    const built = await buildBlockContent(contentBlocks);
+    if (built.error) {
+      return next(new AppError(built.error, 400));
+    }
+    if (built.text.length < 50) {
+      return next(new AppError("Content must be at least 50 characters long", 400));
+    }
+    updateData.contentFormat = "blocks";
+    updateData.contentBlocks = built.blocks;
+    updateData.content = built.html;
+    updateData.readingTime = Math.max(1, Math.ceil(built.text.split(/\s+/).length / 200));
+  } else if (content) {
+    // Raw HTML from a legacy editor switches the post back to HTML content
+    updateData.contentFormat = "html";
+    updateData.contentBlocks = [];
+    updateData.content = content.trim();
+  }
 
   // Handle subheading (accept both 'description' and 'subheading' from frontend)
   if (subheading !== undefined) {
@@ -855,8 +978,7 @@ const updatePost = catchAsync(async (req, res, next) => {
   if (excerpt !== undefined) updateData.excerpt = excerpt ? excerpt.trim() : "";
   if (category) updateData.category = category;
   if (location !== undefined) {
-    const normalizedLocation = String(location || "").trim();
-    updateData.location = normalizedLocation || "Kishangarh Renwal";
+    Object.assign(updateData, await resolvePostLocation(location));
   }
 
   if (tags !== undefined) {
@@ -899,6 +1021,12 @@ const updatePost = catchAsync(async (req, res, next) => {
       return next(new AppError("isTrending must be a boolean", 400));
     }
     updateData.isTrending = isTrending;
+    // Keep the trending override in sync: true pins, false only clears a pin
+    if (isTrending) {
+      updateData.trendingOverride = "pin";
+    } else if (post.trendingOverride === "pin") {
+      updateData.trendingOverride = null;
+    }
   }
 
   if (isFeatured !== undefined) {
@@ -926,17 +1054,31 @@ const updatePost = catchAsync(async (req, res, next) => {
   }
 
   // IMPORTANT: Handle status updates - Only Admin can publish posts
-  // Non-admin users (moderator, sub-admin) cannot change status to published
-  if (status !== undefined) {
+  // Non-admin users (moderator, sub-admin) cannot change status to published.
+  // Publishing follows the review workflow (only approved or scheduled posts).
+  if (status !== undefined && status !== post.status) {
     if (status === "published") {
       // Only Admin can publish posts
       if (req.user.role !== "admin") {
         return next(new AppError("Only Admin can publish posts. Your post will remain as draft until approved.", 403));
       }
+      if (!canTransition(post.status, "published")) {
+        return next(
+          new AppError(
+            `Cannot publish a post from '${post.status}'. It must be approved first.`,
+            400,
+          ),
+        );
+      }
       updateData.status = "published";
       updateData.publishedAt = new Date();
     } else if (status === "draft") {
-      // Anyone can set to draft
+      // Anyone can move a post back to draft (published posts are unpublished)
+      if (post.status !== "published" && !canTransition(post.status, "draft")) {
+        return next(
+          new AppError(`Cannot move a post from '${post.status}' to 'draft'`, 400),
+        );
+      }
       updateData.status = "draft";
       updateData.publishedAt = null;
     } else {
@@ -949,16 +1091,61 @@ const updatePost = catchAsync(async (req, res, next) => {
     return next(new AppError("No fields to update", 400));
   }
 
+  // Optimistic concurrency: reject saves based on an outdated version
+  const expectedVersion = getExpectedVersion(req);
+  const currentVersion = post.editVersion || 0;
+  if (expectedVersion !== null && expectedVersion !== currentVersion) {
+    const conflicts = await findConflicts(post, expectedVersion, updateData);
+    return sendVersionConflict(res, post, expectedVersion, conflicts);
+  }
+
+  // Only apply the update if nobody saved in between
+  const filter = { _id: id };
+  if (expectedVersion !== null) {
+    filter.$or =
+      currentVersion === 0
+        ? [{ editVersion: 0 }, { editVersion: { $exists: false } }]
+        : [{ editVersion: currentVersion }];
+  }
+
   // Update the post
-  const updatedPost = await Post.findByIdAndUpdate(id, updateData, {
-    new: true,
-    runValidators: true,
-  }).populate("author", "username firstName lastName profileImage");
+  const updatedPost = await Post.findOneAndUpdate(
+    filter,
+    { ...updateData, $inc: { editVersion: 1 } },
+    {
+      new: true,
+      runValidators: true,
+    },
+  ).populate("author", "username firstName lastName profileImage");
 
   if (!updatedPost) {
+    if (expectedVersion !== null) {
+      const latest = await Post.findById(id);
+      if (latest) {
+        const conflicts = await findConflicts(latest, expectedVersion, updateData);
+        return sendVersionConflict(res, latest, expectedVersion, conflicts);
+      }
+    }
     return next(new AppError("Post not found after update", 404));
   }
 
+  // Keep the previous version so it can be compared or restored later (only
+  // once the save went through, so a rejected save leaves no revision)
+  await PostRevision.snapshot(post, req.user._id);
+
+  if (updateData.status === "published") {
+    // Other posts' cached lists may now suggest this one
+    relatedPosts.clear();
+    followService.notifyFollowers(updatedPost);
+  } else {
+    relatedPosts.invalidate(updatedPost._id);
+  }
+  if (updateData.status) {
+    notifyAuthor(updatedPost, updateData.status, req.user);
+  }
+
+  res.set("ETag", `"${updatedPost.editVersion}"`);
+
   const message = updateData.status === "published"
     ? "Post published successfully"
     : "Post updated successfully";
@@ -998,22 +1185,44 @@ const deletePost = catchAsync(async (req, res, next) => {
 
   // Soft delete by setting isActive to false (preserves data)
   await Post.findByIdAndUpdate(id, { isActive: false });
+  relatedPosts.invalidate(id);
 
   ApiResponse.success(res, null, "Post deleted successfully");
 });
 
 // Admin/Moderator functions
 const publishPost = catchAsync(async (req, res, next) => {
-  const post = await Post.findByIdAndUpdate(
-    req.params.id,
+  const current = await Post.findById(req.params.id).select("status isActive");
+  if (!current || !current.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  // Only approved (or scheduled) posts can go live
+  if (!canTransition(current.status, "published")) {
+    return next(
+      new AppError(
+        `Cannot publish a post from '${current.status}'. It must be approved first.`,
+        400,
+      ),
+    );
+  }
+
+  // Conditional on the status so a parallel publish cannot notify twice
+  const post = await Post.findOneAndUpdate(
+    { _id: current._id, status: current.status },
     { status: "published", publishedAt: new Date() },
     { new: true, runValidators: true },
   );
 
   if (!post) {
-    return next(new AppError("Post not found", 404));
+    return next(new AppError("Post status changed, please reload and try again", 409));
   }
 
+  // Other posts' cached lists may now suggest this one
+  relatedPosts.clear();
+  notifyAuthor(post, "published", req.user);
+  followService.notifyFollowers(post);
+
   ApiResponse.success(res, post, "Post published successfully");
 });
 
@@ -1028,6 +1237,9 @@ const unpublishPost = catchAsync(async (req, res, next) => {
     return next(new AppError("Post not found", 404));
   }
 
+  relatedPosts.invalidate(post._id);
+  notifyAuthor(post, "draft", req.user);
+
   ApiResponse.success(res, post, "Post unpublished successfully");
 });
 
@@ -1054,128 +1266,154 @@ const promotePost = catchAsync(async (req, res, next) => {
   return next(new AppError("Not implemented yet", 501));
 });
 
+// Read the requested trending override from the body: `override` is
+// "pin" | "suppress" | "none"; the legacy boolean `isTrending` maps to pin / none.
+// Returns undefined when neither is given and false when the value is invalid.
+const parseTrendingOverride = ({ override, isTrending }) => {
+  if (override !== undefined) {
+    if (override === "none" || override === null) return null;
+    return ["pin", "suppress"].includes(override) ? override : false;
+  }
+  if (isTrending !== undefined) {
+    if (typeof isTrending !== "boolean") return false;
+    return isTrending ? "pin" : null;
+  }
+  return undefined;
+};
+
+const TRENDING_OVERRIDE_MESSAGES = {
+  pin: "pinned to trending",
+  suppress: "suppressed from trending",
+  none: "returned to automatic trending",
+};
+
+// Pin, suppress or clear the trending override of a post (toggles the pin if no value is given)
 const setTrending = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { isTrending } = req.body; // Allow explicit true/false, or toggle if not provided
 
-  // Find the post first
-  const post = await Post.findById(id);
+  const post = await Post.findById(id).select("trendingOverride");
   if (!post) {
     return next(new AppError("Post not found", 404));
   }
 
-  // Determine new trending status
-  const newTrendingStatus = isTrending !== undefined ? isTrending : !post.isTrending;
+  let override = parseTrendingOverride(req.body);
+  if (override === false) {
+    return next(new AppError('override must be "pin", "suppress" or "none" (or isTrending a boolean)', 400));
+  }
+  if (override === undefined) {
+    override = post.trendingOverride === "pin" ? null : "pin";
+  }
 
-  // Update the post
-  const updatedPost = await Post.findByIdAndUpdate(
-    id,
-    { isTrending: newTrendingStatus },
-    { new: true, runValidators: true },
-  ).populate("author", "username firstName lastName profileImage");
+  await trending.setOverride({ _id: id }, override);
+
+  const updatedPost = await Post.findById(id).populate(
+    "author",
+    "username firstName lastName profileImage",
+  );
 
   ApiResponse.success(
     res,
     updatedPost,
-    `Post ${updatedPost.isTrending ? "set as trending" : "removed from trending"} successfully`,
+    `Post ${TRENDING_OVERRIDE_MESSAGES[override || "none"]} successfully`,
   );
 });
 
-// Get all trending posts (admin view with filters)
+// Trending ranking for admins: live score plus manual overrides
 const getAdminTrendingPosts = catchAsync(async (req, res, next) => {
-  const { page = 1, limit = 20, status, search, sortBy = "createdAt" } = req.query;
+  const { page = 1, limit = 20, status, search, override, sortBy = "score" } = req.query;
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-  const limitNum = parseInt(limit);
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+  const skip = (pageNum - 1) * limitNum;
 
-  // Build query
-  let query = { isTrending: true };
+  const query = {};
 
-  // Filter by status if provided
-  if (status) {
-    query.status = status;
+  if (override) {
+    if (!["pin", "suppress"].includes(override)) {
+      return next(new AppError('override must be "pin" or "suppress"', 400));
+    }
+    query.trendingOverride = override;
   } else {
-    // Default: show all statuses for admin
-    query.status = { $in: ["published", "draft"] };
-  }
-
-  // Search filter
-  if (search) {
+    // Everything currently ranked, plus anything with a manual override
     query.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { content: { $regex: search, $options: "i" } },
-      { excerpt: { $regex: search, $options: "i" } },
+      { trendingScore: { $gt: 0 } },
+      { trendingOverride: { $in: ["pin", "suppress"] } },
     ];
   }
 
-  // Sort options
-  const sortOptions = {};
-  switch (sortBy) {
-    case "views":
-      sortOptions.viewCount = -1;
-      break;
-    case "likes":
-      sortOptions.likeCount = -1;
-      break;
-    case "shares":
-      sortOptions.shareCount = -1;
-      break;
-    case "createdAt":
-    default:
-      sortOptions.createdAt = -1;
-      break;
+  query.status = status || "published";
+
+  if (search) {
+    const term = new RegExp(escapeRegex(String(search).trim()), "i");
+    query.$and = [{ $or: [{ title: term }, { excerpt: term }] }];
   }
 
-  const posts = await Post.find(query)
-    .populate("author", "username firstName lastName profileImage")
-    .sort(sortOptions)
-    .skip(skip)
-    .limit(limitNum);
+  const sortOptions = {
+    score: { isTrending: -1, trendingScore: -1, publishedAt: -1 },
+    views: { viewCount: -1 },
+    likes: { likeCount: -1 },
+    shares: { shareCount: -1 },
+    comments: { commentCount: -1 },
+    createdAt: { createdAt: -1 },
+  };
 
-  const totalCount = await Post.countDocuments(query);
+  const [posts, totalCount] = await Promise.all([
+    Post.find(query)
+      .select(
+        "title slug excerpt featuredImage category status publishedAt createdAt viewCount likeCount commentCount shareCount isActive isVisible isTrending trendingOverride trendingScore trendingUpdatedAt author",
+      )
+      .populate("author", "username firstName lastName profileImage")
+      .sort(sortOptions[sortBy] || sortOptions.score)
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Post.countDocuments(query),
+  ]);
 
   const totalPages = Math.ceil(totalCount / limitNum);
 
   ApiResponse.success(
     res,
     {
-      data: posts,
+      data: posts.map((post, index) => ({
+        ...post,
+        rank: post.trendingOverride === "suppress" ? null : skip + index + 1,
+      })),
       pagination: {
-        page: parseInt(page),
+        page: pageNum,
         limit: limitNum,
         totalCount,
         totalPages,
-        hasMore: parseInt(page) < totalPages,
+        hasMore: pageNum < totalPages,
       },
     },
     "Trending posts retrieved successfully",
   );
 });
 
-// Bulk set trending status
+// Bulk pin / suppress / clear trending overrides
 const bulkSetTrending = catchAsync(async (req, res, next) => {
-  const { postIds, isTrending } = req.body;
+  const { postIds } = req.body;
 
   if (!Array.isArray(postIds) || postIds.length === 0) {
     return next(new AppError("postIds must be a non-empty array", 400));
   }
 
-  if (typeof isTrending !== "boolean") {
-    return next(new AppError("isTrending must be a boolean", 400));
+  const override = parseTrendingOverride(req.body);
+  if (override === false || override === undefined) {
+    return next(new AppError('override must be "pin", "suppress" or "none" (or isTrending a boolean)', 400));
   }
 
-  const result = await Post.updateMany(
-    { _id: { $in: postIds } },
-    { isTrending },
-  );
+  const result = await trending.setOverride({ _id: { $in: postIds } }, override);
 
   ApiResponse.success(
     res,
     {
       matched: result.matchedCount,
       modified: result.modifiedCount,
+      override: override || "none",
     },
-    `${result.modifiedCount} posts ${isTrending ? "set as" : "removed from"} trending successfully`,
+    `${result.modifiedCount} posts ${TRENDING_OVERRIDE_MESSAGES[override || "none"]} successfully`,
   );
 });
 
@@ -1196,6 +1434,8 @@ const togglePostVisibility = catchAsync(async (req, res, next) => {
     { new: true, runValidators: true },
   ).populate("author", "username firstName lastName profileImage");
 
+  relatedPosts.invalidate(id);
+
   // Log the action
   await logActivity(
     {
@@ -1233,6 +1473,7 @@ const toggleLike = catchAsync(async (req, res, next) => {
     // Unlike the post
     await Like.findByIdAndDelete(existingLike._id);
     await Post.findByIdAndUpdate(postId, { $inc: { likeCount: -1 } });
+    trending.recordEngagement(postId, "likes", -1);
 
     const newLikeCount = Math.max(0, post.likeCount - 1);
 
@@ -1297,6 +1538,7 @@ const toggleLike = catchAsync(async (req, res, next) => {
       },
     });
     await Post.findByIdAndUpdate(postId, { $inc: { likeCount: 1 } });
+    trending.recordEngagement(postId, "likes");
 
     const newLikeCount = post.likeCount + 1;
 
@@ -1310,23 +1552,20 @@ const toggleLike = catchAsync(async (req, res, next) => {
       postWithAuthor.author._id.toString() !== userId.toString() &&
       postWithAuthor.author.notifications?.likes
     ) {
-      // Emit real-time notification
-      if (global.io) {
-        global.io.to(`user_${postWithAuthor.author._id}`).emit("notification", {
-          type: "like",
-          message: `${req.user.firstName || req.user.username} liked your post "${post.title}"`,
-          postId: postId,
-          postTitle: post.title,
-          from: {
-            _id: req.user._id,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName,
-            username: req.user.username,
-            profileImage: req.user.profileImage,
-          },
-          timestamp: new Date(),
-        });
-      }
+      notify(postWithAuthor.author._id, {
+        type: "like",
+        message: `${req.user.firstName || req.user.username} liked your post "${post.title}"`,
+        postId: postId,
+        postTitle: post.title,
+        from: {
+          _id: req.user._id,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          username: req.user.username,
+          profileImage: req.user.profileImage,
+        },
+        timestamp: new Date(),
+      });
     }
 
     // Log like activity
@@ -1461,7 +1700,7 @@ const getPostById = catchAsync(async (req, res, next) => {
     // Select only needed fields to reduce data transfer
     // Use faster query with minimal populate
     let post = await Post.findOne(query)
-      .select("title subheading description excerpt content featuredImage featuredVideo images tags category location publishedAt createdAt updatedAt likeCount commentCount shareCount viewCount slug readingTime isTrending isFeatured isPromoted status author reporterName authorDisplayName")
+      .select("title subheading description excerpt content contentFormat contentBlocks featuredImage featuredVideo images tags category location publishedAt createdAt updatedAt likeCount commentCount shareCount viewCount slug readingTime isTrending isFeatured isPromoted status author reporterName authorDisplayName editVersion liveBlog")
       .populate({
         path: "author",
         select: "username firstName lastName profileImage",
@@ -1493,13 +1732,48 @@ const getPostById = catchAsync(async (req, res, next) => {
       }
     }
 
-    // Increment view count asynchronously (non-blocking) for published posts
-    if (post.status === "published" && post._id) {
-      Post.findByIdAndUpdate(post._id, { $inc: { viewCount: 1 } }).catch(() => {
-        // Silently fail view count increment
-      });
+    // Reading history for the personal feed (at most one view per post every 30 minutes)
+    if (req.user?._id && post.status === "published") {
+      const userId = req.user._id;
+      Activity.exists({
+        user: userId,
+        type: "post_view",
+        "metadata.postId": post._id,
+        timestamp: { $gte: new Date(Date.now() - 30 * 60 * 1000) },
+      })
+        .then((recent) =>
+          recent
+            ? null
+            : logActivity(
+                {
+                  user: userId,
+                  type: "post_view",
+                  description: "User viewed a post",
+                  details: `Viewed post "${post.title}"`,
+                  metadata: {
+                    postId: post._id,
+                    category: post.category,
+                    tags: post.tags,
+                  },
+                },
+                req,
+              ),
+        )
+        .catch(() => {
+          // Reading history is best effort
+        });
     }
 
+    // Previous/next posts when the post is part of a story series
+    try {
+      post.series = await StorySeries.getNavigation(post._id);
+    } catch (seriesError) {
+      post.series = null;
+    }
+
+    // Count the view (deduplicated, bots and staff excluded, written in batches)
+    viewTracker.trackView(req, post);
+
     // Add like status if user is authenticated - make it non-blocking (don't wait)
     let finalPost = post;
     if (req.user?._id) {
@@ -1542,6 +1816,31 @@ const getPostById = catchAsync(async (req, res, next) => {
   }
 });
 
+// Related "read next" posts (public)
+const getRelatedPosts = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+  const query = isObjectId
+    ? { _id: id, isActive: true, status: "published" }
+    : { slug: id, isActive: true, status: "published" };
+
+  const post = await Post.findOne(query)
+    .select("tags category location locationRef isVisible")
+    .lean();
+  if (!post || post.isVisible === false) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const related = await relatedPosts.getRelatedPosts(post);
+  const postsWithLikeStatus = await addLikeStatusToPosts(related, req.user?._id);
+
+  ApiResponse.success(
+    res,
+    postsWithLikeStatus || related,
+    "Related posts retrieved successfully",
+  );
+});
+
 // Recursive function to populate all nested replies
 const populateRepliesRecursively = async (comment) => {
   // Populate author
@@ -1550,10 +1849,11 @@ const populateRepliesRecursively = async (comment) => {
   // Get all direct replies to this comment
   const replies = await Comment.find({
     parentComment: comment._id,
-    isDeleted: false,
-    moderationStatus: "approved",
+    ...Comment.VISIBLE_FILTER,
   })
+    .select("-reports")
     .populate("author", "username firstName lastName profileImage")
+    .populate("mentions", "username firstName lastName")
     .sort({ createdAt: 1 });
 
   // Recursively populate replies for each reply
@@ -1568,6 +1868,39 @@ const populateRepliesRecursively = async (comment) => {
   return comment;
 };
 
+// Status of a new comment: held for review on pre-moderated posts (except for staff)
+const newCommentStatus = (post, user) =>
+  post.commentMode === "moderated" && !["admin", "moderator"].includes(user.role)
+    ? "pending"
+    : "approved";
+
+// Error for a comment the filter refused (rejected or posting too fast)
+const commentFilterError = (verdict) => {
+  if (verdict.action === "throttle") {
+    return new AppError(
+      "You are commenting too fast. Please wait a moment and try again",
+      429,
+    );
+  }
+  if (verdict.action === "reject") {
+    return new AppError(
+      "Your comment could not be posted because it breaks our community guidelines",
+      400,
+    );
+  }
+  return null;
+};
+
+// What the author of a comment held by the filter gets back: it should look
+// like any other posted comment (shadow hold)
+const shadowHeldView = (comment) => {
+  const data = comment.toObject();
+  delete data.filterFlags;
+  delete data.contentHash;
+  delete data.moderationStatus;
+  return data;
+};
+
 // Get comments for a post
 const getComments = catchAsync(async (req, res, next) => {
   const { id: postId } = req.params;
@@ -1582,10 +1915,11 @@ const getComments = catchAsync(async (req, res, next) => {
   const topLevelComments = await Comment.find({
     post: postId,
     parentComment: null,
-    isDeleted: false,
-    moderationStatus: "approved",
+    ...Comment.VISIBLE_FILTER,
   })
+    .select("-reports")
     .populate("author", "username firstName lastName profileImage")
+    .populate("mentions", "username firstName lastName")
     .sort({ createdAt: -1 });
 
   // Recursively populate all nested replies
@@ -1611,18 +1945,45 @@ const addComment = catchAsync(async (req, res, next) => {
   if (!post) {
     return next(new AppError("Post not found", 404));
   }
+  if (post.commentMode === "closed") {
+    return next(new AppError("Comments are closed on this post", 403));
+  }
+
+  const verdict = await commentFilter.checkComment({
+    content: content.trim(),
+    user: req.user,
+    post,
+  });
+  const filterError = commentFilterError(verdict);
+  if (filterError) return next(filterError);
 
   // Create the comment
   const comment = await Comment.create({
     content: content.trim(),
     post: postId,
     author: userId,
-    moderationStatus: "approved", // Auto-approve for now
+    moderationStatus:
+      verdict.action === "hold" ? "pending" : newCommentStatus(post, req.user),
+    contentHash: verdict.contentHash,
+    filterFlags: verdict.flags,
+    mentions: await mentions.resolveMentions(content, userId),
   });
 
   // Populate the author data
   await comment.populate("author", "username firstName lastName profileImage");
 
+  // Nothing is announced until a moderator approves it. Comments held by the
+  // filter look like normal comments to their author (shadow hold).
+  if (comment.moderationStatus === "pending") {
+    return verdict.action === "hold"
+      ? ApiResponse.success(res, shadowHeldView(comment), "Comment added successfully")
+      : ApiResponse.success(res, comment, "Comment submitted and awaiting moderation");
+  }
+
+  trending.recordEngagement(postId, "comments");
+  const commentCount = await Comment.syncPostCommentCount(postId);
+  mentions.notifyMentions(comment, post, req.user);
+
   // Send notification to post author if they have notifications enabled
   const postWithAuthor = await Post.findById(postId).populate(
     "author",
@@ -1633,26 +1994,23 @@ const addComment = catchAsync(async (req, res, next) => {
     postWithAuthor.author._id.toString() !== userId.toString() &&
     postWithAuthor.author.notifications?.comments
   ) {
-    // Emit real-time notification
-    if (global.io) {
-      global.io.to(`user_${postWithAuthor.author._id}`).emit("notification", {
-        type: "comment",
-        message: `${req.user.firstName || req.user.username} commented on your post "${post.title}"`,
-        postId: postId,
-        postTitle: post.title,
-        commentId: comment._id,
-        commentContent:
-          content.substring(0, 100) + (content.length > 100 ? "..." : ""),
-        from: {
-          _id: req.user._id,
-          firstName: req.user.firstName,
-          lastName: req.user.lastName,
-          username: req.user.username,
-          profileImage: req.user.profileImage,
-        },
-        timestamp: new Date(),
-      });
-    }
+    notify(postWithAuthor.author._id, {
+      type: "comment",
+      message: `${req.user.firstName || req.user.username} commented on your post "${post.title}"`,
+      postId: postId,
+      postTitle: post.title,
+      commentId: comment._id,
+      commentContent:
+        content.substring(0, 100) + (content.length > 100 ? "..." : ""),
+      from: {
+        _id: req.user._id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        username: req.user.username,
+        profileImage: req.user.profileImage,
+      },
+      timestamp: new Date(),
+    });
   }
 
   // Log comment activity
@@ -1675,10 +2033,7 @@ const addComment = catchAsync(async (req, res, next) => {
     global.io.to(`post_${postId}`).emit("commentAdded", {
       postId,
       comment: comment,
-      commentCount: await Comment.countDocuments({
-        post: postId,
-        isDeleted: false,
-      }),
+      commentCount,
     });
   }
 
@@ -1703,22 +2058,55 @@ const replyToComment = catchAsync(async (req, res, next) => {
     return next(new AppError("Post not found", 404));
   }
 
-  if (!parentComment) {
+  if (
+    !parentComment ||
+    parentComment.post.toString() !== post._id.toString() ||
+    parentComment.isDeleted ||
+    parentComment.isHidden ||
+    parentComment.moderationStatus !== "approved"
+  ) {
     return next(new AppError("Parent comment not found", 404));
   }
 
+  if (post.commentMode === "closed") {
+    return next(new AppError("Comments are closed on this post", 403));
+  }
+
+  const verdict = await commentFilter.checkComment({
+    content: content.trim(),
+    user: req.user,
+    post,
+    parentComment,
+  });
+  const filterError = commentFilterError(verdict);
+  if (filterError) return next(filterError);
+
   // Create the reply
   const reply = await Comment.create({
     content: content.trim(),
     post: postId,
     author: userId,
     parentComment: commentId,
-    moderationStatus: "approved", // Auto-approve for now
+    moderationStatus:
+      verdict.action === "hold" ? "pending" : newCommentStatus(post, req.user),
+    contentHash: verdict.contentHash,
+    filterFlags: verdict.flags,
+    mentions: await mentions.resolveMentions(content, userId),
   });
 
   // Populate the author data
   await reply.populate("author", "username firstName lastName profileImage");
 
+  if (reply.moderationStatus === "pending") {
+    return verdict.action === "hold"
+      ? ApiResponse.success(res, shadowHeldView(reply), "Reply added successfully")
+      : ApiResponse.success(res, reply, "Reply submitted and awaiting moderation");
+  }
+
+  trending.recordEngagement(postId, "comments");
+  await Comment.syncPostCommentCount(postId);
+  mentions.notifyMentions(reply, post, req.user);
+
   ApiResponse.success(res, reply, "Reply added successfully");
 });
 
@@ -1803,6 +2191,7 @@ const deleteComment = catchAsync(async (req, res, next) => {
   // Soft delete the comment
   comment.isDeleted = true;
   await comment.save();
+  await Comment.syncPostCommentCount(comment.post);
 
   ApiResponse.success(res, null, "Comment deleted successfully");
 });
@@ -1828,6 +2217,8 @@ const sharePost = catchAsync(async (req, res, next) => {
     { $inc: { shareCount: 1 } },
     { new: true },
   );
+  trending.recordEngagement(postId, "shares");
+  postAnalytics.recordShare(postId, platform);
 
   const newShareCount = updatedPost?.shareCount ?? (post.shareCount || 0) + 1;
 
@@ -1857,9 +2248,6 @@ const sharePost = catchAsync(async (req, res, next) => {
     });
   }
 
-  // You could also track individual shares in a separate collection if needed
-  // For now, we'll just increment the count
-
   ApiResponse.success(
     res,
     {
@@ -2021,12 +2409,15 @@ const checkBookmarkStatus = catchAsync(async (req, res, next) => {
 module.exports = {
   getLocationOptions,
   getAllPosts,
+  getPersonalFeed,
+  getFollowingFeed,
   getTrendingPosts,
   getFeaturedPosts,
   getPostsByCategory,
   searchPosts,
   getPostBySlug,
   getPostById,
+  getRelatedPosts,
   createPost,
   getMyPosts,
   updatePost,
@@ -0,0 +1,327 @@
+const Post = require("../models/Post");
+const User = require("../models/User");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  REVIEW_QUEUE_STATUSES,
+  canTransition,
+  notifyAuthor,
+} = require("../services/editorialWorkflow");
+const { notify } = require("../services/notify");
+
+const REVIEW_POPULATE = [
+  { path: "author", select: "username firstName lastName profileImage" },
+  {
+    path: "review.reviewer",
+    select: "username firstName lastName profileImage role",
+  },
+  {
+    path: "review.notes.author",
+    select: "username firstName lastName profileImage role",
+  },
+];
+
+const isOwner = (user, post) =>
+  String(post.author?._id || post.author) === String(user._id);
+
+// Admins can review anything; moderators only unassigned posts or posts assigned to them
+const canReview = (user, post) => {
+  if (user.role === "admin") return true;
+  if (user.role !== "moderator") return false;
+  const reviewerId = post.review?.reviewer;
+  return !reviewerId || String(reviewerId) === String(user._id);
+};
+
+const ensureTransition = (post, to, next) => {
+  if (!canTransition(post.status, to)) {
+    next(
+      new AppError(`Cannot move a post from '${post.status}' to '${to}'`, 400),
+    );
+    return false;
+  }
+  return true;
+};
+
+// Submit a draft (or a post with requested changes) for review
+const submitForReview = catchAsync(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (
+    !isOwner(req.user, post) &&
+    !["admin", "moderator"].includes(req.user.role)
+  ) {
+    return next(new AppError("You can only submit your own posts", 403));
+  }
+
+  if (!ensureTransition(post, "submitted", next)) return;
+
+  post.status = "submitted";
+  post.review.submittedAt = new Date();
+  post.review.changesRequestedReason = undefined;
+  await post.save();
+
+  // Let the assigned reviewer (or all admins when unassigned) know
+  const recipients = post.review.reviewer
+    ? [post.review.reviewer]
+    : (await User.find({ role: "admin", isActive: true }).select("_id")).map(
+        (u) => u._id,
+      );
+
+  recipients.forEach((userId) => {
+    notify(userId, {
+      type: "post_review_request",
+      message: `${req.user.firstName || req.user.username} submitted a post for review: "${post.title}"`,
+      postId: post._id,
+      postTitle: post.title,
+      from: { _id: req.user._id },
+      timestamp: new Date(),
+    });
+  });
+
+  await post.populate(REVIEW_POPULATE);
+
+  ApiResponse.success(res, post, "Post submitted for review");
+});
+
+// Assign (or reassign) a reviewer; moves the post into review
+const assignReviewer = catchAsync(async (req, res, next) => {
+  const { reviewerId } = req.body;
+
+  if (!reviewerId) {
+    return next(new AppError("reviewerId is required", 400));
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (!ensureTransition(post, "in_review", next)) return;
+
+  const reviewer = await User.findById(reviewerId).select(
+    "username firstName lastName role isActive",
+  );
+  if (!reviewer || !reviewer.isActive) {
+    return next(new AppError("Reviewer not found", 404));
+  }
+  if (!["admin", "moderator"].includes(reviewer.role)) {
+    return next(new AppError("Reviewer must be an admin or moderator", 400));
+  }
+
+  post.status = "in_review";
+  post.review.reviewer = reviewer._id;
+  post.review.assignedBy = req.user._id;
+  post.review.assignedAt = new Date();
+  await post.save();
+
+  if (String(reviewer._id) !== String(req.user._id)) {
+    notify(reviewer._id, {
+      type: "post_review_assigned",
+      message: `You were assigned to review "${post.title}"`,
+      postId: post._id,
+      postTitle: post.title,
+      from: { _id: req.user._id },
+      timestamp: new Date(),
+    });
+  }
+
+  notifyAuthor(post, "in_review", req.user, {
+    reviewer: {
+      _id: reviewer._id,
+      firstName: reviewer.firstName,
+      lastName: reviewer.lastName,
+      username: reviewer.username,
+    },
+  });
+
+  await post.populate(REVIEW_POPULATE);
+
+  ApiResponse.success(res, post, "Reviewer assigned successfully");
+});
+
+// Leave a review note without changing the post status
+const addReviewNote = catchAsync(async (req, res, next) => {
+  const note = String(req.body.note || "").trim();
+  if (!note) {
+    return next(new AppError("Review note is required", 400));
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  // Authors may reply to their reviewers; reviewers may comment on posts they review
+  if (!isOwner(req.user, post) && !canReview(req.user, post)) {
+    return next(new AppError("You are not a reviewer of this post", 403));
+  }
+
+  post.review.notes.push({ author: req.user._id, note, kind: "note" });
+  await post.save();
+
+  notifyAuthor(post, post.status, req.user, {
+    type: "post_review_note",
+    message: `New review note on "${post.title}"`,
+    note,
+  });
+
+  await post.populate(REVIEW_POPULATE);
+
+  ApiResponse.success(res, post.review, "Review note added successfully", 201);
+});
+
+// Send the post back to the author with a reason
+const requestChanges = catchAsync(async (req, res, next) => {
+  const reason = String(req.body.reason || "").trim();
+  if (!reason) {
+    return next(
+      new AppError("A reason is required when requesting changes", 400),
+    );
+  }
+
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (!canReview(req.user, post)) {
+    return next(new AppError("You are not a reviewer of this post", 403));
+  }
+
+  if (!ensureTransition(post, "changes_requested", next)) return;
+
+  post.status = "changes_requested";
+  post.review.changesRequestedReason = reason;
+  post.review.notes.push({
+    author: req.user._id,
+    note: reason,
+    kind: "changes_requested",
+  });
+  await post.save();
+
+  notifyAuthor(post, "changes_requested", req.user, { reason });
+
+  await post.populate(REVIEW_POPULATE);
+
+  ApiResponse.success(res, post, "Changes requested successfully");
+});
+
+// Approve the post so an admin can publish it
+const approvePost = catchAsync(async (req, res, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (!canReview(req.user, post)) {
+    return next(new AppError("You are not a reviewer of this post", 403));
+  }
+
+  if (!ensureTransition(post, "approved", next)) return;
+
+  const note = String(req.body.note || "").trim();
+
+  post.status = "approved";
+  post.review.approvedBy = req.user._id;
+  post.review.approvedAt = new Date();
+  post.review.changesRequestedReason = undefined;
+  if (note) {
+    post.review.notes.push({ author: req.user._id, note, kind: "approval" });
+  }
+  await post.save();
+
+  notifyAuthor(post, "approved", req.user);
+
+  await post.populate(REVIEW_POPULATE);
+
+  ApiResponse.success(res, post, "Post approved successfully");
+});
+
+// Review state and notes of a single post (author or reviewers)
+const getReview = catchAsync(async (req, res, next) => {
+  const post = await Post.findById(req.params.id)
+    .select("title slug status author review")
+    .populate(REVIEW_POPULATE);
+
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (
+    !isOwner(req.user, post) &&
+    !["admin", "moderator"].includes(req.user.role)
+  ) {
+    return next(
+      new AppError("You can only view reviews of your own posts", 403),
+    );
+  }
+
+  ApiResponse.success(res, post, "Review retrieved successfully");
+});
+
+// My review queue: posts assigned to me, plus unassigned submissions (?scope=all|mine|unassigned)
+const getReviewQueue = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, scope = "all", status } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const statuses =
+    status && REVIEW_QUEUE_STATUSES.concat("approved").includes(status)
+      ? [status]
+      : REVIEW_QUEUE_STATUSES;
+
+  const query = { isActive: true, status: { $in: statuses } };
+
+  if (scope === "mine") {
+    query["review.reviewer"] = req.user._id;
+  } else if (scope === "unassigned") {
+    query["review.reviewer"] = null;
+  } else {
+    query.$or = [
+      { "review.reviewer": req.user._id },
+      { "review.reviewer": null },
+    ];
+  }
+
+  const [posts, totalCount] = await Promise.all([
+    Post.find(query)
+      .select(
+        "title slug excerpt category location status author review createdAt updatedAt",
+      )
+      .populate(REVIEW_POPULATE)
+      .sort({ "review.submittedAt": 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Post.countDocuments(query),
+  ]);
+
+  ApiResponse.success(
+    res,
+    {
+      data: posts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + posts.length < totalCount,
+      },
+    },
+    "Review queue retrieved successfully",
+  );
+});
+
+module.exports = {
+  submitForReview,
+  assignReviewer,
+  addReviewNote,
+  requestChanges,
+  approvePost,
+  getReview,
+  getReviewQueue,
+};
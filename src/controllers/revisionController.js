@@ -0,0 +1,221 @@
+const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const Activity = require("../models/Activity");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const relatedPosts = require("../services/relatedPosts");
+
+// Load the post and make sure the current user may see its history
+// (authors only their own posts, admin/moderator any post)
+const loadEditablePost = async (req, next) => {
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    next(new AppError("Post not found", 404));
+    return null;
+  }
+
+  if (
+    req.user.role === "author" &&
+    post.author.toString() !== req.user._id.toString()
+  ) {
+    next(new AppError("You can only view revisions of your own posts", 403));
+    return null;
+  }
+
+  return post;
+};
+
+// Resolve a revision reference: a revision number or "current" for the live post
+const resolveVersion = async (post, ref) => {
+  if (ref === undefined || ref === null || ref === "") return null;
+
+  if (String(ref).toLowerCase() === "current") {
+    return { revision: "current", snapshot: PostRevision.pickFields(post) };
+  }
+
+  const revisionNum = parseInt(ref, 10);
+  if (!Number.isInteger(revisionNum) || revisionNum < 1) return null;
+
+  const revision = await PostRevision.findOne({
+    post: post._id,
+    revision: revisionNum,
+  }).lean();
+
+  return revision
+    ? { revision: revision.revision, snapshot: revision.snapshot }
+    : null;
+};
+
+// Compare two snapshots field by field
+const diffSnapshots = (from, to) => {
+  return PostRevision.REVISION_FIELDS.reduce((changes, field) => {
+    const before = from[field] === undefined ? null : from[field];
+    const after = to[field] === undefined ? null : to[field];
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+    return changes;
+  }, []);
+};
+
+// List revisions of a post (newest first)
+const listRevisions = catchAsync(async (req, res, next) => {
+  const post = await loadEditablePost(req, next);
+  if (!post) return;
+
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [revisions, totalCount] = await Promise.all([
+    PostRevision.find({ post: post._id })
+      .select("revision action editedBy restoredFrom createdAt snapshot.title")
+      .populate("editedBy", "username firstName lastName profileImage")
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    PostRevision.countDocuments({ post: post._id }),
+  ]);
+
+  ApiResponse.success(
+    res,
+    {
+      data: revisions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + revisions.length < totalCount,
+      },
+    },
+    "Revisions retrieved successfully",
+  );
+});
+
+// Get a single revision with its full snapshot
+const getRevision = catchAsync(async (req, res, next) => {
+  const post = await loadEditablePost(req, next);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({
+    _id: req.params.revisionId,
+    post: post._id,
+  })
+    .populate("editedBy", "username firstName lastName profileImage")
+    .lean();
+
+  if (!revision) {
+    return next(new AppError("Revision not found", 404));
+  }
+
+  ApiResponse.success(res, revision, "Revision retrieved successfully");
+});
+
+// Field-level diff between two revisions (?from=3&to=5, "current" = live post)
+const diffRevisions = catchAsync(async (req, res, next) => {
+  const post = await loadEditablePost(req, next);
+  if (!post) return;
+
+  const { from, to = "current" } = req.query;
+
+  const [fromVersion, toVersion] = await Promise.all([
+    resolveVersion(post, from),
+    resolveVersion(post, to),
+  ]);
+
+  if (!fromVersion || !toVersion) {
+    return next(
+      new AppError(
+        "Both 'from' and 'to' must be a revision number or 'current'",
+        400,
+      ),
+    );
+  }
+
+  const changes = diffSnapshots(fromVersion.snapshot, toVersion.snapshot);
+
+  ApiResponse.success(
+    res,
+    {
+      from: fromVersion.revision,
+      to: toVersion.revision,
+      changes,
+      changedFields: changes.map((c) => c.field),
+    },
+    "Revision diff generated successfully",
+  );
+});
+
+// Restore a revision as the current version of the post
+const restoreRevision = catchAsync(async (req, res, next) => {
+  const post = await loadEditablePost(req, next);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({
+    _id: req.params.revisionId,
+    post: post._id,
+  });
+
+  if (!revision) {
+    return next(new AppError("Revision not found", 404));
+  }
+
+  // Keep the version being replaced so the restore itself can be undone
+  await PostRevision.snapshot(post, req.user._id, {
+    action: "restore",
+    restoredFrom: revision._id,
+  });
+
+  // Fields that were empty in the revision are cleared on the post, except
+  // required ones; fields missing from the snapshot are left as they are
+  const updateData = { $set: {}, $unset: {}, $inc: { editVersion: 1 } };
+  PostRevision.REVISION_FIELDS.forEach((field) => {
+    if (!(field in revision.snapshot)) return;
+    const value = revision.snapshot[field];
+    if (value === null || value === undefined) {
+      if (!Post.schema.path(field)?.isRequired) {
+        updateData.$unset[field] = 1;
+      }
+    } else {
+      updateData.$set[field] = value;
+    }
+  });
+
+  const updatedPost = await Post.findByIdAndUpdate(post._id, updateData, {
+    new: true,
+    runValidators: true,
+  }).populate("author", "username firstName lastName profileImage");
+
+  relatedPosts.invalidate(post._id);
+
+  try {
+    await Activity.create({
+      user: req.user._id,
+      type: "post_update",
+      description: "Post revision restored",
+      details: `Restored revision ${revision.revision} of "${updatedPost.title}"`,
+      metadata: {
+        postId: post._id,
+        previousValue: String(revision.revision),
+      },
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+
+  ApiResponse.success(
+    res,
+    { post: updatedPost, restoredRevision: revision.revision },
+    `Revision ${revision.revision} restored successfully`,
+  );
+});
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
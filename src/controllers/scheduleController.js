@@ -0,0 +1,188 @@
+const Post = require("../models/Post");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const {
+  canTransition,
+  notifyAuthor,
+} = require("../services/editorialWorkflow");
+
+// Parse and validate a future publication time
+const parseScheduledFor = (value, next) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    next(new AppError("scheduledFor must be a valid date", 400));
+    return null;
+  }
+  if (date <= new Date()) {
+    next(new AppError("scheduledFor must be in the future", 400));
+    return null;
+  }
+  return date;
+};
+
+const populateAuthor = (query) =>
+  query.populate("author", "username firstName lastName profileImage");
+
+// Schedule a post for publication
+const schedulePost = catchAsync(async (req, res, next) => {
+  const scheduledFor = parseScheduledFor(req.body.scheduledFor, next);
+  if (!scheduledFor) return;
+
+  const post = await Post.findById(req.params.id);
+  if (!post || !post.isActive) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  if (post.status === "scheduled") {
+    return next(
+      new AppError("Post is already scheduled. Use reschedule instead.", 400),
+    );
+  }
+  // Same rule as publishing: only approved posts can be scheduled
+  if (!canTransition(post.status, "scheduled")) {
+    return next(
+      new AppError(
+        `A ${post.status} post cannot be scheduled. It must be approved first.`,
+        400,
+      ),
+    );
+  }
+
+  // Conditional on the status so a concurrent change is not overwritten
+  const updatedPost = await populateAuthor(
+    Post.findOneAndUpdate(
+      { _id: post._id, status: post.status },
+      {
+        status: "scheduled",
+        scheduledFor,
+        scheduledBy: req.user._id,
+        publishedAt: null,
+      },
+      { new: true, runValidators: true },
+    ),
+  );
+
+  if (!updatedPost) {
+    return next(
+      new AppError("Post status changed, please reload and try again", 409),
+    );
+  }
+
+  notifyAuthor(updatedPost, "scheduled", req.user, { scheduledFor });
+
+  ApiResponse.success(
+    res,
+    updatedPost,
+    `Post scheduled for ${scheduledFor.toISOString()}`,
+  );
+});
+
+// Move an already scheduled post to a new time
+const reschedulePost = catchAsync(async (req, res, next) => {
+  const scheduledFor = parseScheduledFor(req.body.scheduledFor, next);
+  if (!scheduledFor) return;
+
+  // Only matches while still scheduled, so a post the scheduler already
+  // published cannot be pulled back into the schedule
+  const updatedPost = await populateAuthor(
+    Post.findOneAndUpdate(
+      { _id: req.params.id, status: "scheduled", isActive: true },
+      { scheduledFor, scheduledBy: req.user._id },
+      { new: true, runValidators: true },
+    ),
+  );
+
+  if (!updatedPost) {
+    return next(new AppError("Scheduled post not found", 404));
+  }
+
+  notifyAuthor(updatedPost, "scheduled", req.user, { scheduledFor });
+
+  ApiResponse.success(
+    res,
+    updatedPost,
+    `Post rescheduled for ${scheduledFor.toISOString()}`,
+  );
+});
+
+// Cancel a scheduled publication; the post returns to approved (or draft)
+const cancelSchedule = catchAsync(async (req, res, next) => {
+  const post = await Post.findOne({
+    _id: req.params.id,
+    status: "scheduled",
+    isActive: true,
+  }).select("review.approvedAt");
+
+  if (!post) {
+    return next(new AppError("Scheduled post not found", 404));
+  }
+
+  const status = post.review?.approvedAt ? "approved" : "draft";
+
+  const updatedPost = await populateAuthor(
+    Post.findOneAndUpdate(
+      { _id: post._id, status: "scheduled" },
+      { status, $unset: { scheduledFor: 1, scheduledBy: 1 } },
+      { new: true },
+    ),
+  );
+
+  if (!updatedPost) {
+    return next(new AppError("Post was already published", 409));
+  }
+
+  notifyAuthor(updatedPost, status, req.user);
+
+  ApiResponse.success(res, updatedPost, "Scheduled publication cancelled");
+});
+
+// Upcoming scheduled publications (soonest first)
+const getUpcomingScheduled = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, from, to } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { status: "scheduled", isActive: true };
+  const range = {};
+  if (from && !Number.isNaN(new Date(from).getTime()))
+    range.$gte = new Date(from);
+  if (to && !Number.isNaN(new Date(to).getTime())) range.$lte = new Date(to);
+  if (Object.keys(range).length > 0) query.scheduledFor = range;
+
+  const [posts, totalCount] = await Promise.all([
+    Post.find(query)
+      .select(
+        "title slug excerpt category location status scheduledFor scheduledBy author featuredImage",
+      )
+      .populate("author", "username firstName lastName profileImage")
+      .populate("scheduledBy", "username firstName lastName")
+      .sort({ scheduledFor: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Post.countDocuments(query),
+  ]);
+
+  ApiResponse.success(
+    res,
+    {
+      data: posts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + posts.length < totalCount,
+      },
+    },
+    "Scheduled posts retrieved successfully",
+  );
+});
+
+module.exports = {
+  schedulePost,
+  reschedulePost,
+  cancelSchedule,
+  getUpcomingScheduled,
+};
@@ -0,0 +1,328 @@
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
+const StorySeries = require("../models/StorySeries");
+const Post = require("../models/Post");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+
+const CARD_FIELDS =
+  "title excerpt featuredImage tags category location publishedAt likeCount commentCount shareCount viewCount slug readingTime author";
+
+const normalizeCover = (image) => {
+  if (!image || !image.url) return undefined;
+  return {
+    url: String(image.url).trim(),
+    alt: String(image.alt || "").trim(),
+  };
+};
+
+// Find a series by id or slug (isValid would also take a 12 character slug)
+const findSeries = (idOrSlug, extraFilter = {}) =>
+  /^[0-9a-fA-F]{24}$/.test(idOrSlug)
+    ? StorySeries.findOne({ _id: idOrSlug, ...extraFilter })
+    : StorySeries.findOne({
+        slug: String(idOrSlug).toLowerCase(),
+        ...extraFilter,
+      });
+
+const loadSeries = async (req, next) => {
+  const series = await findSeries(req.params.id);
+  if (!series) {
+    next(new AppError("Series not found", 404));
+    return null;
+  }
+  return series;
+};
+
+// Public: active series, most recently updated first
+const getAllSeries = catchAsync(async (req, res) => {
+  const { page = 1, limit = 12 } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 12), 50);
+  const skip = (pageNum - 1) * limitNum;
+
+  const filter = { isActive: true, "posts.0": { $exists: true } };
+
+  const [series, totalCount] = await Promise.all([
+    StorySeries.find(filter)
+      .select("title slug description coverImage posts updatedAt")
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    StorySeries.countDocuments(filter),
+  ]);
+
+  // Count only the posts the series page shows (published ones)
+  const published = await Post.find({
+    _id: { $in: series.flatMap((entry) => entry.posts) },
+    ...StorySeries.PUBLIC_POST_FILTER,
+  })
+    .select("_id")
+    .lean();
+  const publishedIds = new Set(published.map((post) => String(post._id)));
+
+  ApiResponse.success(
+    res,
+    {
+      data: series.map(({ posts, ...rest }) => ({
+        ...rest,
+        postCount: posts.filter((id) => publishedIds.has(String(id))).length,
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + series.length < totalCount,
+      },
+    },
+    "Series retrieved successfully",
+  );
+});
+
+// Public series page: series details and its published posts, paginated.
+// ?order=asc (default, reading order) or desc (latest first)
+const getSeries = catchAsync(async (req, res, next) => {
+  const series = await findSeries(req.params.id, { isActive: true })
+    .populate("createdBy", "username firstName lastName profileImage")
+    .lean();
+  if (!series) {
+    return next(new AppError("Series not found", 404));
+  }
+
+  const { page = 1, limit = 10, order = "asc" } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
+  const skip = (pageNum - 1) * limitNum;
+
+  // Only published posts are listed, keeping the curated order
+  const published = await Post.find({
+    _id: { $in: series.posts },
+    ...StorySeries.PUBLIC_POST_FILTER,
+  })
+    .select("_id")
+    .lean();
+  const publishedIds = new Set(published.map((p) => String(p._id)));
+  let orderedIds = series.posts.filter((id) => publishedIds.has(String(id)));
+  if (order === "desc") orderedIds = orderedIds.reverse();
+
+  const pageIds = orderedIds.slice(skip, skip + limitNum);
+  const posts = await Post.find({ _id: { $in: pageIds } })
+    .select(CARD_FIELDS)
+    .populate("author", "username firstName lastName profileImage")
+    .lean();
+  const byId = new Map(posts.map((p) => [String(p._id), p]));
+
+  const details = { ...series };
+  delete details.posts;
+
+  ApiResponse.success(
+    res,
+    {
+      series: details,
+      data: pageIds.map((id, i) => ({
+        ...byId.get(String(id)),
+        seriesPosition:
+          order === "desc" ? orderedIds.length - (skip + i) : skip + i + 1,
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount: orderedIds.length,
+        hasMore: skip + pageIds.length < orderedIds.length,
+      },
+    },
+    "Series retrieved successfully",
+  );
+});
+
+// Staff: all series including inactive ones
+const getAdminSeries = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, search = "" } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const filter = {};
+  if (String(search).trim()) {
+    filter.title = { $regex: String(search).trim(), $options: "i" };
+  }
+
+  const [series, totalCount] = await Promise.all([
+    StorySeries.find(filter)
+      .populate("posts", "title slug status publishedAt")
+      .populate("createdBy", "username firstName lastName")
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    StorySeries.countDocuments(filter),
+  ]);
+
+  ApiResponse.success(
+    res,
+    {
+      data: series,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + series.length < totalCount,
+      },
+    },
+    "Series retrieved successfully",
+  );
+});
+
+const createSeries = catchAsync(async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(
+      new AppError(
+        errors
+          .array()
+          .map((e) => e.msg)
+          .join(". "),
+        400,
+      ),
+    );
+  }
+
+  const { title, description, coverImage } = req.body;
+
+  const series = await StorySeries.create({
+    title,
+    description,
+    coverImage: normalizeCover(coverImage),
+    createdBy: req.user._id,
+  });
+
+  ApiResponse.success(res, series, "Series created successfully", 201);
+});
+
+const updateSeries = catchAsync(async (req, res, next) => {
+  const series = await loadSeries(req, next);
+  if (!series) return;
+
+  const { title, description, coverImage, isActive } = req.body;
+  if (title !== undefined) series.title = title;
+  if (description !== undefined) series.description = description;
+  if (coverImage !== undefined) series.coverImage = normalizeCover(coverImage);
+  if (isActive !== undefined) series.isActive = isActive;
+
+  await series.save();
+
+  ApiResponse.success(res, series, "Series updated successfully");
+});
+
+// Deleting a series only removes the grouping, posts are kept
+const deleteSeries = catchAsync(async (req, res, next) => {
+  const series = await loadSeries(req, next);
+  if (!series) return;
+
+  await series.deleteOne();
+
+  ApiResponse.success(res, null, "Series deleted successfully");
+});
+
+// Attach a post at `position` (1-based) or at the end
+const attachPost = catchAsync(async (req, res, next) => {
+  const series = await loadSeries(req, next);
+  if (!series) return;
+
+  const { postId, position } = req.body;
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    return next(new AppError("A valid postId is required", 400));
+  }
+
+  const post = await Post.findOne({ _id: postId, isActive: true }).select(
+    "_id title",
+  );
+  if (!post) {
+    return next(new AppError("Post not found", 404));
+  }
+
+  const existing = await StorySeries.findOne({ posts: post._id }).select(
+    "title",
+  );
+  if (existing) {
+    return next(
+      new AppError(
+        existing._id.equals(series._id)
+          ? "Post is already in this series"
+          : `Post already belongs to the series "${existing.title}"`,
+        409,
+      ),
+    );
+  }
+
+  const index =
+    position === undefined
+      ? series.posts.length
+      : Math.min(
+          Math.max(0, parseInt(position, 10) - 1 || 0),
+          series.posts.length,
+        );
+  series.posts.splice(index, 0, post._id);
+  await series.save();
+
+  ApiResponse.success(res, series, "Post added to series successfully");
+});
+
+const detachPost = catchAsync(async (req, res, next) => {
+  const series = await loadSeries(req, next);
+  if (!series) return;
+
+  const before = series.posts.length;
+  series.posts = series.posts.filter((id) => String(id) !== req.params.postId);
+  if (series.posts.length === before) {
+    return next(new AppError("Post is not part of this series", 404));
+  }
+  await series.save();
+
+  ApiResponse.success(res, series, "Post removed from series successfully");
+});
+
+// Replace the order of posts; postIds must contain exactly the current posts
+const reorderPosts = catchAsync(async (req, res, next) => {
+  const series = await loadSeries(req, next);
+  if (!series) return;
+
+  const { postIds } = req.body;
+  if (!Array.isArray(postIds)) {
+    return next(new AppError("postIds must be an array", 400));
+  }
+
+  const current = series.posts.map(String).sort();
+  const requested = postIds.map(String);
+  const samePosts =
+    requested.length === current.length &&
+    new Set(requested).size === requested.length &&
+    [...requested].sort().every((id, i) => id === current[i]);
+  if (!samePosts) {
+    return next(
+      new AppError(
+        "postIds must list every post of the series exactly once",
+        400,
+      ),
+    );
+  }
+
+  series.posts = requested;
+  await series.save();
+
+  ApiResponse.success(res, series, "Series order updated successfully");
+});
+
+module.exports = {
+  getAllSeries,
+  getSeries,
+  getAdminSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  attachPost,
+  detachPost,
+  reorderPosts,
+};
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Activity = require("../models/Activity");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const sessions = require("../services/sessions");
+
+const logSessionActivity = async (req, userId, description, details) => {
+  try {
+    await Activity.create({
+      user: userId,
+      type: "session_revoke",
+      description,
+      details,
+      metadata:
+        String(userId) !== String(req.user._id)
+          ? { targetUserId: userId }
+          : undefined,
+      sessionInfo: { sessionId: req.sessionId },
+      browserInfo: { userAgent: req.get("User-Agent") },
+      networkInfo: { ipAddress: req.ip },
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+const describe = (session) =>
+  `${session.browser || "Unknown browser"} on ${session.os || "unknown OS"}`;
+
+// Devices the current user is signed in on
+const getMySessions = catchAsync(async (req, res) => {
+  const list = await sessions.list(req.user._id, req.sessionId);
+  ApiResponse.success(res, list, "Sessions retrieved successfully");
+});
+
+// Sign one of the current user's devices out
+const revokeMySession = catchAsync(async (req, res, next) => {
+  const session = await sessions.revoke(
+    req.user._id,
+    req.params.id,
+    "revoked",
+    req.user._id,
+  );
+  if (!session) {
+    return next(new AppError("Session not found", 404));
+  }
+
+  await logSessionActivity(
+    req,
+    req.user._id,
+    "User signed out a device",
+    `Signed out ${describe(session)}`,
+  );
+
+  ApiResponse.success(
+    res,
+    {
+      sessionId: session._id,
+      current: String(session._id) === String(req.sessionId),
+    },
+    "Session revoked successfully",
+  );
+});
+
+// Sign out every device except the one making the request
+const revokeOtherSessions = catchAsync(async (req, res) => {
+  const revoked = await sessions.revokeAll(req.user._id, "revoked", {
+    keepSessionId: req.sessionId,
+    revokedBy: req.user._id,
+  });
+
+  await logSessionActivity(
+    req,
+    req.user._id,
+    "User signed out all other devices",
+    `Signed out ${revoked} other session(s)`,
+  );
+
+  ApiResponse.success(
+    res,
+    { revoked },
+    "Signed out of all other devices successfully",
+  );
+});
+
+const findUser = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return User.findById(id).select("username firstName lastName");
+};
+
+// Admin: devices a user is signed in on
+const getUserSessions = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const list = await sessions.list(user._id);
+  ApiResponse.success(
+    res,
+    { user, sessions: list },
+    "Sessions retrieved successfully",
+  );
+});
+
+// Admin: sign one of a user's devices out
+const revokeUserSession = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const session = await sessions.revoke(
+    user._id,
+    req.params.sessionId,
+    "admin",
+    req.user._id,
+  );
+  if (!session) {
+    return next(new AppError("Session not found", 404));
+  }
+
+  await logSessionActivity(
+    req,
+    user._id,
+    "Admin signed out a user's device",
+    `${req.user.username} signed out ${describe(session)} of ${user.username}`,
+  );
+
+  ApiResponse.success(
+    res,
+    { sessionId: session._id },
+    "Session revoked successfully",
+  );
+});
+
+// Admin: sign a user out everywhere
+const revokeAllUserSessions = catchAsync(async (req, res, next) => {
+  const user = await findUser(req.params.id);
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  const revoked = await sessions.revokeAll(user._id, "admin", {
+    revokedBy: req.user._id,
+  });
+
+  await logSessionActivity(
+    req,
+    user._id,
+    "Admin signed a user out of all devices",
+    `${req.user.username} signed out ${revoked} session(s) of ${user.username}`,
+  );
+
+  ApiResponse.success(
+    res,
+    { revoked },
+    "User signed out of all devices successfully",
+  );
+});
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+};
@@ -3,6 +3,9 @@ const catchAsync = require("../utils/catchAsync");
 const { AppError } = require("../utils/appError");
 const ApiResponse = require("../utils/apiResponse");
 const Activity = require("../models/Activity");
+const relatedPosts = require("../services/relatedPosts");
+const commentFilter = require("../services/commentFilter");
+const twoFactor = require("../services/twoFactor");
 
 const SOCIAL_PLATFORMS = ["youtube", "facebook", "instagram", "twitter", "linkedin"];
 
@@ -116,6 +119,12 @@ const getSettings = catchAsync(async (req, res, next) => {
     payload.communitySectionTitle = "Community remembrances";
   }
 
+  // The comment blocklist and the 2FA policy are not published
+  if (req.user?.role !== "admin") {
+    delete payload.commentFilters;
+    delete payload.twoFactor;
+  }
+
   ApiResponse.success(res, payload, "Site settings retrieved successfully");
 });
 
@@ -138,6 +147,9 @@ const updateSettings = catchAsync(async (req, res, next) => {
     typography,
     colorPalette,
     communitySectionTitle,
+    relatedPosts: relatedPostsSettings,
+    commentFilters,
+    twoFactor: twoFactorSettings,
   } = req.body;
 
   // Get or create settings
@@ -231,12 +243,69 @@ const updateSettings = catchAsync(async (req, res, next) => {
     settings.communitySectionTitle = String(communitySectionTitle).trim();
   }
 
+  if (relatedPostsSettings !== undefined) {
+    for (const [key, value] of Object.entries(relatedPostsSettings || {})) {
+      if (!(key in relatedPosts.DEFAULT_WEIGHTS)) {
+        return next(new AppError(`Unknown relatedPosts setting '${key}'`, 400));
+      }
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return next(new AppError(`relatedPosts.${key} must be a number`, 400));
+      }
+      settings.relatedPosts[key] = value;
+    }
+  }
+
+  if (commentFilters !== undefined) {
+    for (const [key, value] of Object.entries(commentFilters || {})) {
+      if (!(key in commentFilter.DEFAULT_SETTINGS)) {
+        return next(new AppError(`Unknown commentFilters setting '${key}'`, 400));
+      }
+      const expected = commentFilter.DEFAULT_SETTINGS[key];
+      if (Array.isArray(expected)) {
+        if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+          return next(new AppError(`commentFilters.${key} must be an array of strings`, 400));
+        }
+        settings.commentFilters[key] = [
+          ...new Set(value.map((v) => v.trim()).filter(Boolean)),
+        ];
+        continue;
+      }
+      if (typeof value !== typeof expected || (typeof value === "number" && !Number.isFinite(value))) {
+        return next(new AppError(`commentFilters.${key} must be a ${typeof expected}`, 400));
+      }
+      settings.commentFilters[key] = value;
+    }
+  }
+
+  if (twoFactorSettings !== undefined) {
+    for (const [key, value] of Object.entries(twoFactorSettings || {})) {
+      if (key !== "requiredRoles") {
+        return next(new AppError(`Unknown twoFactor setting '${key}'`, 400));
+      }
+      const roles = SiteSettings.schema.path("twoFactor.requiredRoles").caster.enumValues;
+      if (!Array.isArray(value) || !value.every((role) => roles.includes(role))) {
+        return next(new AppError(`twoFactor.requiredRoles must be an array of ${roles.join(", ")}`, 400));
+      }
+      settings.twoFactor.requiredRoles = [...new Set(value)];
+    }
+  }
+
   // Set last updated by
   settings.lastUpdatedBy = req.user._id;
 
   // Save settings
   await settings.save();
 
+  if (relatedPostsSettings !== undefined) {
+    relatedPosts.clear();
+  }
+  if (commentFilters !== undefined) {
+    commentFilter.invalidate();
+  }
+  if (twoFactorSettings !== undefined) {
+    twoFactor.invalidate();
+  }
+
   // Log the action
   await Activity.create({
     user: req.user._id,
@@ -0,0 +1,418 @@
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+const Post = require("../models/Post");
+const BreakingNews = require("../models/BreakingNews");
+const Promotion = require("../models/Promotion");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const taxonomy = require("../services/taxonomy");
+
+const CATEGORY_FIELDS = ["name", "nameHi", "description", "order", "isActive"];
+const TAG_FIELDS = ["name", "nameHi", "order", "isActive"];
+
+const pick = (source, fields) =>
+  fields.reduce((data, field) => {
+    if (source[field] !== undefined) data[field] = source[field];
+    return data;
+  }, {});
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Nest categories under their parents
+const buildTree = (categories) => {
+  const byId = new Map(
+    categories.map((c) => [String(c._id), { ...c, children: [] }]),
+  );
+  const roots = [];
+  byId.forEach((category) => {
+    const parent = category.parent && byId.get(String(category.parent));
+    if (parent) parent.children.push(category);
+    else roots.push(category);
+  });
+  return roots;
+};
+
+// Make sure a parent exists and would not create a cycle
+const validateParent = async (categoryId, parentId) => {
+  if (!parentId) return null;
+
+  let current = await Category.findById(parentId).select("parent").lean();
+  if (!current) return "Parent category not found";
+
+  while (current) {
+    if (categoryId && String(current._id) === String(categoryId)) {
+      return "A category cannot be nested under itself or its subcategories";
+    }
+    current = current.parent
+      ? await Category.findById(current.parent).select("parent").lean()
+      : null;
+  }
+  return null;
+};
+
+// Count content using a category so it is not deleted while still referenced
+const countCategoryUsage = async (category) => {
+  const [posts, breakingNews, promotions, children] = await Promise.all([
+    Post.countDocuments({ category: category.slug }),
+    BreakingNews.countDocuments({ category: category.slug }),
+    Promotion.countDocuments({ "targetAudience.categories": category.slug }),
+    Category.countDocuments({ parent: category._id }),
+  ]);
+  return { posts, breakingNews, promotions, children };
+};
+
+// ---------- Categories ----------
+
+// Public: active categories (?tree=true nests subcategories)
+const getCategories = catchAsync(async (req, res) => {
+  const categories = await Category.find({ isActive: true })
+    .select("slug name nameHi description parent order")
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  ApiResponse.success(
+    res,
+    req.query.tree === "true" ? buildTree(categories) : categories,
+    "Categories retrieved successfully",
+  );
+});
+
+// Public: single active category by slug
+const getCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findOne({
+    slug: String(req.params.slug).toLowerCase(),
+    isActive: true,
+  })
+    .populate("parent", "slug name nameHi")
+    .lean();
+
+  if (!category) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  const children = await Category.find({ parent: category._id, isActive: true })
+    .select("slug name nameHi order")
+    .sort({ order: 1, name: 1 })
+    .lean();
+
+  ApiResponse.success(
+    res,
+    { ...category, children },
+    "Category retrieved successfully",
+  );
+});
+
+// Admin: all categories including inactive ones, with post counts
+const getAdminCategories = catchAsync(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    Category.find().sort({ order: 1, name: 1 }).lean(),
+    Post.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countBySlug = new Map(counts.map((c) => [c._id, c.count]));
+  const data = categories.map((c) => ({
+    ...c,
+    postCount: countBySlug.get(c.slug) || 0,
+  }));
+
+  ApiResponse.success(
+    res,
+    req.query.tree === "true" ? buildTree(data) : data,
+    "Categories retrieved successfully",
+  );
+});
+
+const createCategory = catchAsync(async (req, res, next) => {
+  const data = pick(req.body, CATEGORY_FIELDS);
+  data.slug = taxonomy.slugify(req.body.slug || req.body.name);
+  data.createdBy = req.user._id;
+
+  if (!data.slug) {
+    return next(new AppError("A slug (or an English name) is required", 400));
+  }
+
+  if (req.body.parent) {
+    const parentError = await validateParent(null, req.body.parent);
+    if (parentError) return next(new AppError(parentError, 400));
+    data.parent = req.body.parent;
+  }
+
+  if (await Category.exists({ slug: data.slug })) {
+    return next(new AppError(`Category '${data.slug}' already exists`, 409));
+  }
+
+  const category = await Category.create(data);
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, category, "Category created successfully", 201);
+});
+
+// Update a category; a slug change is applied to all content using it
+const updateCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  Object.assign(category, pick(req.body, CATEGORY_FIELDS));
+
+  if (req.body.parent !== undefined) {
+    const parentError = await validateParent(category._id, req.body.parent);
+    if (parentError) return next(new AppError(parentError, 400));
+    category.parent = req.body.parent || null;
+  }
+
+  const oldSlug = category.slug;
+  if (req.body.slug !== undefined) {
+    const newSlug = taxonomy.slugify(req.body.slug);
+    if (!newSlug) {
+      return next(new AppError("Slug cannot be empty", 400));
+    }
+    if (
+      newSlug !== oldSlug &&
+      (await Category.exists({ slug: newSlug, _id: { $ne: category._id } }))
+    ) {
+      return next(new AppError(`Category '${newSlug}' already exists`, 409));
+    }
+    category.slug = newSlug;
+  }
+
+  await category.save();
+
+  if (category.slug !== oldSlug) {
+    await Promise.all([
+      Post.updateMany(
+        { category: oldSlug },
+        { $set: { category: category.slug } },
+      ),
+      BreakingNews.updateMany(
+        { category: oldSlug },
+        { $set: { category: category.slug } },
+      ),
+      Promotion.updateMany(
+        { "targetAudience.categories": oldSlug },
+        { $set: { "targetAudience.categories.$": category.slug } },
+      ),
+    ]);
+  }
+
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, category, "Category updated successfully");
+});
+
+// Delete an unused category (deactivate categories that are still referenced)
+const deleteCategory = catchAsync(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    return next(new AppError("Category not found", 404));
+  }
+
+  const usage = await countCategoryUsage(category);
+  const inUse = Object.values(usage).some((count) => count > 0);
+  if (inUse) {
+    return ApiResponse.error(
+      res,
+      "Category is still in use. Deactivate it instead or move its content first.",
+      409,
+      usage,
+    );
+  }
+
+  await category.deleteOne();
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, null, "Category deleted successfully");
+});
+
+// ---------- Tags ----------
+
+// Public: active tags (?q= prefix search, ?category=<slug>)
+const getTags = catchAsync(async (req, res) => {
+  const { q, category, limit = 100 } = req.query;
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 100), 500);
+
+  const query = { isActive: true };
+  if (q && String(q).trim()) {
+    const term = new RegExp(`^${escapeRegex(String(q).trim())}`, "i");
+    query.$or = [{ slug: term }, { name: term }, { nameHi: term }];
+  }
+  if (category) {
+    const parent = await Category.findOne({
+      slug: String(category).toLowerCase(),
+    })
+      .select("_id")
+      .lean();
+    query.category = parent ? parent._id : null;
+  }
+
+  const tags = await Tag.find(query)
+    .select("slug name nameHi category order")
+    .sort({ order: 1, name: 1 })
+    .limit(limitNum)
+    .lean();
+
+  ApiResponse.success(res, tags, "Tags retrieved successfully");
+});
+
+// Admin: all tags including inactive ones, with post counts
+const getAdminTags = catchAsync(async (req, res) => {
+  const { page = 1, limit = 50, search = "", status = "all" } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(Math.max(1, parseInt(limit, 10) || 50), 200);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {};
+  if (status === "active") query.isActive = true;
+  if (status === "inactive") query.isActive = false;
+  if (String(search).trim()) {
+    const term = new RegExp(escapeRegex(String(search).trim()), "i");
+    query.$or = [{ slug: term }, { name: term }, { nameHi: term }];
+  }
+
+  const [tags, totalCount] = await Promise.all([
+    Tag.find(query)
+      .populate("category", "slug name nameHi")
+      .sort({ order: 1, name: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    Tag.countDocuments(query),
+  ]);
+
+  const counts = await Post.aggregate([
+    { $match: { isActive: true, tags: { $in: tags.map((t) => t.slug) } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+  ]);
+  const countBySlug = new Map(counts.map((c) => [c._id, c.count]));
+
+  ApiResponse.success(
+    res,
+    {
+      data: tags.map((t) => ({
+        ...t,
+        postCount: countBySlug.get(t.slug) || 0,
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalCount,
+        hasMore: skip + tags.length < totalCount,
+      },
+    },
+    "Tags retrieved successfully",
+  );
+});
+
+const createTag = catchAsync(async (req, res, next) => {
+  const data = pick(req.body, TAG_FIELDS);
+  data.slug = taxonomy.normalizeTag(req.body.slug || req.body.name);
+  data.createdBy = req.user._id;
+
+  if (!data.slug) {
+    return next(new AppError("Tag name is required", 400));
+  }
+  if (req.body.category) {
+    if (!(await Category.exists({ _id: req.body.category }))) {
+      return next(new AppError("Category not found", 400));
+    }
+    data.category = req.body.category;
+  }
+
+  if (await Tag.exists({ slug: data.slug })) {
+    return next(new AppError(`Tag '${data.slug}' already exists`, 409));
+  }
+
+  const tag = await Tag.create(data);
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, tag, "Tag created successfully", 201);
+});
+
+// Update a tag; a slug change is applied to all posts using it
+const updateTag = catchAsync(async (req, res, next) => {
+  const tag = await Tag.findById(req.params.id);
+  if (!tag) {
+    return next(new AppError("Tag not found", 404));
+  }
+
+  Object.assign(tag, pick(req.body, TAG_FIELDS));
+
+  if (req.body.category !== undefined) {
+    if (
+      req.body.category &&
+      !(await Category.exists({ _id: req.body.category }))
+    ) {
+      return next(new AppError("Category not found", 400));
+    }
+    tag.category = req.body.category || null;
+  }
+
+  const oldSlug = tag.slug;
+  if (req.body.slug !== undefined) {
+    const newSlug = taxonomy.normalizeTag(req.body.slug);
+    if (!newSlug) {
+      return next(new AppError("Slug cannot be empty", 400));
+    }
+    if (
+      newSlug !== oldSlug &&
+      (await Tag.exists({ slug: newSlug, _id: { $ne: tag._id } }))
+    ) {
+      return next(new AppError(`Tag '${newSlug}' already exists`, 409));
+    }
+    tag.slug = newSlug;
+  }
+
+  await tag.save();
+
+  if (tag.slug !== oldSlug) {
+    await Post.updateMany({ tags: oldSlug }, { $set: { "tags.$": tag.slug } });
+  }
+
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, tag, "Tag updated successfully");
+});
+
+// Delete an unused tag (deactivate tags that are still referenced)
+const deleteTag = catchAsync(async (req, res, next) => {
+  const tag = await Tag.findById(req.params.id);
+  if (!tag) {
+    return next(new AppError("Tag not found", 404));
+  }
+
+  const posts = await Post.countDocuments({ tags: tag.slug });
+  if (posts > 0) {
+    return ApiResponse.error(
+      res,
+      "Tag is still used by posts. Deactivate it instead or remove it from those posts first.",
+      409,
+      { posts },
+    );
+  }
+
+  await tag.deleteOne();
+  taxonomy.invalidate();
+
+  ApiResponse.success(res, null, "Tag deleted successfully");
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getTags,
+  getAdminTags,
+  createTag,
+  updateTag,
+  deleteTag,
+};
@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Activity = require("../models/Activity");
+const catchAsync = require("../utils/catchAsync");
+const { AppError } = require("../utils/appError");
+const ApiResponse = require("../utils/apiResponse");
+const twoFactor = require("../services/twoFactor");
+const sessions = require("../services/sessions");
+const { createSendToken } = require("./authController");
+
+const logTwoFactorActivity = async (req, userId, description, details) => {
+  try {
+    await Activity.create({
+      user: userId,
+      type: "two_factor_update",
+      description,
+      details,
+      metadata:
+        String(userId) !== String(req.user._id)
+          ? { targetUserId: userId }
+          : undefined,
+      browserInfo: { userAgent: req.get("User-Agent") },
+      networkInfo: { ipAddress: req.ip },
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+// 2FA state of the current user
+const getStatus = catchAsync(async (req, res) => {
+  const [required, recoveryCodesRemaining] = await Promise.all([
+    twoFactor.isRequired(req.user),
+    req.user.twoFactor?.enabled
+      ? twoFactor.recoveryCodesRemaining(req.user._id)
+      : 0,
+  ]);
+
+  ApiResponse.success(
+    res,
+    {
+      enabled: !!req.user.twoFactor?.enabled,
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      required,
+      recoveryCodesRemaining,
+    },
+    "Two-factor status retrieved successfully",
+  );
+});
+
+// Start enrollment: returns the secret and the otpauth:// provisioning URI
+const setup = catchAsync(async (req, res, next) => {
+  if (req.user.twoFactor?.enabled) {
+    return next(
+      new AppError("Two-factor authentication is already enabled", 400),
+    );
+  }
+
+  const enrollment = await twoFactor.startEnrollment(req.user);
+
+  ApiResponse.success(
+    res,
+    enrollment,
+    "Scan the code with your authenticator app, then confirm with a code",
+  );
+});
+
+// Finish enrollment with the first code from the app ({ code }).
+// Returns the recovery codes (shown once); during a forced enrollment at
+// login it also signs the user in.
+const enable = catchAsync(async (req, res, next) => {
+  if (req.user.twoFactor?.enabled) {
+    return next(
+      new AppError("Two-factor authentication is already enabled", 400),
+    );
+  }
+  if (!req.body.code) {
+    return next(new AppError("Authentication code is required", 400));
+  }
+
+  const recoveryCodes = await twoFactor.confirmEnrollment(
+    req.user._id,
+    req.body.code,
+  );
+  if (!recoveryCodes) {
+    return next(new AppError("Invalid authentication code", 400));
+  }
+
+  await logTwoFactorActivity(
+    req,
+    req.user._id,
+    "Two-factor authentication enabled",
+    `${req.user.username} enabled two-factor authentication`,
+  );
+
+  if (req.twoFactorChallenge) {
+    const user = await User.findById(req.user._id);
+    return createSendToken(
+      user,
+      200,
+      req,
+      res,
+      "Two-factor authentication enabled",
+      { recoveryCodes },
+    );
+  }
+
+  ApiResponse.success(
+    res,
+    { recoveryCodes },
+    "Two-factor authentication enabled",
+  );
+});
+
+// Turn 2FA off ({ password, code }); not allowed when the role requires it
+const disable = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+  if (await twoFactor.isRequired(req.user)) {
+    return next(
+      new AppError(
+        "Two-factor authentication is required for your role and cannot be disabled",
+        403,
+      ),
+    );
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!password || !(await user.matchPassword(password))) {
+    return next(new AppError("Your password is wrong", 401));
+  }
+  if (!(await twoFactor.verify(user._id, { code, recoveryCode }))) {
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  await twoFactor.disable(user._id);
+
+  await logTwoFactorActivity(
+    req,
+    user._id,
+    "Two-factor authentication disabled",
+    `${user.username} disabled two-factor authentication`,
+  );
+
+  ApiResponse.success(res, null, "Two-factor authentication disabled");
+});
+
+// Replace the recovery codes ({ code }); the old ones stop working
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  if (!req.user.twoFactor?.enabled) {
+    return next(new AppError("Two-factor authentication is not enabled", 400));
+  }
+  if (!(await twoFactor.verify(req.user._id, { code: req.body.code }))) {
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+
+  await logTwoFactorActivity(
+    req,
+    req.user._id,
+    "Recovery codes regenerated",
+    `${req.user.username} generated new two-factor recovery codes`,
+  );
+
+  ApiResponse.success(
+    res,
+    { recoveryCodes },
+    "Recovery codes regenerated successfully",
+  );
+});
+
+// Admin: reset 2FA for a user who lost their device and recovery codes.
+// They are signed out everywhere and enroll again at their next login.
+const resetUserTwoFactor = catchAsync(async (req, res, next) => {
+  const user = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await User.findById(req.params.id).select("username twoFactor")
+    : null;
+  if (!user) {
+    return next(new AppError("User not found", 404));
+  }
+
+  await twoFactor.disable(user._id);
+  await sessions.revokeAll(user._id, "admin", { revokedBy: req.user._id });
+
+  await logTwoFactorActivity(
+    req,
+    user._id,
+    "Admin reset two-factor authentication",
+    `${req.user.username} reset two-factor authentication of ${user.username}`,
+  );
+
+  ApiResponse.success(
+    res,
+    { userId: user._id },
+    "Two-factor authentication reset successfully",
+  );
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  resetUserTwoFactor,
+};
@@ -5,6 +5,9 @@ const ApiResponse = require("../utils/apiResponse");
 const bcrypt = require("bcryptjs");
 const Activity = require("../models/Activity");
 const Announcement = require("../models/Announcement");
+const Follow = require("../models/Follow");
+const { notify } = require("../services/notify");
+const sessions = require("../services/sessions");
 
 // Get all users (public - limited info)
 const getAllUsers = catchAsync(async (req, res, next) => {
@@ -18,14 +21,25 @@ const getAllUsers = catchAsync(async (req, res, next) => {
 // Get single user (public - limited info)
 const getUser = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.params.id).select(
-    "username firstName lastName profileImage bio location website socialLinks role createdAt",
+    "username firstName lastName profileImage bio location website socialLinks role isActive createdAt",
   );
 
   if (!user || !user.isActive) {
     return next(new AppError("User not found", 404));
   }
 
-  ApiResponse.success(res, user, "User retrieved successfully");
+  // Followers of the reporter and whether the current reader is one of them
+  const followTarget = { targetType: "author", target: String(user._id) };
+  const [followerCount, isFollowing] = await Promise.all([
+    Follow.countDocuments(followTarget),
+    req.user ? Follow.exists({ ...followTarget, follower: req.user._id }) : null,
+  ]);
+
+  ApiResponse.success(
+    res,
+    { ...user.toObject(), followerCount, isFollowing: !!isFollowing },
+    "User retrieved successfully",
+  );
 });
 
 // Get my profile (protected)
@@ -149,6 +163,9 @@ const changePassword = catchAsync(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every device
+  await sessions.revokeAll(user._id, "password_change");
+
   // Log password change activity
   await Activity.create({
     user: req.user._id,
@@ -472,19 +489,18 @@ const toggleUserPublishingPermission = catchAsync(async (req, res, next) => {
       actionText: "Create Your First Post",
     });
 
-    // Send real-time notification to the user
-    if (global.io) {
-      global.io.to(`user_${user._id}`).emit("notification", {
-        type: "permission_granted",
-        title: "Publishing Permission Granted",
-        message: `Hello ${user.firstName}! You have been granted permission to create and publish posts.`,
-        actionUrl: "/new-post",
-        actionText: "Create Your First Post",
-        timestamp: new Date(),
-        priority: "high",
-        icon: "check",
-      });
-    }
+    // Notify the user (inbox + real time)
+    notify(user._id, {
+      type: "permission_granted",
+      title: "Publishing Permission Granted",
+      message: `Hello ${user.firstName}! You have been granted permission to create and publish posts.`,
+      actionUrl: "/new-post",
+      actionText: "Create Your First Post",
+      from: { _id: req.user._id },
+      timestamp: new Date(),
+      priority: "high",
+      icon: "check",
+    });
   }
 
   ApiResponse.success(
@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/User");
+const sessions = require("../services/sessions");
+const twoFactor = require("../services/twoFactor");
 const config = require("../config");
 const { AppError } = require("../utils/appError");
 
@@ -36,6 +38,11 @@ const protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, config.JWT_SECRET);
 
+    // 2FA challenge tokens only work on the second login step
+    if (decoded.purpose) {
+      return next(new AppError("Invalid token. Please log in again!", 401));
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.id).select("+isActive");
     if (!currentUser) {
@@ -67,8 +74,17 @@ const protect = asyncHandler(async (req, res, next) => {
       );
     }
 
+    // Check if the session was signed out (logout, device list, password reset)
+    if (!(await sessions.isActive(decoded.sid))) {
+      return next(
+        new AppError("Your session has ended. Please log in again.", 401),
+      );
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    // Sign-in session (refresh token family) the token was issued for
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -121,9 +137,11 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
       );
 
       if (
+        !decoded.purpose &&
         currentUser &&
         currentUser.isActive &&
-        !currentUser.changedPasswordAfter(decoded.iat)
+        !currentUser.changedPasswordAfter(decoded.iat) &&
+        (await sessions.isActive(decoded.sid))
       ) {
         req.user = currentUser;
         optionalAuthCache.set(token, {
@@ -139,6 +157,24 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
+// 2FA setup routes: a signed-in user, or a user whose role requires 2FA
+// enrolling with the challenge token they got at login
+const protectTwoFactorSetup = asyncHandler(async (req, res, next) => {
+  if (!req.body?.challengeToken) return protect(req, res, next);
+
+  const userId = twoFactor.readChallenge(req.body.challengeToken, "2fa_setup");
+  const user = userId && (await User.findById(userId).select("+isActive"));
+  if (!user || !user.isActive) {
+    return next(
+      new AppError("Invalid or expired challenge. Please log in again.", 401),
+    );
+  }
+
+  req.user = user;
+  req.twoFactorChallenge = true;
+  next();
+});
+
 // Check if user owns resource or is admin/moderator
 const checkOwnership = (Model, paramName = "id") => {
   return asyncHandler(async (req, res, next) => {
@@ -174,5 +210,6 @@ module.exports = {
   protect,
   restrictTo,
   optionalAuth,
+  protectTwoFactorSetup,
   checkOwnership,
 };
@@ -75,6 +75,14 @@ const passwordResetLimiter = createRateLimiter(
   20, // 20x limit for admins = 100 resets per hour
 );
 
+// Phone login code requests - each one sends a WhatsApp/SMS message
+const otpLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  10, // 10 code requests per windowMs
+  "Too many login code requests from this IP, please try again after 15 minutes.",
+  5, // 5x limit for admins = 50 requests per 15 min
+);
+
 // API rate limiter for expensive operations - much higher for admins
 const apiLimiter = createRateLimiter(
   15 * 60 * 1000, // 15 minutes
@@ -276,6 +284,7 @@ module.exports = {
   generalLimiter,
   authLimiter,
   passwordResetLimiter,
+  otpLimiter,
   apiLimiter,
   helmetConfig,
   xssProtection,
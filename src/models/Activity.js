@@ -14,9 +14,14 @@ const activitySchema = new mongoose.Schema(
       enum: [
         "login",
         "logout",
+        "token_reuse",
+        "session_revoke",
+        "two_factor_update",
         "register",
         "profile_update",
         "password_change",
+        "password_reset_request",
+        "password_reset",
         "post_create",
         "post_update",
         "post_delete",
@@ -31,6 +36,8 @@ const activitySchema = new mongoose.Schema(
         "comment_delete",
         "comment_like",
         "comment_unlike",
+        "comment_report",
+        "comment_moderate",
         "user_follow",
         "user_unfollow",
         "user_delete",
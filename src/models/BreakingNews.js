@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const taxonomy = require("../services/taxonomy");
 
 const breakingNewsSchema = new mongoose.Schema(
   {
@@ -78,20 +79,20 @@ const breakingNewsSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Slug of a managed Category
     category: {
       type: String,
       required: [true, "Category is required"],
-      enum: [
-        "Technology",
-        "Business",
-        "Science",
-        "World",
-        "Health",
-        "Sports",
-        "Politics",
-        "Entertainment",
-        "General",
-      ],
+      trim: true,
+      validate: {
+        validator: async function (value) {
+          if (this && typeof this.isModified === "function" && !this.isNew && !this.isModified("category")) {
+            return true;
+          }
+          return taxonomy.isValidCategory(value);
+        },
+        message: (props) => `'${props.value}' is not an active category`,
+      },
     },
     location: {
       type: String,
@@ -1,5 +1,21 @@
 const mongoose = require("mongoose");
 
+const REPORT_REASONS = [
+  "spam",
+  "abuse",
+  "hate",
+  "misinformation",
+  "off_topic",
+  "other",
+];
+
+// Comments readers can see (and that count towards Post.commentCount)
+const VISIBLE_FILTER = {
+  isDeleted: false,
+  isHidden: false,
+  moderationStatus: "approved",
+};
+
 const commentSchema = new mongoose.Schema(
   {
     content: {
@@ -23,6 +39,17 @@ const commentSchema = new mongoose.Schema(
       ref: "Comment",
       default: null,
     },
+    // Users mentioned with @username
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    mentionsNotified: {
+      type: Boolean,
+      default: false,
+    },
     likeCount: {
       type: Number,
       default: 0,
@@ -44,6 +71,52 @@ const commentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    reports: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        reason: {
+          type: String,
+          enum: REPORT_REASONS,
+          required: true,
+        },
+        details: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Report details cannot be more than 500 characters"],
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: Date,
+    // Hash of the normalized text, used to spot repeated comments
+    contentHash: {
+      type: String,
+      select: false,
+    },
+    // Rules of the comment filter that flagged this comment
+    filterFlags: [
+      {
+        _id: false,
+        rule: String,
+        reason: String,
+      },
+    ],
+    moderationNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Moderation note cannot be more than 500 characters"],
+    },
   },
   {
     timestamps: true,
@@ -63,7 +136,21 @@ commentSchema.virtual("replies", {
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1, createdAt: 1 });
 commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ moderationStatus: 1, reportedCount: -1, createdAt: -1 });
+commentSchema.index({ contentHash: 1, createdAt: -1 });
+
+// Recount the visible comments of a post into Post.commentCount
+commentSchema.statics.syncPostCommentCount = async function (postId) {
+  const count = await this.countDocuments({ post: postId, ...VISIBLE_FILTER });
+  await mongoose
+    .model("Post")
+    .updateOne({ _id: postId }, { commentCount: count });
+  return count;
+};
 
 const Comment = mongoose.model("Comment", commentSchema);
 
+Comment.REPORT_REASONS = REPORT_REASONS;
+Comment.VISIBLE_FILTER = VISIBLE_FILTER;
+
 module.exports = Comment;
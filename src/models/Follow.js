@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// What a user can follow. `target` holds the user/location id for authors and
+// locations, and the slug for categories and tags.
+const FOLLOW_TYPES = ["author", "category", "tag", "location"];
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Follower is required"],
+    },
+    targetType: {
+      type: String,
+      enum: FOLLOW_TYPES,
+      required: [true, "Target type is required"],
+    },
+    target: {
+      type: String,
+      required: [true, "Target is required"],
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+followSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+followSchema.index({ targetType: 1, target: 1 });
+
+const Follow = mongoose.model("Follow", followSchema);
+
+Follow.FOLLOW_TYPES = FOLLOW_TYPES;
+
+module.exports = Follow;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const liveBlogEntrySchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: [true, "Post is required"],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Author is required"],
+    },
+    text: {
+      type: String,
+      required: [true, "Entry text is required"],
+      trim: true,
+      maxlength: [5000, "Entry text cannot exceed 5000 characters"],
+    },
+    image: {
+      url: {
+        type: String,
+        validate: {
+          validator: function (v) {
+            return !v || validator.isURL(v);
+          },
+          message: "Please provide a valid image URL",
+        },
+      },
+      alt: {
+        type: String,
+        maxlength: [100, "Alt text cannot exceed 100 characters"],
+      },
+      caption: {
+        type: String,
+        maxlength: [200, "Caption cannot exceed 200 characters"],
+      },
+    },
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    // Display time of the entry (defaults to when it was posted)
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+liveBlogEntrySchema.index({ post: 1, postedAt: -1 });
+liveBlogEntrySchema.index({ post: 1, isPinned: 1, postedAt: -1 });
+// Polling cursor (?since=)
+liveBlogEntrySchema.index({ post: 1, createdAt: 1, _id: 1 });
+
+const LiveBlogEntry = mongoose.model("LiveBlogEntry", liveBlogEntrySchema);
+
+module.exports = LiveBlogEntry;
@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+// Levels of the region hierarchy, top to bottom
+const LOCATION_TYPES = ["state", "district", "tehsil", "village"];
+
+const locationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    nameHi: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Hindi name cannot exceed 100 characters"],
+    },
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [120, "Slug cannot exceed 120 characters"],
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+    type: {
+      type: String,
+      enum: LOCATION_TYPES,
+      required: [true, "Location type is required"],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
+    // All parents from the state down, used to query a region and its descendants
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Location",
+      },
+    ],
+    // Other spellings in Hindi or English (stored lowercased)
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [100, "Alias cannot exceed 100 characters"],
+      },
+    ],
+    coordinates: {
+      lat: {
+        type: Number,
+        min: [-90, "Latitude must be between -90 and 90"],
+        max: [90, "Latitude must be between -90 and 90"],
+      },
+      lng: {
+        type: Number,
+        min: [-180, "Longitude must be between -180 and 180"],
+        max: [180, "Longitude must be between -180 and 180"],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+locationSchema.index({ parent: 1, name: 1 });
+locationSchema.index({ ancestors: 1 });
+locationSchema.index({ aliases: 1 });
+locationSchema.index({ type: 1, isActive: 1 });
+
+// Parent must be exactly one level above the location
+locationSchema.statics.parentTypeFor = function (type) {
+  const index = LOCATION_TYPES.indexOf(type);
+  return index > 0 ? LOCATION_TYPES[index - 1] : null;
+};
+
+const Location = mongoose.model("Location", locationSchema);
+
+Location.LOCATION_TYPES = LOCATION_TYPES;
+
+module.exports = Location;
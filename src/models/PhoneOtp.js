@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// One-time login code sent to a phone number. Only an HMAC of the code is
+// stored. Documents are kept for a day (after the code itself has expired)
+// so the per-number send limits can count them.
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["whatsapp", "sms"],
+      required: true,
+    },
+    provider: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Wrong guesses so far
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    consumedAt: Date,
+    ipAddress: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+phoneOtpSchema.index({ phone: 1, createdAt: -1 });
+phoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const PhoneOtp = mongoose.model("PhoneOtp", phoneOtpSchema);
+
+module.exports = PhoneOtp;
@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 const validator = require("validator");
+const { getPlainText } = require("../services/contentBlocks");
+const taxonomy = require("../services/taxonomy");
+
+// Taxonomy values are only checked when they change, so unrelated saves
+// (counters, status changes) keep working after a category is deactivated
+const unchangedOnSave = (doc, path) =>
+  doc &&
+  typeof doc.isModified === "function" &&
+  !doc.isNew &&
+  !doc.isModified(path);
 
 const postSchema = new mongoose.Schema(
   {
@@ -27,6 +37,17 @@ const postSchema = new mongoose.Schema(
       trim: true,
       minlength: [50, "Content must be at least 50 characters long"],
     },
+    // "blocks" posts keep structured content in contentBlocks and the
+    // rendered, sanitized HTML in content
+    contentFormat: {
+      type: String,
+      enum: ["html", "blocks"],
+      default: "html",
+    },
+    contentBlocks: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined,
+    },
     excerpt: {
       type: String,
       maxlength: [300, "Excerpt cannot exceed 300 characters"],
@@ -117,19 +138,36 @@ const postSchema = new mongoose.Schema(
         },
       },
     ],
-    tags: [
-      {
-        type: String,
-        trim: true,
-        lowercase: true,
-        maxlength: [30, "Tag cannot exceed 30 characters"],
+    tags: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: [30, "Tag cannot exceed 30 characters"],
+        },
+      ],
+      validate: {
+        validator: async function (value) {
+          if (unchangedOnSave(this, "tags")) return true;
+          return taxonomy.areValidTags(value);
+        },
+        message: "Tags must be existing, active tags",
       },
-    ],
+    },
+    // Slug of a managed Category
     category: {
       type: String,
       required: [true, "Category is required"],
       trim: true,
       maxlength: [50, "Category cannot exceed 50 characters"],
+      validate: {
+        validator: async function (value) {
+          if (unchangedOnSave(this, "category")) return true;
+          return taxonomy.isValidCategory(value);
+        },
+        message: (props) => `'${props.value}' is not an active category`,
+      },
     },
     location: {
       type: String,
@@ -138,28 +176,110 @@ const postSchema = new mongoose.Schema(
       default: "Kishangarh Renwal",
       index: true,
     },
+    // Managed Location the free-text location resolved to (null if unknown)
+    locationRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null,
+    },
     status: {
       type: String,
       enum: {
-        values: ["draft", "published", "archived", "scheduled"],
-        message: "Status must be draft, published, archived, or scheduled",
+        values: [
+          "draft",
+          "submitted",
+          "in_review",
+          "changes_requested",
+          "approved",
+          "published",
+          "archived",
+          "scheduled",
+        ],
+        message:
+          "Status must be draft, submitted, in_review, changes_requested, approved, published, archived, or scheduled",
       },
       default: "draft",
     },
+    // Editorial review workflow (draft → submitted → in_review → changes_requested/approved → published)
+    review: {
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      assignedAt: Date,
+      submittedAt: Date,
+      changesRequestedReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Reason cannot exceed 1000 characters"],
+      },
+      approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      approvedAt: Date,
+      notes: [
+        {
+          author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          note: {
+            type: String,
+            required: [true, "Review note is required"],
+            trim: true,
+            maxlength: [2000, "Review note cannot exceed 2000 characters"],
+          },
+          kind: {
+            type: String,
+            enum: ["note", "changes_requested", "approval"],
+            default: "note",
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
     publishedAt: {
       type: Date,
     },
     scheduledFor: {
       type: Date,
     },
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     isPromoted: {
       type: Boolean,
       default: false,
     },
+    // Pinned to trending (kept in sync with trendingOverride === "pin")
     isTrending: {
       type: Boolean,
       default: false,
     },
+    // Manual trending override: "pin" always lists the post first,
+    // "suppress" keeps it out of trending whatever its score
+    trendingOverride: {
+      type: String,
+      enum: ["pin", "suppress", null],
+      default: null,
+    },
+    // Decayed engagement score, recomputed periodically by services/trending
+    trendingScore: {
+      type: Number,
+      default: 0,
+    },
+    trendingUpdatedAt: Date,
     isFeatured: {
       type: Boolean,
       default: false,
@@ -184,6 +304,13 @@ const postSchema = new mongoose.Schema(
       default: 0,
       min: [0, "Share count cannot be negative"],
     },
+    // open: comments go live, moderated: comments wait for approval,
+    // closed: no new comments
+    commentMode: {
+      type: String,
+      enum: ["open", "moderated", "closed"],
+      default: "open",
+    },
     readingTime: {
       type: Number, // in minutes
       min: [1, "Reading time must be at least 1 minute"],
@@ -210,6 +337,32 @@ const postSchema = new mongoose.Schema(
         },
       ],
     },
+    // Live blog / running story mode (entries live in the LiveBlogEntry collection)
+    liveBlog: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      status: {
+        type: String,
+        enum: ["live", "ended"],
+        default: "live",
+      },
+      startedAt: Date,
+      endedAt: Date,
+      lastEntryAt: Date,
+      entryCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
+    // Incremented on every editor save; used for optimistic concurrency (If-Match)
+    editVersion: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -275,9 +428,13 @@ postSchema.index({ category: 1, status: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ slug: 1 }, { unique: true });
 postSchema.index({ isPromoted: 1, isTrending: 1, isFeatured: 1 });
+postSchema.index({ status: 1, trendingScore: -1 });
 postSchema.index({ viewCount: -1 });
 postSchema.index({ likeCount: -1 });
 postSchema.index({ location: 1 });
+postSchema.index({ locationRef: 1, status: 1, publishedAt: -1 });
+postSchema.index({ "review.reviewer": 1, status: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
 
 // Pre-save middleware to generate slug
 postSchema.pre("save", function (next) {
@@ -332,7 +489,7 @@ postSchema.post("save", function (doc, next) {
 postSchema.pre("save", function (next) {
   if (this.isModified("content")) {
     const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
+    const wordCount = getPlainText(this).split(/\s+/).length;
     this.readingTime = Math.ceil(wordCount / wordsPerMinute);
   }
   next();
@@ -341,8 +498,8 @@ postSchema.pre("save", function (next) {
 // Pre-save middleware to generate excerpt
 postSchema.pre("save", function (next) {
   if (this.isModified("content") && !this.excerpt) {
-    // Remove HTML tags and get first 150 characters
-    const plainText = this.content.replace(/<[^>]*>/g, "");
+    // Plain text (HTML stripped or rendered from blocks), first 150 characters
+    const plainText = getPlainText(this).replace(/\s+/g, " ").trim();
     this.excerpt =
       plainText.substring(0, 150) + (plainText.length > 150 ? "..." : "");
   }
@@ -371,14 +528,16 @@ postSchema.statics.getPublished = function (filter = {}) {
   }).populate("author", "username firstName lastName profileImage");
 };
 
-// Static method to get trending posts
+// Static method to get trending posts (pinned first, then by trending score)
 postSchema.statics.getTrending = function (limit = 10) {
   return this.find({
     status: "published",
-    isTrending: true,
     isActive: true,
+    isVisible: { $ne: false },
+    trendingOverride: { $ne: "suppress" },
+    $or: [{ isTrending: true }, { trendingScore: { $gt: 0 } }],
   })
-    .sort({ viewCount: -1, likeCount: -1 })
+    .sort({ isTrending: -1, trendingScore: -1, publishedAt: -1 })
     .limit(limit)
     .populate("author", "username firstName lastName profileImage");
 };
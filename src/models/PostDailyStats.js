@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const counter = { type: Number, default: 0 };
+
+// Daily audience counters per post, written by the view tracker and share
+// tracking. Kept indefinitely so per-post analytics can chart any date range.
+// Map keys (referrer domains, share platforms) are stored with "." encoded,
+// see services/postAnalytics.
+const postDailyStatsSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  // Start of the day (UTC) the counters belong to
+  day: {
+    type: Date,
+    required: true,
+  },
+  views: counter,
+  devices: {
+    desktop: counter,
+    mobile: counter,
+    tablet: counter,
+  },
+  // Referrer domain -> views ("direct" and "internal" for own pages)
+  referrers: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  shares: counter,
+  // Platform sent to the share endpoint -> shares
+  sharePlatforms: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+  // Sum and number of read-through reports (percentage of the article read)
+  readThrough: {
+    total: counter,
+    count: counter,
+  },
+});
+
+postDailyStatsSchema.index({ post: 1, day: 1 }, { unique: true });
+postDailyStatsSchema.index({ day: 1 });
+
+const PostDailyStats = mongoose.model("PostDailyStats", postDailyStatsSchema);
+
+module.exports = PostDailyStats;
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// How long a lock stays valid without a heartbeat
+const LOCK_TTL_MS = 2 * 60 * 1000; // 2 minutes
+
+const postEditLockSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    userName: {
+      type: String,
+      trim: true,
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One lock per post
+postEditLockSchema.index({ post: 1 }, { unique: true });
+// Let MongoDB clean up abandoned locks
+postEditLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Get the lock on a post if it is still valid
+postEditLockSchema.statics.findActive = function (postId) {
+  return this.findOne({ post: postId, expiresAt: { $gt: new Date() } });
+};
+
+const PostEditLock = mongoose.model("PostEditLock", postEditLockSchema);
+
+PostEditLock.LOCK_TTL_MS = LOCK_TTL_MS;
+
+module.exports = PostEditLock;
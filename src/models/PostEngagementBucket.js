@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Hourly engagement counters per post, used by the trending score.
+// Buckets older than the trending window are removed by the TTL index.
+const BUCKET_RETENTION_SECONDS = 8 * 24 * 60 * 60;
+
+const postEngagementBucketSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Post",
+    required: true,
+  },
+  // Start of the hour the counters belong to
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  views: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 },
+  shares: { type: Number, default: 0 },
+});
+
+postEngagementBucketSchema.index({ post: 1, bucket: 1 }, { unique: true });
+postEngagementBucketSchema.index(
+  { bucket: 1 },
+  { expireAfterSeconds: BUCKET_RETENTION_SECONDS },
+);
+
+const PostEngagementBucket = mongoose.model(
+  "PostEngagementBucket",
+  postEngagementBucketSchema,
+);
+
+module.exports = PostEngagementBucket;
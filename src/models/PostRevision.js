@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+
+// Post fields captured in every revision snapshot (publishing state is not versioned)
+const REVISION_FIELDS = [
+  "title",
+  "subheading",
+  "content",
+  "contentFormat",
+  "contentBlocks",
+  "excerpt",
+  "category",
+  "tags",
+  "location",
+  "locationRef",
+  "featuredImage",
+  "featuredVideo",
+  "images",
+  "reporterName",
+  "authorDisplayName",
+];
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: [true, "Post is required"],
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: [1, "Revision number must be at least 1"],
+    },
+    // Post editVersion the snapshot was taken at
+    version: {
+      type: Number,
+      default: 0,
+    },
+    // Copy of the post as it was right before the change was applied
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["update", "restore"],
+      default: "update",
+    },
+    // User whose change replaced this snapshot
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set when the change was a restore of an older revision
+    restoredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PostRevision",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+postRevisionSchema.index({ post: 1, version: 1 });
+
+// Pick the versioned fields from a post document or lean object. Fields the
+// post never had are left out, so a restore does not touch them.
+postRevisionSchema.statics.pickFields = function (post) {
+  const source = post && post.toObject ? post.toObject() : post || {};
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) snapshot[field] = source[field];
+  });
+  return snapshot;
+};
+
+// Attempts at numbering a revision when concurrent saves pick the same number
+const MAX_SNAPSHOT_ATTEMPTS = 5;
+
+// Store the current state of a post as the next revision
+postRevisionSchema.statics.snapshot = async function (
+  post,
+  userId,
+  { action = "update", restoredFrom = null } = {},
+) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id })
+      .sort({ revision: -1 })
+      .select("revision")
+      .lean();
+
+    try {
+      return await this.create({
+        post: post._id,
+        revision: (latest?.revision || 0) + 1,
+        version: post.editVersion || 0,
+        snapshot: this.pickFields(post),
+        action,
+        editedBy: userId,
+        restoredFrom,
+      });
+    } catch (error) {
+      // Another save took this revision number; number it again
+      if (error.code !== 11000 || attempt >= MAX_SNAPSHOT_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const PostRevision = mongoose.model("PostRevision", postRevisionSchema);
+
+PostRevision.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = PostRevision;
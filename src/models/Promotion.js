@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const taxonomy = require("../services/taxonomy");
 
 const promotionSchema = new mongoose.Schema(
   {
@@ -47,19 +48,29 @@ const promotionSchema = new mongoose.Schema(
       required: true,
     },
     targetAudience: {
-      categories: [
-        {
-          type: String,
-          enum: [
-            "news",
-            "technology",
-            "sports",
-            "entertainment",
-            "business",
-            "other",
-          ],
+      // Slugs of managed categories
+      categories: {
+        type: [
+          {
+            type: String,
+            trim: true,
+          },
+        ],
+        validate: {
+          validator: async function (value) {
+            if (
+              this &&
+              typeof this.isModified === "function" &&
+              !this.isNew &&
+              !this.isModified("targetAudience.categories")
+            ) {
+              return true;
+            }
+            return taxonomy.areValidCategories(value);
+          },
+          message: "Target categories must be existing, active categories",
         },
-      ],
+      },
       languages: [
         {
           type: String,
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// One refresh token. Only the SHA-256 hash of the token is stored.
+//
+// Every login starts a new family (the Session id); each refresh revokes the
+// presented token and issues its successor in the same family. Presenting a
+// token that was already rotated means it was copied, so the whole family is
+// revoked.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // When the user originally signed in (carried over on every rotation)
+    authenticatedAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "revoked",
+        "reuse",
+        "password_change",
+        "admin",
+      ],
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
+    userAgent: String,
+    ipAddress: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
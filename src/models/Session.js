@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const REVOKE_REASONS = [
+  "logout",
+  "revoked",
+  "reuse",
+  "password_change",
+  "admin",
+];
+
+// One signed-in device. Started at login; its id is the family of the
+// refresh tokens issued to that device and the `sid` claim of its access tokens.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    browser: String,
+    browserVersion: String,
+    os: String,
+    osVersion: String,
+    device: {
+      type: String,
+      enum: ["desktop", "mobile", "tablet"],
+      default: "desktop",
+    },
+    userAgent: String,
+    ipAddress: String,
+    location: {
+      country: String,
+      region: String,
+      city: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moves forward with every refresh token rotation
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: REVOKE_REASONS,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+Session.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = Session;
@@ -201,6 +201,44 @@ const siteSettingsSchema = new mongoose.Schema(
       maxlength: [120, "Community section title cannot exceed 120 characters"],
       default: "Community remembrances",
     },
+    // "Read next" scoring for GET /posts/:id/related
+    relatedPosts: {
+      tagWeight: { type: Number, min: 0, max: 100, default: 3 },
+      categoryWeight: { type: Number, min: 0, max: 100, default: 2 },
+      locationWeight: { type: Number, min: 0, max: 100, default: 1.5 },
+      recencyWeight: { type: Number, min: 0, max: 100, default: 2 },
+      // Age (days) at which the recency bonus is halved
+      recencyHalfLifeDays: { type: Number, min: 1, max: 365, default: 7 },
+      // Older posts are not considered
+      maxAgeDays: { type: Number, min: 1, max: 3650, default: 180 },
+      limit: { type: Number, min: 1, max: 20, default: 6 },
+    },
+    // Automatic comment filtering (see services/commentFilter)
+    commentFilters: {
+      enabled: { type: Boolean, default: true },
+      // Hold flagged comments as "pending" instead of rejecting them; the
+      // commenter is not told that the comment is waiting for review
+      shadowHold: { type: Boolean, default: true },
+      // Words and phrases in Devanagari or Latin script; spelling variants
+      // and Hinglish transliterations are folded before matching
+      blocklist: { type: [String], default: [] },
+      maxLinks: { type: Number, min: 0, max: 50, default: 2 },
+      // Same text from the same user, or from several users, within this window
+      duplicateWindowMinutes: { type: Number, min: 1, max: 10080, default: 60 },
+      duplicateUserThreshold: { type: Number, min: 2, max: 100, default: 3 },
+      // Posting velocity per user (comments and replies)
+      maxPerMinute: { type: Number, min: 1, max: 100, default: 3 },
+      maxPerHour: { type: Number, min: 1, max: 1000, default: 30 },
+    },
+    // Two-factor authentication policy: users with these roles must set up
+    // 2FA before they can sign in (see services/twoFactor)
+    twoFactor: {
+      requiredRoles: {
+        type: [String],
+        enum: ["admin", "moderator", "author", "viewer"],
+        default: [],
+      },
+    },
     lastUpdatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+// Published posts of a series shown to readers
+const PUBLIC_POST_FILTER = {
+  status: "published",
+  isActive: true,
+  isVisible: { $ne: false },
+};
+
+const NAV_POST_FIELDS = "title slug excerpt featuredImage publishedAt";
+
+const storySeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      minlength: [3, "Title must be at least 3 characters long"],
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+    coverImage: {
+      url: {
+        type: String,
+        validate: {
+          validator: function (v) {
+            return !v || validator.isURL(v);
+          },
+          message: "Please provide a valid image URL",
+        },
+      },
+      alt: {
+        type: String,
+        maxlength: [100, "Alt text cannot exceed 100 characters"],
+      },
+    },
+    // Posts in reading order (a post belongs to at most one series)
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+storySeriesSchema.index({ posts: 1 });
+storySeriesSchema.index({ isActive: 1, updatedAt: -1 });
+
+// Generate a unique slug from the title (Hindi titles fall back to the id)
+storySeriesSchema.pre("save", async function (next) {
+  if (this.slug && !this.isModified("title")) return next();
+
+  const base =
+    this.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 80) || this._id.toString();
+
+  let slug = base;
+  let suffix = 1;
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    slug = `${base}-${suffix++}`;
+  }
+  this.slug = slug;
+  next();
+});
+
+// Series navigation for a post: position plus previous/next published posts
+storySeriesSchema.statics.getNavigation = async function (postId) {
+  const series = await this.findOne({ posts: postId, isActive: true })
+    .select("title slug coverImage posts")
+    .lean();
+  if (!series) return null;
+
+  const Post = mongoose.model("Post");
+  const published = await Post.find({
+    _id: { $in: series.posts },
+    ...PUBLIC_POST_FILTER,
+  })
+    .select(NAV_POST_FIELDS)
+    .lean();
+  const byId = new Map(published.map((p) => [String(p._id), p]));
+
+  // Keep series order; unpublished posts are skipped
+  const ordered = series.posts
+    .map((id) => byId.get(String(id)))
+    .filter(Boolean);
+  const index = ordered.findIndex((p) => String(p._id) === String(postId));
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    coverImage: series.coverImage,
+    totalPosts: ordered.length,
+    position: index === -1 ? null : index + 1,
+    prev: index > 0 ? ordered[index - 1] : null,
+    next:
+      index !== -1 && index < ordered.length - 1 ? ordered[index + 1] : null,
+  };
+};
+
+const StorySeries = mongoose.model("StorySeries", storySeriesSchema);
+
+StorySeries.PUBLIC_POST_FILTER = PUBLIC_POST_FILTER;
+
+module.exports = StorySeries;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const tagSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Slug cannot exceed 30 characters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [30, "Name cannot exceed 30 characters"],
+    },
+    nameHi: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Hindi name cannot exceed 30 characters"],
+    },
+    // Optional category the tag belongs to (used to group tags in the UI)
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+tagSchema.index({ isActive: 1, order: 1 });
+tagSchema.index({ name: "text", nameHi: "text" });
+
+const Tag = mongoose.model("Tag", tagSchema);
+
+module.exports = Tag;
@@ -16,10 +16,17 @@ const userSchema = new mongoose.Schema(
       minlength: [3, "Username must be at least 3 characters long"],
       maxlength: [30, "Username cannot exceed 30 characters"],
     },
+    // Accounts created by phone login have no email or password
     email: {
       type: String,
-      required: [true, "Email is required"],
+      required: [
+        function () {
+          return !this.phoneVerified;
+        },
+        "Email is required",
+      ],
       unique: true,
+      sparse: true,
       lowercase: true,
       validate: [validator.isEmail, "Please provide a valid email address"],
     },
@@ -33,9 +40,19 @@ const userSchema = new mongoose.Schema(
         message: "Please provide a valid phone number",
       },
     },
+    // Set once the number is confirmed with a one-time code (phone login)
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.phoneVerified;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters long"],
       select: false,
     },
@@ -47,7 +64,12 @@ const userSchema = new mongoose.Schema(
     },
     lastName: {
       type: String,
-      required: [true, "Last name is required"],
+      required: [
+        function () {
+          return !this.phoneVerified;
+        },
+        "Last name is required",
+      ],
       trim: true,
       maxlength: [50, "Last name cannot exceed 50 characters"],
     },
@@ -132,6 +154,18 @@ const userSchema = new mongoose.Schema(
     passwordResetToken: String,
     passwordResetExpires: Date,
     passwordChangedAt: Date,
+    // TOTP two-factor authentication (see services/twoFactor)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      // Encrypted base32 secrets; pendingSecret waits for the first valid code
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], default: undefined, select: false },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: { type: Number, select: false },
+    },
     theme: {
       type: String,
       enum: ["light", "dark", "system"],
@@ -158,6 +192,11 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: true,
       },
+      // @username mentions in comments
+      mentions: {
+        type: Boolean,
+        default: true,
+      },
     },
     privacy: {
       profileVisible: {
@@ -190,6 +229,12 @@ const userSchema = new mongoose.Schema(
         delete ret.passwordResetExpires;
         delete ret.emailVerificationToken;
         delete ret.emailVerificationExpires;
+        if (ret.twoFactor) {
+          delete ret.twoFactor.secret;
+          delete ret.twoFactor.pendingSecret;
+          delete ret.twoFactor.recoveryCodes;
+          delete ret.twoFactor.lastUsedStep;
+        }
         delete ret.__v;
         return ret;
       },
@@ -209,7 +254,11 @@ userSchema.virtual("isLocked").get(function () {
 });
 
 // Indexes for performance
-userSchema.index({ email: 1 });
+// One account per verified phone number (phone login)
+userSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } },
+);
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
@@ -232,6 +281,8 @@ userSchema.pre("save", async function (next) {
 
 // Instance method to check password
 userSchema.methods.matchPassword = async function (candidatePassword) {
+  // Phone-login accounts have no password
+  if (!this.password || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -240,13 +291,15 @@ userSchema.methods.correctPassword = async function (
   candidatePassword,
   userPassword,
 ) {
+  if (!userPassword || !candidatePassword) return false;
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
 // Instance method to generate JWT token
-userSchema.methods.getSignedJwtToken = function () {
+userSchema.methods.getSignedJwtToken = function (claims = {}) {
   return jwt.sign(
     {
+      ...claims,
       id: this._id,
       role: this.role,
     },
@@ -301,7 +354,8 @@ userSchema.statics.getAuthenticated = async function (username, password) {
     $or: [{ email: username }, { username: username }],
   }).select("+password");
 
-  if (!user) {
+  // Phone-login accounts have no password
+  if (!user || !user.password) {
     return { user: null, error: "Invalid credentials" };
   }
 
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// One entry in a user's notification inbox. Every real-time "notification"
+// event is stored here as well, so users who were offline still see it.
+// (Notification is the email campaign log, not this inbox.)
+const userNotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Who caused it, and what it is about (when known)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    // The rest of the event payload as it was emitted
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+userNotificationSchema.index({ recipient: 1, createdAt: -1 });
+userNotificationSchema.index({ recipient: 1, isRead: 1 });
+// Retention cleanup
+userNotificationSchema.index({ createdAt: 1 });
+
+const UserNotification = mongoose.model(
+  "UserNotification",
+  userNotificationSchema,
+);
+
+module.exports = UserNotification;
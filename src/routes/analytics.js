@@ -0,0 +1,20 @@
+const express = require("express");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getSummary,
+  getTop,
+  getPublishingVolume,
+  getEngagementFunnel,
+} = require("../controllers/analyticsController");
+
+const router = express.Router();
+
+// Newsroom analytics are staff only; every report accepts ?from=&to= (YYYY-MM-DD)
+router.use(protect, restrictTo("admin", "moderator"));
+
+router.get("/summary", getSummary);
+router.get("/top/:dimension", getTop);
+router.get("/publishing", getPublishingVolume);
+router.get("/funnel", getEngagementFunnel);
+
+module.exports = router;
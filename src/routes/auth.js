@@ -1,8 +1,14 @@
 const express = require("express");
 const { body } = require("express-validator");
 const authController = require("../controllers/authController");
-const { authLimiter, passwordResetLimiter } = require("../middleware/security");
-const { protect } = require("../middleware/auth");
+const sessionController = require("../controllers/sessionController");
+const twoFactorController = require("../controllers/twoFactorController");
+const {
+  authLimiter,
+  passwordResetLimiter,
+  otpLimiter,
+} = require("../middleware/security");
+const { protect, protectTwoFactorSetup } = require("../middleware/auth");
 
 const router = express.Router();
 
@@ -49,11 +55,66 @@ const resetPasswordValidation = [
     .withMessage("Password must be at least 6 characters long"),
 ];
 
+const updatePasswordValidation = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+];
+
+const phoneOtpRequestValidation = [
+  body("phone").notEmpty().withMessage("Mobile number is required"),
+  body("channel")
+    .optional()
+    .isIn(["whatsapp", "sms"])
+    .withMessage("Channel must be whatsapp or sms"),
+];
+
+const phoneOtpVerifyValidation = [
+  body("phone").notEmpty().withMessage("Mobile number is required"),
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("First name cannot exceed 50 characters"),
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Last name cannot exceed 50 characters"),
+];
+
 // Authentication routes
 router.post("/register", registerValidation, authController.register);
 router.post("/login", loginValidation, authController.login);
 router.post("/logout", authController.logout);
+router.post("/refresh", authController.refreshToken);
 router.post("/refresh-token", authController.refreshToken);
+router.post(
+  "/2fa/verify-login",
+  authLimiter,
+  authController.verifyTwoFactorLogin,
+);
+
+// Phone login (readers): one-time code over WhatsApp or SMS
+router.post(
+  "/phone/request-otp",
+  otpLimiter,
+  phoneOtpRequestValidation,
+  authController.requestPhoneOtp,
+);
+router.post(
+  "/phone/verify-otp",
+  authLimiter,
+  phoneOtpVerifyValidation,
+  authController.verifyPhoneOtp,
+);
 
 // Email verification
 router.get("/verify-email/:token", authController.verifyEmail);
@@ -78,9 +139,42 @@ router.patch(
 );
 
 // Protected routes
-router.patch("/update-password", protect, authController.updatePassword);
+router.patch(
+  "/update-password",
+  protect,
+  passwordResetLimiter,
+  updatePasswordValidation,
+  authController.updatePassword,
+);
 router.get("/me", protect, authController.getMe);
 router.patch("/update-me", protect, authController.updateMe);
 router.delete("/delete-me", protect, authController.deleteMe);
 
+// Signed-in devices
+router.get("/sessions", protect, sessionController.getMySessions);
+router.delete(
+  "/sessions/others",
+  protect,
+  sessionController.revokeOtherSessions,
+);
+router.delete("/sessions/:id", protect, sessionController.revokeMySession);
+
+// Two-factor authentication (setup and enable also accept the challenge
+// token from login when the user's role requires 2FA)
+router.get("/2fa", protect, twoFactorController.getStatus);
+router.post("/2fa/setup", protectTwoFactorSetup, twoFactorController.setup);
+router.post(
+  "/2fa/enable",
+  authLimiter,
+  protectTwoFactorSetup,
+  twoFactorController.enable,
+);
+router.post("/2fa/disable", authLimiter, protect, twoFactorController.disable);
+router.post(
+  "/2fa/recovery-codes",
+  authLimiter,
+  protect,
+  twoFactorController.regenerateRecoveryCodes,
+);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { body } = require("express-validator");
+const taxonomy = require("../services/taxonomy");
 const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 const {
   getAllStories,
@@ -50,17 +51,8 @@ const storyValidation = [
     })
     .withMessage("Image URL must be a valid URL or data URL"),
   body("category")
-    .isIn([
-      "Technology",
-      "Business",
-      "Science",
-      "World",
-      "Health",
-      "Sports",
-      "Politics",
-      "Entertainment",
-      "General",
-    ])
+    .customSanitizer(taxonomy.resolveCategory)
+    .notEmpty()
     .withMessage("Invalid category"),
   body("priority")
     .optional()
@@ -0,0 +1,25 @@
+const express = require("express");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getCategories,
+  getCategory,
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../controllers/taxonomyController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getCategories);
+
+// Admin routes
+router.get("/admin/all", protect, restrictTo("admin"), getAdminCategories);
+router.post("/", protect, restrictTo("admin"), createCategory);
+router.patch("/:id", protect, restrictTo("admin"), updateCategory);
+router.delete("/:id", protect, restrictTo("admin"), deleteCategory);
+
+router.get("/:slug", getCategory);
+
+module.exports = router;
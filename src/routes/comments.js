@@ -0,0 +1,18 @@
+const express = require("express");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getModerationQueue,
+  moderateComment,
+  bulkModerateComments,
+} = require("../controllers/commentModerationController");
+
+const router = express.Router();
+
+// Comment moderation is staff only
+router.use(protect, restrictTo("admin", "moderator"));
+
+router.get("/moderation/queue", getModerationQueue);
+router.patch("/moderation/bulk", bulkModerateComments);
+router.patch("/:commentId/moderation", moderateComment);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const { protect } = require("../middleware/auth");
+const {
+  follow,
+  unfollow,
+  getMyFollows,
+  getFollowStatus,
+  getFollowerCount,
+} = require("../controllers/followController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/count/:type/:target", getFollowerCount);
+
+// Protected routes - authentication required
+router.use(protect);
+
+router.get("/me", getMyFollows);
+router.get("/status", getFollowStatus);
+router.post("/", follow);
+router.delete("/:type/:target", unfollow);
+
+module.exports = router;
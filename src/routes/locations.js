@@ -0,0 +1,27 @@
+const express = require("express");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getLocations,
+  resolveLocation,
+  getLocation,
+  getAdminLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+} = require("../controllers/locationController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getLocations);
+router.get("/resolve", resolveLocation);
+
+// Admin routes
+router.get("/admin/all", protect, restrictTo("admin"), getAdminLocations);
+router.post("/", protect, restrictTo("admin"), createLocation);
+router.patch("/:id", protect, restrictTo("admin"), updateLocation);
+router.delete("/:id", protect, restrictTo("admin"), deleteLocation);
+
+router.get("/:id", getLocation);
+
+module.exports = router;
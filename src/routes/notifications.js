@@ -4,6 +4,13 @@ const {
   sendNotification,
   sendTestEmail,
 } = require("../controllers/notificationController");
+const {
+  getInbox,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+} = require("../controllers/inboxController");
 const { protect, restrictTo } = require("../middleware/auth");
 
 const router = express.Router();
@@ -11,6 +18,13 @@ const router = express.Router();
 // All routes require authentication
 router.use(protect);
 
+// The current user's inbox
+router.get("/inbox", getInbox);
+router.get("/inbox/unread-count", getUnreadCount);
+router.patch("/inbox/read-all", markAllAsRead);
+router.patch("/inbox/:id/read", markAsRead);
+router.delete("/inbox/:id", deleteNotification);
+
 // Admin only routes
 router.use(restrictTo("admin"));
 
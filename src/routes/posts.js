@@ -2,8 +2,16 @@ const express = require("express");
 const { body } = require("express-validator");
 const postController = require("../controllers/postController");
 const ogController = require("../controllers/ogController");
+const revisionController = require("../controllers/revisionController");
+const reviewController = require("../controllers/reviewController");
+const scheduleController = require("../controllers/scheduleController");
+const editLockController = require("../controllers/editLockController");
+const liveBlogController = require("../controllers/liveBlogController");
+const postAnalyticsController = require("../controllers/postAnalyticsController");
+const commentModerationController = require("../controllers/commentModerationController");
 const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 const { apiLimiter } = require("../middleware/security");
+const taxonomy = require("../services/taxonomy");
 
 const router = express.Router();
 
@@ -17,46 +25,28 @@ const createPostValidation = [
     .isLength({ min: 5, max: 200 })
     .withMessage("Title must be between 5 and 200 characters"),
   body("content")
+    .if(body("contentBlocks").not().exists())
     .trim()
     .isLength({ min: 50 })
     .withMessage("Content must be at least 50 characters long"),
+  body("contentBlocks")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("contentBlocks must be a non-empty array"),
   body("category")
-    .isIn([
-      "Education",
-      "Technology",
-      "Programming",
-      "Web Development",
-      "Mobile Development",
-      "Data Science",
-      "AI & Machine Learning",
-      "Cybersecurity",
-      "DevOps",
-      "Design",
-      "Business",
-      "Startup",
-      "Career",
-      "Tutorial",
-      "News",
-      "Review",
-      "Opinion",
-      "general",
-      "technology",
-      "business",
-      "sports",
-      "entertainment",
-      "health",
-      "science",
-      "politics",
-      "lifestyle",
-      "other",
-    ])
+    .customSanitizer(taxonomy.resolveCategory)
+    .notEmpty()
     .withMessage("Please select a valid category"),
   body("tags").optional().isArray().withMessage("Tags must be an array"),
   body("tags.*")
     .optional()
     .trim()
     .isLength({ max: 30 })
-    .withMessage("Each tag cannot exceed 30 characters"),
+    .withMessage("Each tag cannot exceed 30 characters")
+    .bail()
+    .customSanitizer(taxonomy.resolveTag)
+    .notEmpty()
+    .withMessage("Each tag must be an existing, active tag"),
 ];
 
 const updatePostValidation = [
@@ -70,44 +60,25 @@ const updatePostValidation = [
     .trim()
     .isLength({ min: 50 })
     .withMessage("Content must be at least 50 characters long"),
+  body("contentBlocks")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("contentBlocks must be a non-empty array"),
   body("category")
     .optional()
-    .isIn([
-      "Education",
-      "Technology",
-      "Programming",
-      "Web Development",
-      "Mobile Development",
-      "Data Science",
-      "AI & Machine Learning",
-      "Cybersecurity",
-      "DevOps",
-      "Design",
-      "Business",
-      "Startup",
-      "Career",
-      "Tutorial",
-      "News",
-      "Review",
-      "Opinion",
-      "general",
-      "technology",
-      "business",
-      "sports",
-      "entertainment",
-      "health",
-      "science",
-      "politics",
-      "lifestyle",
-      "other",
-    ])
+    .customSanitizer(taxonomy.resolveCategory)
+    .notEmpty()
     .withMessage("Please select a valid category"),
   body("tags").optional().isArray().withMessage("Tags must be an array"),
   body("tags.*")
     .optional()
     .trim()
     .isLength({ max: 30 })
-    .withMessage("Each tag cannot exceed 30 characters"),
+    .withMessage("Each tag cannot exceed 30 characters")
+    .bail()
+    .customSanitizer(taxonomy.resolveTag)
+    .notEmpty()
+    .withMessage("Each tag must be an existing, active tag"),
 ];
 
 // Public routes (with optional authentication for personalization)
@@ -131,15 +102,35 @@ router.get("/details/:id", optionalAuth, postController.getPostById);
 // Comments can be viewed without authentication
 router.get("/:id/comments", optionalAuth, postController.getComments);
 
+// Live blog entries are public (newest first; ?before= pages back, ?since= polls forward)
+router.get("/:id/live/entries", optionalAuth, liveBlogController.getEntries);
+
+// "Read next" suggestions for a post
+router.get("/:id/related", optionalAuth, postController.getRelatedPosts);
+
 // Share tracking should work without login (optional authentication for attribution)
 router.post("/:id/share", optionalAuth, postController.sharePost);
 
+// Read-through reporting (how much of the article was read)
+router.post(
+  "/:id/read-through",
+  optionalAuth,
+  postAnalyticsController.trackReadThrough,
+);
+
+// Posts from followed authors, categories, tags and locations
+// (registered before "/:id" so "following" is not read as a post slug)
+router.get("/following", protect, postController.getFollowingFeed);
+
 // Post details by ID (primary route - faster than slug lookup) - MUST be last to avoid conflicts
 router.get("/:id", optionalAuth, postController.getPostById);
 
 // Protected routes - authentication required
 router.use(protect);
 
+// Personalized "For You" feed
+router.get("/feed/personal", postController.getPersonalFeed);
+
 // Like functionality (all authenticated users)
 router.post("/:id/like", postController.toggleLike);
 router.get("/:id/like-status", postController.checkLikeStatus);
@@ -156,6 +147,17 @@ router.post("/:id/comments/:commentId/replies", postController.replyToComment);
 router.post("/:id/comments/:commentId/like", postController.likeComment);
 router.put("/:id/comments/:commentId", postController.updateComment);
 router.delete("/:id/comments/:commentId", postController.deleteComment);
+router.post(
+  "/:id/comments/:commentId/report",
+  commentModerationController.reportComment,
+);
+
+// Comment settings per post: open, moderated (held for approval) or closed
+router.patch(
+  "/:id/comment-settings",
+  restrictTo("admin", "moderator", "author"),
+  commentModerationController.setCommentMode,
+);
 
 // Author and above can create posts
 router.post(
@@ -167,9 +169,115 @@ router.post(
 
 // Author can manage their own posts, admin/moderator can manage all
 router.get("/my/posts", postController.getMyPosts);
+
+// Editorial review workflow
+router.get(
+  "/review/queue",
+  restrictTo("admin", "moderator"),
+  reviewController.getReviewQueue,
+);
+router.get("/:id/review", reviewController.getReview);
+router.post(
+  "/:id/review/submit",
+  restrictTo("admin", "moderator", "author"),
+  reviewController.submitForReview,
+);
+router.patch(
+  "/:id/review/assign",
+  restrictTo("admin", "moderator"),
+  reviewController.assignReviewer,
+);
+router.post(
+  "/:id/review/notes",
+  restrictTo("admin", "moderator", "author"),
+  reviewController.addReviewNote,
+);
+router.post(
+  "/:id/review/request-changes",
+  restrictTo("admin", "moderator"),
+  reviewController.requestChanges,
+);
+router.post(
+  "/:id/review/approve",
+  restrictTo("admin", "moderator"),
+  reviewController.approvePost,
+);
 router.patch("/:id", updatePostValidation, postController.updatePost);
+
+// Per-post analytics (?from=&to=, ?format=csv)
+router.get(
+  "/:id/analytics",
+  restrictTo("admin", "moderator", "author"),
+  postAnalyticsController.getPostAnalytics,
+);
 router.delete("/:id", postController.deletePost);
 
+// Live blog / running story management
+router.patch(
+  "/:id/live",
+  restrictTo("admin", "moderator", "author"),
+  liveBlogController.setLiveMode,
+);
+router.post(
+  "/:id/live/entries",
+  restrictTo("admin", "moderator", "author"),
+  liveBlogController.addEntry,
+);
+router.patch(
+  "/:id/live/entries/:entryId",
+  restrictTo("admin", "moderator", "author"),
+  liveBlogController.updateEntry,
+);
+router.delete(
+  "/:id/live/entries/:entryId",
+  restrictTo("admin", "moderator", "author"),
+  liveBlogController.deleteEntry,
+);
+
+// Soft edit locks for the post editor (broadcast to the post_<id> socket room)
+router.get(
+  "/:id/lock",
+  restrictTo("admin", "moderator", "author"),
+  editLockController.getLock,
+);
+router.post(
+  "/:id/lock",
+  restrictTo("admin", "moderator", "author"),
+  editLockController.acquireLock,
+);
+router.put(
+  "/:id/lock/heartbeat",
+  restrictTo("admin", "moderator", "author"),
+  editLockController.heartbeatLock,
+);
+router.delete(
+  "/:id/lock",
+  restrictTo("admin", "moderator", "author"),
+  editLockController.releaseLock,
+);
+
+// Revision history (authors see their own posts, admin/moderator any post)
+router.get(
+  "/:id/revisions",
+  restrictTo("admin", "moderator", "author"),
+  revisionController.listRevisions,
+);
+router.get(
+  "/:id/revisions/diff",
+  restrictTo("admin", "moderator", "author"),
+  revisionController.diffRevisions,
+);
+router.get(
+  "/:id/revisions/:revisionId",
+  restrictTo("admin", "moderator", "author"),
+  revisionController.getRevision,
+);
+router.post(
+  "/:id/revisions/:revisionId/restore",
+  restrictTo("admin", "moderator", "author"),
+  revisionController.restoreRevision,
+);
+
 // Admin/Moderator only routes
 router.patch(
   "/:id/publish",
@@ -196,6 +304,27 @@ router.patch(
   restrictTo("admin", "moderator"),
   postController.setTrending,
 );
+// Scheduled publishing (only admins publish, so only admins schedule)
+router.get(
+  "/scheduled/upcoming",
+  restrictTo("admin", "moderator"),
+  scheduleController.getUpcomingScheduled,
+);
+router.post(
+  "/:id/schedule",
+  restrictTo("admin"),
+  scheduleController.schedulePost,
+);
+router.patch(
+  "/:id/schedule",
+  restrictTo("admin"),
+  scheduleController.reschedulePost,
+);
+router.delete(
+  "/:id/schedule",
+  restrictTo("admin"),
+  scheduleController.cancelSchedule,
+);
 // Admin trending posts management
 router.get(
   "/admin/trending",
@@ -0,0 +1,49 @@
+const express = require("express");
+const { body } = require("express-validator");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getAllSeries,
+  getSeries,
+  getAdminSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  attachPost,
+  detachPost,
+  reorderPosts,
+} = require("../controllers/seriesController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getAllSeries);
+
+// Staff routes
+const staff = [protect, restrictTo("admin", "moderator")];
+
+router.get("/admin/all", ...staff, getAdminSeries);
+router.post(
+  "/",
+  ...staff,
+  [
+    body("title")
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage("Title must be between 3 and 200 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description cannot exceed 1000 characters"),
+  ],
+  createSeries,
+);
+router.patch("/:id", ...staff, updateSeries);
+router.delete("/:id", ...staff, deleteSeries);
+router.post("/:id/posts", ...staff, attachPost);
+router.put("/:id/posts/order", ...staff, reorderPosts);
+router.delete("/:id/posts/:postId", ...staff, detachPost);
+
+router.get("/:id", getSeries);
+
+module.exports = router;
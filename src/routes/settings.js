@@ -1,11 +1,11 @@
 const express = require("express");
 const settingsController = require("../controllers/settingsController");
-const { protect, restrictTo } = require("../middleware/auth");
+const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 
 const router = express.Router();
 
-// Public route - Get site settings
-router.get("/", settingsController.getSettings);
+// Public route - Get site settings (admins also get the comment filter rules)
+router.get("/", optionalAuth, settingsController.getSettings);
 
 // Admin only routes
 router.use(protect, restrictTo("admin"));
@@ -0,0 +1,22 @@
+const express = require("express");
+const { protect, restrictTo } = require("../middleware/auth");
+const {
+  getTags,
+  getAdminTags,
+  createTag,
+  updateTag,
+  deleteTag,
+} = require("../controllers/taxonomyController");
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getTags);
+
+// Admin routes
+router.get("/admin/all", protect, restrictTo("admin"), getAdminTags);
+router.post("/", protect, restrictTo("admin"), createTag);
+router.patch("/:id", protect, restrictTo("admin"), updateTag);
+router.delete("/:id", protect, restrictTo("admin"), deleteTag);
+
+module.exports = router;
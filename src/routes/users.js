@@ -1,6 +1,8 @@
 const express = require("express");
 const userController = require("../controllers/userController");
-const { protect, restrictTo } = require("../middleware/auth");
+const sessionController = require("../controllers/sessionController");
+const twoFactorController = require("../controllers/twoFactorController");
+const { protect, restrictTo, optionalAuth } = require("../middleware/auth");
 const { apiLimiter } = require("../middleware/security");
 
 const router = express.Router();
@@ -10,7 +12,7 @@ const router = express.Router();
 
 // Public routes
 router.get("/", userController.getAllUsers);
-router.get("/:id", userController.getUser);
+router.get("/:id", optionalAuth, userController.getUser);
 
 // Protected routes - authentication required
 router.use(protect);
@@ -36,4 +38,12 @@ router.patch(
   userController.toggleUserPublishingPermission,
 );
 
+// Signed-in devices of a user
+router.get("/:id/sessions", sessionController.getUserSessions);
+router.delete("/:id/sessions", sessionController.revokeAllUserSessions);
+router.delete("/:id/sessions/:sessionId", sessionController.revokeUserSession);
+
+// Reset two-factor authentication of a user who lost their device
+router.delete("/:id/2fa", twoFactorController.resetUserTwoFactor);
+
 module.exports = router;
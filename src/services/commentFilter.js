@@ -0,0 +1,301 @@
+const crypto = require("crypto");
+const Comment = require("../models/Comment");
+const SiteSettings = require("../models/SiteSettings");
+
+// Comment filter pipeline, run by addComment and replyToComment.
+//
+// Each filter looks at the new comment and returns null or a verdict
+// { rule, action, reason } where action is
+//   "reject"   - the comment breaks a rule (blocklist, links, duplicates)
+//   "hold"     - the comment looks suspicious and should be reviewed
+//   "throttle" - the user is posting too fast (always refused)
+// With SiteSettings.commentFilters.shadowHold on, "reject" becomes "hold":
+// the comment is stored as pending and the commenter is not told.
+// Staff comments skip the pipeline. More filters can be added with
+// registerFilter(name, fn).
+
+const SETTINGS_TTL_MS = 60 * 1000;
+const STAFF_ROLES = ["admin", "moderator"];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  shadowHold: true,
+  blocklist: [],
+  maxLinks: 2,
+  duplicateWindowMinutes: 60,
+  duplicateUserThreshold: 3,
+  maxPerMinute: 3,
+  maxPerHour: 30,
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Shorter normalized text (emoji, "nice", "+1") is too common to count as a
+// duplicate; emoji and punctuation normalize to nothing at all
+const MIN_DUPLICATE_LENGTH = 10;
+
+let settingsCache = null;
+let compiledBlocklist = null;
+
+const getSettings = async () => {
+  if (settingsCache && settingsCache.expiresAt > Date.now())
+    return settingsCache.value;
+
+  const settings = await SiteSettings.findOne().select("commentFilters").lean();
+  const value = { ...DEFAULT_SETTINGS, ...(settings?.commentFilters || {}) };
+  settingsCache = { expiresAt: Date.now() + SETTINGS_TTL_MS, value };
+  compiledBlocklist = null;
+  return value;
+};
+
+// Drop cached settings (after an admin edits them)
+const invalidate = () => {
+  settingsCache = null;
+  compiledBlocklist = null;
+};
+
+// --- Text normalization -----------------------------------------------------
+
+const LEET = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+  "@": "a",
+  $: "s",
+};
+
+// Fold one Latin token so common Hinglish spellings of a word compare equal
+// (bhenchod / benchod, chootiya / chutiya, kuttaa / kutta, phuck / fuk)
+const foldLatin = (token) =>
+  token
+    .replace(/[0134578@$]/g, (c) => LEET[c])
+    .replace(/ph/g, "f")
+    .replace(/ck/g, "k")
+    .replace(/q/g, "k")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/ee/g, "i")
+    .replace(/oo/g, "u")
+    .replace(/([bcdgjkpt])h/g, "$1")
+    .replace(/(.)\1+/g, "$1");
+
+// Fold one Devanagari token: nukta dropped, chandrabindu as anusvara,
+// long vowels as short ones, repeated characters collapsed
+const foldDevanagari = (token) =>
+  token
+    .replace(/़/g, "")
+    .replace(/ँ/g, "ं")
+    .replace(/ी/g, "ि")
+    .replace(/ू/g, "ु")
+    .replace(/ई/g, "इ")
+    .replace(/ऊ/g, "उ")
+    .replace(/(.)\1+/gu, "$1");
+
+const foldToken = (token) => {
+  if (/^\d+$/.test(token)) return token;
+  return /[\u0900-\u097F]/.test(token)
+    ? foldDevanagari(token)
+    : foldLatin(token);
+};
+
+// Lowercased tokens with zero-width characters removed; runs of single
+// letters ("c h u t i y a") are joined back into one token
+const tokenize = (text) => {
+  const raw = String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .split(/[^\p{L}\p{M}\p{N}@$]+/u)
+    .filter(Boolean);
+
+  const tokens = [];
+  let letters = "";
+  raw.forEach((token) => {
+    if ([...token].length === 1) {
+      letters += token;
+      return;
+    }
+    if (letters) tokens.push(letters);
+    letters = "";
+    tokens.push(token);
+  });
+  if (letters) tokens.push(letters);
+
+  return tokens.map(foldToken);
+};
+
+// Normalized form used for duplicate detection
+const normalizeContent = (text) => tokenize(text).join(" ");
+
+const contentHash = (text) =>
+  crypto.createHash("sha1").update(normalizeContent(text)).digest("hex");
+
+// --- Filters ------------------------------------------------------------------
+
+const compileBlocklist = (blocklist) => {
+  if (compiledBlocklist) return compiledBlocklist;
+
+  compiledBlocklist = (blocklist || [])
+    .map((entry) => tokenize(entry))
+    .filter((tokens) => tokens.length > 0);
+  return compiledBlocklist;
+};
+
+const blocklistFilter = ({ content, settings }) => {
+  const terms = compileBlocklist(settings.blocklist);
+  if (terms.length === 0) return null;
+
+  const tokens = tokenize(content);
+  const text = ` ${tokens.join(" ")} `;
+
+  const hit = terms.find((term) =>
+    term.length === 1
+      ? tokens.includes(term[0])
+      : text.includes(` ${term.join(" ")} `),
+  );
+
+  return hit
+    ? {
+        rule: "blocklist",
+        action: "reject",
+        reason: `Blocked term "${hit.join(" ")}"`,
+      }
+    : null;
+};
+
+const LINK_PATTERN =
+  /(https?:\/\/\S+|www\.\S+|\b[a-z0-9-]+\.(?:com|net|org|in|info|biz|xyz|co|io|me|ly|site|online|top|click|link)\b\S*)/gi;
+
+const linkFilter = ({ content, settings }) => {
+  const links = String(content).match(LINK_PATTERN) || [];
+  if (links.length <= settings.maxLinks) return null;
+
+  return {
+    rule: "links",
+    action: "reject",
+    reason: `${links.length} links (max ${settings.maxLinks})`,
+  };
+};
+
+const duplicateFilter = async ({ user, hash, normalized, settings }) => {
+  if (normalized.length < MIN_DUPLICATE_LENGTH) return null;
+
+  const since = new Date(
+    Date.now() - settings.duplicateWindowMinutes * MINUTE_MS,
+  );
+
+  const authors = await Comment.distinct("author", {
+    contentHash: hash,
+    createdAt: { $gte: since },
+  });
+
+  if (authors.some((author) => String(author) === String(user._id))) {
+    return {
+      rule: "duplicate",
+      action: "reject",
+      reason: "Same comment posted again",
+    };
+  }
+  if (authors.length + 1 >= settings.duplicateUserThreshold) {
+    return {
+      rule: "duplicate",
+      action: "hold",
+      reason: `Same comment posted by ${authors.length + 1} users`,
+    };
+  }
+  return null;
+};
+
+const velocityFilter = async ({ user, settings }) => {
+  const now = Date.now();
+  const [lastMinute, lastHour] = await Promise.all([
+    Comment.countDocuments({
+      author: user._id,
+      createdAt: { $gte: new Date(now - MINUTE_MS) },
+    }),
+    Comment.countDocuments({
+      author: user._id,
+      createdAt: { $gte: new Date(now - 60 * MINUTE_MS) },
+    }),
+  ]);
+
+  if (lastMinute >= settings.maxPerMinute || lastHour >= settings.maxPerHour) {
+    return {
+      rule: "velocity",
+      action: "throttle",
+      reason: `${lastMinute} comments in the last minute, ${lastHour} in the last hour`,
+    };
+  }
+  return null;
+};
+
+const filters = [
+  { name: "velocity", run: velocityFilter },
+  { name: "blocklist", run: blocklistFilter },
+  { name: "links", run: linkFilter },
+  { name: "duplicate", run: duplicateFilter },
+];
+
+// Add a filter: fn(context) -> verdict | null (may be async)
+const registerFilter = (name, fn) => {
+  filters.push({ name, run: fn });
+};
+
+// Run every filter over a new comment.
+// Returns { action: "allow" | "hold" | "reject" | "throttle", flags, contentHash }
+const checkComment = async ({ content, user, post, parentComment }) => {
+  const hash = contentHash(content);
+  const settings = await getSettings();
+
+  if (!settings.enabled || STAFF_ROLES.includes(user.role)) {
+    return { action: "allow", flags: [], contentHash: hash };
+  }
+
+  const context = {
+    content,
+    user,
+    post,
+    parentComment,
+    settings,
+    hash,
+    normalized: normalizeContent(content),
+  };
+  const flags = [];
+
+  for (const filter of filters) {
+    const verdict = await filter.run(context);
+    if (!verdict) continue;
+
+    // Too fast: no need to look any further
+    if (verdict.action === "throttle") {
+      return { action: "throttle", flags: [verdict], contentHash: hash };
+    }
+    flags.push(verdict);
+  }
+
+  let action = "allow";
+  if (flags.some((flag) => flag.action === "reject")) {
+    action = settings.shadowHold ? "hold" : "reject";
+  } else if (flags.length > 0) {
+    action = "hold";
+  }
+
+  return {
+    action,
+    flags: flags.map(({ rule, reason }) => ({ rule, reason })),
+    contentHash: hash,
+  };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  normalizeContent,
+  contentHash,
+  registerFilter,
+  checkComment,
+  invalidate,
+};
@@ -0,0 +1,344 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+const Poll = require("../models/Poll");
+
+// Structured post content: an ordered array of typed blocks stored as JSON.
+// Blocks are validated here and rendered to sanitized HTML (stored in
+// Post.content so existing readers keep working) and to plain text for
+// excerpts, reading time, search and email.
+
+const BLOCK_TYPES = [
+  "paragraph",
+  "heading",
+  "image",
+  "embed",
+  "quote",
+  "list",
+  "table",
+  "poll",
+];
+
+const MAX_BLOCKS = 500;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_LIST_ITEMS = 100;
+const MAX_TABLE_ROWS = 100;
+const MAX_TABLE_COLUMNS = 12;
+
+// Embeds are limited to known providers
+const EMBED_PROVIDERS = {
+  youtube: /^https?:\/\/(www\.)?(youtube\.com|youtu\.be)\//i,
+  twitter: /^https?:\/\/(www\.)?(twitter\.com|x\.com)\//i,
+  instagram: /^https?:\/\/(www\.)?instagram\.com\//i,
+  facebook: /^https?:\/\/(www\.|m\.)?facebook\.com\//i,
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const isHttpUrl = (url) =>
+  typeof url === "string" &&
+  validator.isURL(url, {
+    protocols: ["http", "https"],
+    require_protocol: true,
+  });
+
+const isText = (value, max = MAX_TEXT_LENGTH) =>
+  typeof value === "string" && value.trim().length > 0 && value.length <= max;
+
+const getYoutubeId = (url) => {
+  const match = String(url).match(
+    /(?:youtube\.com\/(?:watch\?v=|embed\/|shorts\/)|youtu\.be\/)([A-Za-z0-9_-]{6,20})/,
+  );
+  return match ? match[1] : null;
+};
+
+// Validate a single block; returns an error message or null
+const validateBlock = (block) => {
+  if (!block || typeof block !== "object" || Array.isArray(block)) {
+    return "must be an object";
+  }
+  if (!BLOCK_TYPES.includes(block.type)) {
+    return `has unknown type '${block.type}'`;
+  }
+
+  switch (block.type) {
+    case "paragraph":
+      return isText(block.text) ? null : "paragraph text is required";
+    case "heading":
+      if (!isText(block.text, 200))
+        return "heading text is required (max 200 characters)";
+      if (block.level !== undefined && ![2, 3, 4].includes(block.level)) {
+        return "heading level must be 2, 3 or 4";
+      }
+      return null;
+    case "image":
+      if (!isHttpUrl(block.url)) return "image url must be a valid http(s) URL";
+      if (block.alt !== undefined && typeof block.alt !== "string")
+        return "image alt must be text";
+      if (block.caption !== undefined && typeof block.caption !== "string") {
+        return "image caption must be text";
+      }
+      return null;
+    case "embed": {
+      if (!isHttpUrl(block.url)) return "embed url must be a valid http(s) URL";
+      const provider = Object.keys(EMBED_PROVIDERS).find((p) =>
+        EMBED_PROVIDERS[p].test(block.url),
+      );
+      if (!provider) {
+        return `embed url must be from ${Object.keys(EMBED_PROVIDERS).join(", ")}`;
+      }
+      return null;
+    }
+    case "quote":
+      if (!isText(block.text)) return "quote text is required";
+      if (block.cite !== undefined && typeof block.cite !== "string")
+        return "quote cite must be text";
+      return null;
+    case "list":
+      if (
+        block.style !== undefined &&
+        !["ordered", "unordered"].includes(block.style)
+      ) {
+        return "list style must be ordered or unordered";
+      }
+      if (
+        !Array.isArray(block.items) ||
+        block.items.length === 0 ||
+        block.items.length > MAX_LIST_ITEMS ||
+        !block.items.every((item) => isText(item, 1000))
+      ) {
+        return `list needs 1-${MAX_LIST_ITEMS} non-empty items`;
+      }
+      return null;
+    case "table": {
+      const rows = block.rows;
+      if (
+        !Array.isArray(rows) ||
+        rows.length === 0 ||
+        rows.length > MAX_TABLE_ROWS
+      ) {
+        return `table needs 1-${MAX_TABLE_ROWS} rows`;
+      }
+      const allRows = block.header ? [block.header, ...rows] : rows;
+      const validRows = allRows.every(
+        (row) =>
+          Array.isArray(row) &&
+          row.length > 0 &&
+          row.length <= MAX_TABLE_COLUMNS &&
+          row.every(
+            (cell) => typeof cell === "string" || typeof cell === "number",
+          ),
+      );
+      return validRows
+        ? null
+        : `table rows must be arrays of 1-${MAX_TABLE_COLUMNS} text cells`;
+    }
+    case "poll":
+      return mongoose.Types.ObjectId.isValid(block.pollId)
+        ? null
+        : "poll block needs a valid pollId";
+    default:
+      return null;
+  }
+};
+
+// Validate a block array; resolves to a list of error messages (empty when valid)
+const validateBlocks = async (blocks) => {
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    return ["contentBlocks must be a non-empty array"];
+  }
+  if (blocks.length > MAX_BLOCKS) {
+    return [`contentBlocks cannot have more than ${MAX_BLOCKS} blocks`];
+  }
+
+  const errors = [];
+  blocks.forEach((block, index) => {
+    const error = validateBlock(block);
+    if (error) errors.push(`Block ${index + 1} ${error}`);
+  });
+
+  // Poll references must point to existing polls
+  const pollIds = blocks
+    .filter(
+      (b) =>
+        b && b.type === "poll" && mongoose.Types.ObjectId.isValid(b.pollId),
+    )
+    .map((b) => String(b.pollId));
+  if (errors.length === 0 && pollIds.length > 0) {
+    const found = await Poll.find({ _id: { $in: pollIds } })
+      .select("_id")
+      .lean();
+    const foundIds = new Set(found.map((p) => String(p._id)));
+    pollIds
+      .filter((pid) => !foundIds.has(pid))
+      .forEach((pid) => errors.push(`Poll ${pid} does not exist`));
+  }
+
+  return errors;
+};
+
+// Keep only the known properties of each block
+const normalizeBlocks = (blocks) =>
+  blocks.map((block) => {
+    switch (block.type) {
+      case "paragraph":
+        return { type: "paragraph", text: block.text.trim() };
+      case "heading":
+        return {
+          type: "heading",
+          level: block.level || 2,
+          text: block.text.trim(),
+        };
+      case "image":
+        return {
+          type: "image",
+          url: block.url.trim(),
+          alt: String(block.alt || "").trim(),
+          caption: String(block.caption || "").trim(),
+        };
+      case "embed":
+        return {
+          type: "embed",
+          url: block.url.trim(),
+          provider: Object.keys(EMBED_PROVIDERS).find((p) =>
+            EMBED_PROVIDERS[p].test(block.url),
+          ),
+        };
+      case "quote":
+        return {
+          type: "quote",
+          text: block.text.trim(),
+          cite: String(block.cite || "").trim(),
+        };
+      case "list":
+        return {
+          type: "list",
+          style: block.style || "unordered",
+          items: block.items.map((item) => item.trim()),
+        };
+      case "table":
+        return {
+          type: "table",
+          header: Array.isArray(block.header) ? block.header.map(String) : null,
+          rows: block.rows.map((row) => row.map(String)),
+        };
+      case "poll":
+        return { type: "poll", pollId: String(block.pollId) };
+      default:
+        return block;
+    }
+  });
+
+const renderBlockHtml = (block) => {
+  switch (block.type) {
+    case "paragraph":
+      return `<p>${escapeHtml(block.text).replace(/\n/g, "<br>")}</p>`;
+    case "heading": {
+      const level = [2, 3, 4].includes(block.level) ? block.level : 2;
+      return `<h${level}>${escapeHtml(block.text)}</h${level}>`;
+    }
+    case "image": {
+      const caption = block.caption
+        ? `<figcaption>${escapeHtml(block.caption)}</figcaption>`
+        : "";
+      return `<figure><img src="${escapeHtml(block.url)}" alt="${escapeHtml(block.alt)}" loading="lazy">${caption}</figure>`;
+    }
+    case "embed": {
+      const youtubeId =
+        block.provider === "youtube" ? getYoutubeId(block.url) : null;
+      if (youtubeId) {
+        return `<div class="embed embed-youtube"><iframe src="https://www.youtube.com/embed/${escapeHtml(youtubeId)}" title="YouTube video" frameborder="0" allowfullscreen loading="lazy"></iframe></div>`;
+      }
+      // Other providers are rendered as links and enhanced by the frontend
+      return `<blockquote class="embed embed-${escapeHtml(block.provider)}"><a href="${escapeHtml(block.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(block.url)}</a></blockquote>`;
+    }
+    case "quote": {
+      const cite = block.cite ? `<cite>${escapeHtml(block.cite)}</cite>` : "";
+      return `<blockquote><p>${escapeHtml(block.text)}</p>${cite}</blockquote>`;
+    }
+    case "list": {
+      const tag = block.style === "ordered" ? "ol" : "ul";
+      const items = block.items
+        .map((item) => `<li>${escapeHtml(item)}</li>`)
+        .join("");
+      return `<${tag}>${items}</${tag}>`;
+    }
+    case "table": {
+      const head = block.header
+        ? `<thead><tr>${block.header.map((c) => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead>`
+        : "";
+      const body = block.rows
+        .map(
+          (row) =>
+            `<tr>${row.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`,
+        )
+        .join("");
+      return `<table>${head}<tbody>${body}</tbody></table>`;
+    }
+    case "poll":
+      return `<div class="poll-embed" data-poll-id="${escapeHtml(block.pollId)}"></div>`;
+    default:
+      return "";
+  }
+};
+
+const renderBlockText = (block) => {
+  switch (block.type) {
+    case "paragraph":
+    case "heading":
+      return block.text;
+    case "image":
+      return block.caption || "";
+    case "quote":
+      return block.cite ? `"${block.text}" - ${block.cite}` : `"${block.text}"`;
+    case "list":
+      return block.items
+        .map((item, i) =>
+          block.style === "ordered" ? `${i + 1}. ${item}` : `- ${item}`,
+        )
+        .join("\n");
+    case "table":
+      return (block.header ? [block.header, ...block.rows] : block.rows)
+        .map((row) => row.join(" | "))
+        .join("\n");
+    default:
+      // Embeds and polls have no readable text
+      return "";
+  }
+};
+
+// Render blocks to sanitized HTML
+const renderHtml = (blocks) => (blocks || []).map(renderBlockHtml).join("\n");
+
+// Render blocks to plain text (paragraphs separated by blank lines)
+const renderText = (blocks) =>
+  (blocks || [])
+    .map(renderBlockText)
+    .filter((text) => text && text.trim())
+    .join("\n\n");
+
+// Plain text of any post, block-based or legacy HTML
+const getPlainText = (post) => {
+  if (
+    post.contentFormat === "blocks" &&
+    Array.isArray(post.contentBlocks) &&
+    post.contentBlocks.length
+  ) {
+    return renderText(post.contentBlocks);
+  }
+  return String(post.content || "").replace(/<[^>]*>/g, "");
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  validateBlocks,
+  normalizeBlocks,
+  renderHtml,
+  renderText,
+  getPlainText,
+};
@@ -0,0 +1,65 @@
+// Editorial review workflow: allowed status transitions and author notifications
+
+const { notify } = require("./notify");
+
+// status -> statuses it may move to
+const TRANSITIONS = {
+  draft: ["submitted"],
+  submitted: ["in_review", "changes_requested", "approved", "draft"],
+  in_review: ["in_review", "changes_requested", "approved", "draft"],
+  changes_requested: ["submitted", "draft"],
+  approved: ["published", "scheduled", "changes_requested", "draft"],
+  scheduled: ["published", "scheduled", "approved", "draft"],
+};
+
+// Statuses that are waiting on a reviewer
+const REVIEW_QUEUE_STATUSES = ["submitted", "in_review"];
+
+const STATUS_MESSAGES = {
+  submitted: "was submitted for review",
+  in_review: "is now in review",
+  changes_requested: "needs changes",
+  approved: "was approved",
+  scheduled: "was scheduled for publication",
+  published: "was published",
+  draft: "was moved back to draft",
+};
+
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+// Notify the post author about a workflow transition (inbox + user_<id> room)
+const notifyAuthor = (post, status, actor, extra = {}) => {
+  const authorId = post.author?._id || post.author;
+  if (!authorId) return;
+
+  // No need to notify authors about their own actions
+  if (actor && String(actor._id) === String(authorId)) return;
+
+  notify(authorId, {
+    type: "post_workflow",
+    status,
+    message: `Your post "${post.title}" ${STATUS_MESSAGES[status] || `is now ${status}`}`,
+    postId: post._id,
+    postTitle: post.title,
+    from: actor
+      ? {
+          _id: actor._id,
+          firstName: actor.firstName,
+          lastName: actor.lastName,
+          username: actor.username,
+          role: actor.role,
+        }
+      : null,
+    ...extra,
+    timestamp: new Date(),
+  });
+};
+
+module.exports = {
+  TRANSITIONS,
+  REVIEW_QUEUE_STATUSES,
+  canTransition,
+  notifyAuthor,
+};
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const Follow = require("../models/Follow");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+const Location = require("../models/Location");
+const taxonomy = require("./taxonomy");
+const locationResolver = require("./locationResolver");
+const { notifyMany } = require("./notify");
+
+// Roles whose posts readers can follow
+const REPORTER_ROLES = ["admin", "moderator", "author"];
+
+const AUTHOR_FIELDS = "username firstName lastName profileImage role title";
+
+// Resolve a follow target (id, slug, username or name) to its canonical key;
+// returns { target, details } or null when it does not exist
+const resolveTarget = async (type, value) => {
+  const raw = String(value || "").trim();
+  if (!raw) return null;
+
+  switch (type) {
+    case "author": {
+      const query = mongoose.Types.ObjectId.isValid(raw)
+        ? { _id: raw }
+        : { username: raw.toLowerCase() };
+      const user = await User.findOne({
+        ...query,
+        isActive: true,
+        role: { $in: REPORTER_ROLES },
+      })
+        .select(AUTHOR_FIELDS)
+        .lean();
+      return user ? { target: String(user._id), details: user } : null;
+    }
+    case "category": {
+      const slug = await taxonomy.resolveCategory(raw);
+      if (!slug) return null;
+      const category = await Category.findOne({ slug })
+        .select("slug name nameHi")
+        .lean();
+      return { target: slug, details: category };
+    }
+    case "tag": {
+      const slug = await taxonomy.resolveTag(raw);
+      if (!slug) return null;
+      const tag = await Tag.findOne({ slug }).select("slug name nameHi").lean();
+      return { target: slug, details: tag };
+    }
+    case "location": {
+      const location = await locationResolver.resolve(raw);
+      return location
+        ? {
+            target: String(location._id),
+            details: {
+              _id: location._id,
+              name: location.name,
+              nameHi: location.nameHi,
+              slug: location.slug,
+              type: location.type,
+            },
+          }
+        : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Attach display details to a list of follows
+const withTargetDetails = async (follows) => {
+  const idsOf = (type) =>
+    follows.filter((f) => f.targetType === type).map((f) => f.target);
+
+  const [authors, categories, tags, locations] = await Promise.all([
+    User.find({ _id: { $in: idsOf("author") } })
+      .select(AUTHOR_FIELDS)
+      .lean(),
+    Category.find({ slug: { $in: idsOf("category") } })
+      .select("slug name nameHi")
+      .lean(),
+    Tag.find({ slug: { $in: idsOf("tag") } })
+      .select("slug name nameHi")
+      .lean(),
+    Location.find({ _id: { $in: idsOf("location") } })
+      .select("name nameHi slug type")
+      .lean(),
+  ]);
+
+  const details = {
+    author: new Map(authors.map((a) => [String(a._id), a])),
+    category: new Map(categories.map((c) => [c.slug, c])),
+    tag: new Map(tags.map((t) => [t.slug, t])),
+    location: new Map(locations.map((l) => [String(l._id), l])),
+  };
+
+  return follows.map((follow) => ({
+    ...follow,
+    details: details[follow.targetType].get(follow.target) || null,
+  }));
+};
+
+// Post filter matching everything the user follows (null if they follow nothing)
+const getFollowingFilter = async (userId) => {
+  const follows = await Follow.find({ follower: userId })
+    .select("targetType target")
+    .lean();
+  if (follows.length === 0) return null;
+
+  const byType = (type) =>
+    follows.filter((f) => f.targetType === type).map((f) => f.target);
+  const conditions = [];
+
+  const authors = byType("author");
+  if (authors.length) conditions.push({ author: { $in: authors } });
+
+  const categories = byType("category");
+  if (categories.length) conditions.push({ category: { $in: categories } });
+
+  const tags = byType("tag");
+  if (tags.length) conditions.push({ tags: { $in: tags } });
+
+  // Following a region includes everything below it
+  const locationIds = byType("location");
+  if (locationIds.length) {
+    const scopes = await Promise.all(
+      locationIds.map((id) => locationResolver.getRegionScope({ _id: id })),
+    );
+    const ids = scopes.flatMap((scope) => scope.ids);
+    if (ids.length) conditions.push({ locationRef: { $in: ids } });
+  }
+
+  return conditions.length ? { $or: conditions } : null;
+};
+
+// Tell everyone following the post's author, category, tags or location
+// (including parent regions) that a new post was published
+const notifyFollowers = async (post) => {
+  if (!post) return;
+
+  try {
+    const authorId = String(post.author?._id || post.author);
+    const targets = [
+      { targetType: "author", target: authorId },
+      { targetType: "category", target: post.category },
+      ...(post.tags || []).map((tag) => ({ targetType: "tag", target: tag })),
+    ];
+
+    if (post.locationRef) {
+      const location = await Location.findById(post.locationRef)
+        .select("ancestors")
+        .lean();
+      [post.locationRef, ...(location?.ancestors || [])].forEach((id) =>
+        targets.push({ targetType: "location", target: String(id) }),
+      );
+    }
+
+    const follows = await Follow.find({ $or: targets.filter((t) => t.target) })
+      .select("follower targetType target")
+      .lean();
+
+    // One notification per follower, naming the first thing they follow
+    const reasons = new Map();
+    follows.forEach((follow) => {
+      const followerId = String(follow.follower);
+      if (followerId === authorId || reasons.has(followerId)) return;
+      reasons.set(followerId, {
+        type: follow.targetType,
+        target: follow.target,
+      });
+    });
+
+    await notifyMany([...reasons.keys()], (followerId) => ({
+      type: "followed_post",
+      message: `New post: "${post.title}"`,
+      postId: post._id,
+      postTitle: post.title,
+      postSlug: post.slug,
+      featuredImage: post.featuredImage?.url || null,
+      reason: reasons.get(followerId),
+      timestamp: new Date(),
+    }));
+  } catch (error) {
+    console.error("Error notifying followers:", error);
+  }
+};
+
+module.exports = {
+  REPORTER_ROLES,
+  resolveTarget,
+  withTargetDetails,
+  getFollowingFilter,
+  notifyFollowers,
+};
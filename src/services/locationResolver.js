@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const Location = require("../models/Location");
+
+// Maps the free-text location strings used on posts ("Renwal", "रेनवाल",
+// "Kishangarh Renwal") to managed Location documents. Active locations are
+// cached in memory and refreshed every minute or after an admin change.
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { byKey: Map, byId: Map, expiresAt }
+let loading = null;
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const slugify = (value) =>
+  normalize(value)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const LOOKUP_FIELDS = "name nameHi slug type parent ancestors aliases";
+
+const load = async () => {
+  const locations = await Location.find({ isActive: true })
+    .select(LOOKUP_FIELDS)
+    .lean();
+
+  const byKey = new Map();
+  const byId = new Map();
+
+  // Lower levels are indexed first so a name shared by a district and its
+  // tehsil (e.g. "Jaipur") resolves to the broader region
+  const levels = [...Location.LOCATION_TYPES].reverse();
+  locations
+    .sort((a, b) => levels.indexOf(a.type) - levels.indexOf(b.type))
+    .forEach((location) => {
+      byId.set(String(location._id), location);
+      [
+        location.slug,
+        location.name,
+        location.nameHi,
+        ...(location.aliases || []),
+      ]
+        .map(normalize)
+        .filter(Boolean)
+        .forEach((key) => byKey.set(key, location));
+    });
+
+  cache = { byKey, byId, expiresAt: Date.now() + CACHE_TTL_MS };
+  return cache;
+};
+
+const getCache = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache;
+  if (!loading) {
+    loading = load().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Drop the cache after locations change
+const invalidate = () => {
+  cache = null;
+};
+
+// Resolve an id, slug, name or alias to an active Location (lean) or null
+const resolve = async (value) => {
+  if (value === undefined || value === null) return null;
+
+  const { byKey, byId } = await getCache();
+  const raw = String(value).trim();
+  if (!raw) return null;
+
+  if (mongoose.Types.ObjectId.isValid(raw) && byId.has(raw)) {
+    return byId.get(raw);
+  }
+  return byKey.get(normalize(raw)) || byKey.get(slugify(raw)) || null;
+};
+
+// Ids of a region and all locations below it, plus every name they are known
+// by (posts created before locations were managed only have the string)
+const getRegionScope = async (location) => {
+  const { byId } = await getCache();
+  const scope = [...byId.values()].filter(
+    (l) =>
+      String(l._id) === String(location._id) ||
+      (l.ancestors || []).some((a) => String(a) === String(location._id)),
+  );
+
+  const names = new Set();
+  scope.forEach((l) => {
+    [l.name, l.nameHi, ...(l.aliases || [])]
+      .filter(Boolean)
+      .forEach((n) => names.add(n));
+  });
+
+  return {
+    ids: scope.map((l) => l._id),
+    names: [...names],
+    // Match post location strings the way lookups do: ignoring case and
+    // extra whitespace (aliases are stored lowercased)
+    namePatterns: [...new Set([...names].map(normalize))]
+      .filter(Boolean)
+      .map(
+        (name) =>
+          new RegExp(
+            `^\\s*${name.split(" ").map(escapeRegex).join("\\s+")}\\s*$`,
+            "i",
+          ),
+      ),
+  };
+};
+
+module.exports = {
+  normalize,
+  slugify,
+  invalidate,
+  resolve,
+  getRegionScope,
+};
@@ -0,0 +1,92 @@
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const { notify } = require("./notify");
+
+// @username mentions in comments. Mentioned users are resolved when the
+// comment is created and stored on Comment.mentions; they are notified once
+// the comment is visible (straight away, or when a moderator approves it),
+// unless they turned off User.notifications.mentions.
+
+const MAX_MENTIONS = 10;
+
+// "@name" at the start or after whitespace/punctuation, not inside emails
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9_][a-zA-Z0-9_.]{1,29})/g;
+
+// Unique lowercase usernames mentioned in a text
+const parseMentions = (content) => {
+  const usernames = new Set();
+  for (const match of String(content || "").matchAll(MENTION_PATTERN)) {
+    // A trailing "." ends the sentence, it is not part of the name
+    usernames.add(match[2].replace(/\.+$/, "").toLowerCase());
+    if (usernames.size >= MAX_MENTIONS) break;
+  }
+  return [...usernames].filter((name) => name.length >= 3);
+};
+
+// Ids of the active users mentioned in a text (the author excluded)
+const resolveMentions = async (content, authorId) => {
+  const usernames = parseMentions(content);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({
+    username: { $in: usernames },
+    isActive: true,
+    _id: { $ne: authorId },
+  })
+    .select("_id")
+    .lean();
+  return users.map((user) => user._id);
+};
+
+// Notify everyone mentioned in a visible comment (only once per comment)
+const notifyMentions = async (comment, post, actor) => {
+  if (!comment?.mentions?.length) return;
+
+  try {
+    const claimed = await Comment.updateOne(
+      { _id: comment._id, mentionsNotified: { $ne: true } },
+      { mentionsNotified: true },
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    const recipients = await User.find({
+      _id: { $in: comment.mentions },
+      isActive: true,
+      "notifications.mentions": { $ne: false },
+    })
+      .select("_id")
+      .lean();
+
+    const content = String(comment.content || "");
+    await Promise.all(
+      recipients.map((user) =>
+        notify(user._id, {
+          type: "mention",
+          message: `${actor.firstName || actor.username} mentioned you in a comment on "${post.title}"`,
+          postId: post._id,
+          postTitle: post.title,
+          postSlug: post.slug,
+          commentId: comment._id,
+          commentContent:
+            content.substring(0, 100) + (content.length > 100 ? "..." : ""),
+          from: {
+            _id: actor._id,
+            firstName: actor.firstName,
+            lastName: actor.lastName,
+            username: actor.username,
+            profileImage: actor.profileImage,
+          },
+        }),
+      ),
+    );
+  } catch (error) {
+    console.error("Error notifying mentioned users:", error);
+  }
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  resolveMentions,
+  notifyMentions,
+};
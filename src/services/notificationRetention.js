@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const UserNotification = require("../models/UserNotification");
+const config = require("../config");
+
+// Removes old inbox entries: read ones after NOTIFICATION_READ_RETENTION_DAYS,
+// unread ones after NOTIFICATION_RETENTION_DAYS.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Delete expired notifications; returns how many were removed
+const cleanup = async (now = Date.now()) => {
+  const { deletedCount } = await UserNotification.deleteMany({
+    $or: [
+      {
+        createdAt: {
+          $lt: new Date(now - config.NOTIFICATION_RETENTION_DAYS * DAY_MS),
+        },
+      },
+      {
+        isRead: true,
+        createdAt: {
+          $lt: new Date(now - config.NOTIFICATION_READ_RETENTION_DAYS * DAY_MS),
+        },
+      },
+    ],
+  });
+
+  if (deletedCount > 0) {
+    console.log(`🧹 Removed ${deletedCount} old notification(s)`);
+  }
+  return deletedCount;
+};
+
+const tick = async () => {
+  // Skip while the database is (re)connecting and never overlap runs
+  if (running || mongoose.connection.readyState !== 1) return;
+
+  running = true;
+  try {
+    await cleanup();
+  } catch (error) {
+    console.error("Error cleaning up notifications:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(tick, config.NOTIFICATION_CLEANUP_INTERVAL_MS);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  cleanup,
+};
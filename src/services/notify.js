@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const UserNotification = require("../models/UserNotification");
+
+// Deliver a notification to one user: stored in their inbox and emitted as
+// a "notification" event on their user_<id> socket room.
+//
+// `payload` is the event as clients receive it ({ type, message, ...});
+// postId, commentId and from._id are also kept as references on the inbox
+// entry. Delivery is best effort and never throws.
+
+const asObjectId = (value) => {
+  const id = value?._id || value;
+  return id && mongoose.Types.ObjectId.isValid(String(id)) ? id : undefined;
+};
+
+// Inbox document for one recipient
+const toEntry = (recipientId, payload) => {
+  const { type, message, ...data } = payload;
+  delete data.timestamp;
+  return {
+    recipient: recipientId,
+    type,
+    message: message || data.title || "",
+    actor: asObjectId(data.from),
+    post: asObjectId(data.postId),
+    comment: asObjectId(data.commentId),
+    data,
+  };
+};
+
+const emit = (recipientId, payload, entry) => {
+  if (!global.io) return;
+  global.io.to(`user_${recipientId}`).emit("notification", {
+    ...payload,
+    notificationId: entry?._id,
+    timestamp: payload.timestamp || entry?.createdAt || new Date(),
+  });
+};
+
+const notify = async (recipientId, payload) => {
+  if (!recipientId || !payload?.type) return null;
+
+  let entry = null;
+  try {
+    entry = await UserNotification.create(toEntry(recipientId, payload));
+  } catch (error) {
+    console.error("Error saving notification:", error.message);
+  }
+
+  emit(recipientId, payload, entry);
+  return entry;
+};
+
+// Same as notify() for many recipients with one insert.
+// `payload` is an object or a function recipientId -> payload.
+const notifyMany = async (recipientIds, payload) => {
+  const payloads = [...new Set((recipientIds || []).map(String))]
+    .map((recipientId) => [
+      recipientId,
+      typeof payload === "function" ? payload(recipientId) : payload,
+    ])
+    .filter(([, item]) => item?.type);
+  if (payloads.length === 0) return [];
+
+  let entries = [];
+  try {
+    entries = await UserNotification.insertMany(
+      payloads.map(([recipientId, item]) => toEntry(recipientId, item)),
+      { ordered: false },
+    );
+  } catch (error) {
+    console.error("Error saving notifications:", error.message);
+    entries = error.insertedDocs || [];
+  }
+
+  const byRecipient = new Map(
+    entries.map((entry) => [String(entry.recipient), entry]),
+  );
+  payloads.forEach(([recipientId, item]) =>
+    emit(recipientId, item, byRecipient.get(recipientId)),
+  );
+  return entries;
+};
+
+module.exports = { notify, notifyMany };
@@ -0,0 +1,104 @@
+const twilio = require("twilio");
+const config = require("../config");
+
+// Delivery of one-time codes over WhatsApp or SMS.
+//
+// A provider is { name, channels, send({ to, channel, message }) } where `to`
+// is an E.164 number and send resolves with { id }. OTP_PROVIDER picks one by
+// name; "auto" uses Twilio when it is configured and otherwise, outside
+// production, the console provider, which only prints the message (for local
+// development).
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerProvider({
+  name: "console",
+  channels: ["whatsapp", "sms"],
+  send: async ({ to, channel, message }) => {
+    console.log(`📱 Mock ${channel} message to ${to}: ${message}`);
+    return { id: `mock_${Date.now()}` };
+  },
+});
+
+let twilioClient = null;
+const getTwilioClient = () => {
+  if (!twilioClient) {
+    twilioClient = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN,
+    );
+  }
+  return twilioClient;
+};
+
+// TWILIO_WHATSAPP_NUMBER may be set with or without the "whatsapp:" prefix
+const twilioSenders = () => {
+  const whatsapp = process.env.TWILIO_WHATSAPP_NUMBER;
+  return {
+    whatsapp:
+      whatsapp && !whatsapp.startsWith("whatsapp:")
+        ? `whatsapp:${whatsapp}`
+        : whatsapp,
+    sms: process.env.TWILIO_SMS_NUMBER,
+  };
+};
+
+registerProvider({
+  name: "twilio",
+  get channels() {
+    return Object.entries(twilioSenders())
+      .filter(([, from]) => from)
+      .map(([channel]) => channel);
+  },
+  send: async ({ to, channel, message }) => {
+    const from = twilioSenders()[channel];
+    const result = await getTwilioClient().messages.create(
+      channel === "whatsapp"
+        ? { from, to: `whatsapp:${to}`, body: message }
+        : { from, to, body: message },
+    );
+    return { id: result.sid };
+  },
+});
+
+const twilioConfigured = () =>
+  !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+
+let warnedNoProvider = false;
+
+// The provider in use, or null when codes cannot be delivered. "auto" only
+// falls back to the console provider outside production; in production it
+// has to be chosen explicitly with OTP_PROVIDER=console.
+const getProvider = () => {
+  let name = config.OTP_PROVIDER;
+  if (name === "auto") {
+    if (twilioConfigured()) {
+      name = "twilio";
+    } else if (config.NODE_ENV !== "production") {
+      name = "console";
+    } else {
+      if (!warnedNoProvider) {
+        warnedNoProvider = true;
+        console.warn(
+          "⚠️ Phone login is unavailable: configure Twilio or set OTP_PROVIDER.",
+        );
+      }
+      return null;
+    }
+  }
+
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown OTP provider "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+};
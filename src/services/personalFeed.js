@@ -0,0 +1,270 @@
+const Post = require("../models/Post");
+const Activity = require("../models/Activity");
+const trending = require("./trending");
+
+// "For You" feed. A reader's affinity to categories, tags, locations and
+// authors is derived from their recent post_view / post_like / post_bookmark
+// activity. Recent posts are ranked by that affinity blended with recency,
+// then re-ranked so one category or author does not fill the whole page.
+// Readers with too little history get the trending list instead.
+
+const HISTORY_DAYS = 60;
+const HISTORY_LIMIT = 500;
+const HISTORY_HALF_LIFE_DAYS = 14;
+const MIN_SIGNALS = 3;
+
+const SIGNAL_WEIGHTS = {
+  post_view: 1,
+  post_like: 3,
+  post_bookmark: 4,
+};
+
+// Share of each dimension in the affinity score
+const AFFINITY_WEIGHTS = {
+  category: 0.35,
+  tags: 0.3,
+  location: 0.15,
+  author: 0.2,
+};
+
+const CANDIDATE_DAYS = 7;
+const CANDIDATE_LIMIT = 300;
+const RECENCY_HALF_LIFE_HOURS = 36;
+// 0 = affinity only, 1 = newest first
+const RECENCY_BLEND = 0.3;
+// Score multiplier per post already picked from the same category / author
+const DIVERSITY_PENALTY = 0.8;
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const CARD_FIELDS =
+  "title excerpt featuredImage featuredVideo images tags category location locationRef publishedAt likeCount commentCount shareCount viewCount slug readingTime isTrending isFeatured isPromoted author";
+
+// userId -> { expiresAt, value }
+const cache = new Map();
+
+const PUBLIC_FILTER = {
+  status: "published",
+  isActive: true,
+  isVisible: { $ne: false },
+};
+
+const locationKey = (post) =>
+  post.locationRef
+    ? `ref:${post.locationRef}`
+    : post.location
+      ? `name:${post.location}`
+      : null;
+
+const addWeight = (map, key, weight) => {
+  if (!key) return;
+  map.set(key, (map.get(key) || 0) + weight);
+};
+
+// Scale a weight map so its strongest entry is 1
+const normalizeMap = (map) => {
+  const max = Math.max(0, ...map.values());
+  if (max > 0) map.forEach((value, key) => map.set(key, value / max));
+  return map;
+};
+
+// Build the reader's affinity profile from their recent activity
+const buildProfile = async (userId) => {
+  const now = Date.now();
+  const activities = await Activity.find({
+    user: userId,
+    type: { $in: Object.keys(SIGNAL_WEIGHTS) },
+    timestamp: { $gte: new Date(now - HISTORY_DAYS * DAY_MS) },
+    "metadata.postId": { $exists: true },
+  })
+    .select("type metadata.postId timestamp")
+    .sort({ timestamp: -1 })
+    .limit(HISTORY_LIMIT)
+    .lean();
+
+  const postIds = [
+    ...new Set(activities.map((a) => String(a.metadata.postId))),
+  ];
+  const posts = await Post.find({ _id: { $in: postIds } })
+    .select("category tags location locationRef author")
+    .lean();
+  const postsById = new Map(posts.map((p) => [String(p._id), p]));
+
+  const profile = {
+    category: new Map(),
+    tags: new Map(),
+    location: new Map(),
+    author: new Map(),
+    seen: new Set(postIds),
+    signals: 0,
+  };
+
+  activities.forEach((activity) => {
+    const post = postsById.get(String(activity.metadata.postId));
+    if (!post) return;
+
+    const ageDays = (now - new Date(activity.timestamp)) / DAY_MS;
+    const weight =
+      SIGNAL_WEIGHTS[activity.type] *
+      Math.pow(0.5, ageDays / HISTORY_HALF_LIFE_DAYS);
+
+    addWeight(profile.category, post.category, weight);
+    (post.tags || []).forEach((tag) => addWeight(profile.tags, tag, weight));
+    addWeight(profile.location, locationKey(post), weight);
+    addWeight(profile.author, post.author && String(post.author), weight);
+    profile.signals++;
+  });
+
+  ["category", "tags", "location", "author"].forEach((key) =>
+    normalizeMap(profile[key]),
+  );
+  return profile;
+};
+
+const affinityFor = (profile, post) => {
+  const tagScores = (post.tags || []).map((tag) => profile.tags.get(tag) || 0);
+  // Best matching tag counts fully, further matches add a little
+  const sortedTags = tagScores.sort((a, b) => b - a);
+  const tagAffinity = Math.min(
+    1,
+    (sortedTags[0] || 0) +
+      0.25 * sortedTags.slice(1).reduce((sum, s) => sum + s, 0),
+  );
+
+  const authorId = post.author && String(post.author._id || post.author);
+
+  return (
+    AFFINITY_WEIGHTS.category * (profile.category.get(post.category) || 0) +
+    AFFINITY_WEIGHTS.tags * tagAffinity +
+    AFFINITY_WEIGHTS.location * (profile.location.get(locationKey(post)) || 0) +
+    AFFINITY_WEIGHTS.author * (profile.author.get(authorId) || 0)
+  );
+};
+
+// Greedy re-rank: each pick lowers the score of posts sharing its category or author
+const diversify = (scored) => {
+  const remaining = [...scored];
+  const picked = [];
+  const categoryCount = new Map();
+  const authorCount = new Map();
+
+  const adjusted = (item) => {
+    const authorId =
+      item.post.author && String(item.post.author._id || item.post.author);
+    return (
+      item.score *
+      Math.pow(DIVERSITY_PENALTY, categoryCount.get(item.post.category) || 0) *
+      Math.pow(DIVERSITY_PENALTY, authorCount.get(authorId) || 0)
+    );
+  };
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((item, index) => {
+      const score = adjusted(item);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    const authorId =
+      best.post.author && String(best.post.author._id || best.post.author);
+    categoryCount.set(
+      best.post.category,
+      (categoryCount.get(best.post.category) || 0) + 1,
+    );
+    authorCount.set(authorId, (authorCount.get(authorId) || 0) + 1);
+    picked.push({
+      ...best.post,
+      feedScore: Math.round(bestScore * 1000) / 1000,
+    });
+  }
+
+  return picked;
+};
+
+// Trending list used for readers without enough history
+const getTrendingFallback = async (limit) => {
+  const posts = await trending.getTrendingPosts({ timeFilter: "week", limit });
+  if (posts.length > 0) return posts;
+
+  // Quiet week: fall back to the latest posts
+  return Post.find({ ...PUBLIC_FILTER, publishedAt: { $lte: new Date() } })
+    .select(CARD_FIELDS)
+    .populate("author", "username firstName lastName profileImage role title")
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+const computeFeed = async (userId) => {
+  const profile = await buildProfile(userId);
+
+  if (profile.signals < MIN_SIGNALS) {
+    return {
+      personalized: false,
+      posts: await getTrendingFallback(CANDIDATE_LIMIT),
+    };
+  }
+
+  const now = Date.now();
+  const candidates = await Post.find({
+    ...PUBLIC_FILTER,
+    _id: { $nin: [...profile.seen] },
+    publishedAt: {
+      $gte: new Date(now - CANDIDATE_DAYS * DAY_MS),
+      $lte: new Date(now),
+    },
+  })
+    .select(CARD_FIELDS)
+    .populate("author", "username firstName lastName profileImage role title")
+    .sort({ publishedAt: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  if (candidates.length === 0) {
+    return {
+      personalized: false,
+      posts: await getTrendingFallback(CANDIDATE_LIMIT),
+    };
+  }
+
+  const scored = candidates.map((post) => {
+    const ageHours = (now - new Date(post.publishedAt)) / HOUR_MS;
+    const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+    return {
+      post,
+      score:
+        (1 - RECENCY_BLEND) * affinityFor(profile, post) +
+        RECENCY_BLEND * recency,
+    };
+  });
+
+  return { personalized: true, posts: diversify(scored) };
+};
+
+// Ranked feed for a user; cached briefly so paging through it stays stable
+const getPersonalFeed = async (userId, { refresh = false } = {}) => {
+  const key = String(userId);
+  const cached = cache.get(key);
+  if (!refresh && cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const value = await computeFeed(userId);
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, value });
+  return value;
+};
+
+module.exports = {
+  getPersonalFeed,
+};
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const validator = require("validator");
+const PhoneOtp = require("../models/PhoneOtp");
+const config = require("../config");
+const { getProvider } = require("./otpProviders");
+
+// One-time codes for phone login.
+//
+// requestCode sends a new code (older unused codes for the number stop
+// working) within a resend cooldown and an hourly cap per number. verifyCode
+// checks a code; each code allows OTP_MAX_ATTEMPTS wrong guesses before it is
+// burned and can be used once. Both return { error, statusCode } on failure.
+
+const CODE_LENGTH = 6;
+const CHANNELS = ["whatsapp", "sms"];
+const HOUR_MS = 60 * 60 * 1000;
+
+// E.164 form of a phone number; 10 digit numbers are taken as Indian (+91),
+// the same as WhatsApp broadcasts. Null when it does not look like a number.
+const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== "string") return null;
+
+  const cleaned = phone.trim().replace(/[^\d+]/g, "");
+  const digits = cleaned.replace(/\+/g, "");
+  if (digits.length < 10 || digits.length > 15 || /^0/.test(digits)) {
+    return null;
+  }
+  const phoneNumber =
+    !cleaned.startsWith("+") && digits.length === 10
+      ? `+91${digits}`
+      : `+${digits}`;
+  return validator.isMobilePhone(phoneNumber, "any", { strictMode: true })
+    ? phoneNumber
+    : null;
+};
+
+const hashCode = (phone, code) =>
+  crypto
+    .createHmac("sha256", config.JWT_SECRET)
+    .update(`${phone}:${code}`)
+    .digest("hex");
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+
+const codeMessage = (code) =>
+  `${code} is your ${config.TWO_FACTOR_ISSUER} login code. It expires in ${config.OTP_EXPIRES_MINUTES} minutes. Do not share it with anyone.`;
+
+// Send a login code to a number (already normalized)
+const requestCode = async ({ phone, channel = "whatsapp", req }) => {
+  if (!CHANNELS.includes(channel)) {
+    return {
+      error: `channel must be one of ${CHANNELS.join(", ")}`,
+      statusCode: 400,
+    };
+  }
+
+  const provider = getProvider();
+  if (!provider) {
+    return {
+      error: "Phone login is not available right now",
+      statusCode: 503,
+    };
+  }
+  if (!provider.channels.includes(channel)) {
+    return {
+      error: `Login codes cannot be sent by ${channel} right now`,
+      statusCode: 503,
+    };
+  }
+
+  const now = Date.now();
+  const recent = await PhoneOtp.find({
+    phone,
+    createdAt: { $gte: new Date(now - HOUR_MS) },
+  })
+    .select("createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const resendAt = recent[0]
+    ? recent[0].createdAt.getTime() + config.OTP_RESEND_SECONDS * 1000
+    : 0;
+  if (resendAt > now) {
+    const retryAfter = Math.ceil((resendAt - now) / 1000);
+    return {
+      error: `Please wait ${retryAfter} seconds before requesting another code`,
+      statusCode: 429,
+      retryAfter,
+    };
+  }
+  if (recent.length >= config.OTP_MAX_PER_HOUR) {
+    const retryAfter = Math.ceil(
+      (recent[recent.length - 1].createdAt.getTime() + HOUR_MS - now) / 1000,
+    );
+    return {
+      error: "Too many codes requested for this number, please try again later",
+      statusCode: 429,
+      retryAfter,
+    };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(now + config.OTP_EXPIRES_MINUTES * 60 * 1000);
+
+  // Only the newest code is valid
+  await PhoneOtp.updateMany(
+    { phone, consumedAt: null, expiresAt: { $gt: new Date(now) } },
+    { expiresAt: new Date(now) },
+  );
+
+  const otp = await PhoneOtp.create({
+    phone,
+    codeHash: hashCode(phone, code),
+    channel,
+    provider: provider.name,
+    expiresAt,
+    ipAddress: req?.ip,
+  });
+
+  try {
+    await provider.send({ to: phone, channel, message: codeMessage(code) });
+  } catch (error) {
+    console.error(`Error sending login code by ${channel}:`, error.message);
+    // A code that never arrived should not use up the number's limits
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    return {
+      error: `We could not send a code by ${channel}, please try again later`,
+      statusCode: 502,
+    };
+  }
+
+  return {
+    channel,
+    expiresAt,
+    resendAfter: config.OTP_RESEND_SECONDS,
+  };
+};
+
+// Check a code for a number (already normalized).
+// Returns {} on success or { error, statusCode, attemptsRemaining }.
+const verifyCode = async (phone, code) => {
+  const invalid = { error: "Invalid or expired code", statusCode: 400 };
+  if (!/^\d+$/.test(String(code || "").trim())) return invalid;
+
+  // Count the guess up front so parallel requests cannot exceed the limit
+  const otp = await PhoneOtp.findOneAndUpdate(
+    {
+      phone,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: config.OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } },
+  );
+  if (!otp) return invalid;
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashCode(phone, String(code).trim()), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const attemptsRemaining = Math.max(
+      0,
+      config.OTP_MAX_ATTEMPTS - otp.attempts,
+    );
+    return {
+      ...invalid,
+      error:
+        attemptsRemaining > 0
+          ? `Invalid code, ${attemptsRemaining} attempts remaining`
+          : "Too many wrong attempts, please request a new code",
+      attemptsRemaining,
+    };
+  }
+
+  // Single use: only one request can consume the code
+  const consumed = await PhoneOtp.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { consumedAt: new Date() },
+  );
+  if (consumed.modifiedCount === 0) return invalid;
+
+  return {};
+};
+
+module.exports = {
+  CHANNELS,
+  normalizePhone,
+  requestCode,
+  verifyCode,
+};
@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+const Like = require("../models/Like");
+const Comment = require("../models/Comment");
+const PostDailyStats = require("../models/PostDailyStats");
+
+// Per-post analytics.
+//
+// Views, devices, referrers, shares and read-through come from the daily
+// PostDailyStats counters; likes and comments are counted from their own
+// collections so unlikes and deleted comments are reflected.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SHARE_PLATFORM_LENGTH = 40;
+const DEVICES = ["desktop", "mobile", "tablet"];
+
+// Map keys cannot contain "." (it would be read as a nested path in $inc)
+const encodeKey = (key) =>
+  String(key).replace(/\./g, "．").replace(/^\$/, "＄");
+const decodeKey = (key) => String(key).replace(/．/g, ".").replace(/^＄/, "$");
+
+// Start of the day (UTC)
+const dayStart = (date = new Date()) =>
+  new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const normalizePlatform = (platform) =>
+  String(platform || "unknown")
+    .trim()
+    .toLowerCase()
+    .slice(0, MAX_SHARE_PLATFORM_LENGTH) || "unknown";
+
+// Count a share on today's stats
+const recordShare = (postId, platform) =>
+  PostDailyStats.updateOne(
+    { post: postId, day: dayStart() },
+    {
+      $inc: {
+        shares: 1,
+        [`sharePlatforms.${encodeKey(normalizePlatform(platform))}`]: 1,
+      },
+    },
+    { upsert: true },
+  ).catch((error) => {
+    console.error("Error recording share:", error.message);
+  });
+
+const countPerDay = (Model, match) =>
+  Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+const addToMap = (target, source) => {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    const name = decodeKey(key);
+    target.set(name, (target.get(name) || 0) + (value || 0));
+  });
+};
+
+const sortedEntries = (map, keyName, valueName) =>
+  [...map.entries()]
+    .filter(([, value]) => value > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, value]) => ({ [keyName]: key, [valueName]: value }));
+
+// Analytics for one post between two days (inclusive)
+const getPostAnalytics = async (postId, { from, to }) => {
+  const post = new mongoose.Types.ObjectId(String(postId));
+  const start = dayStart(from);
+  const end = new Date(dayStart(to).getTime() + DAY_MS);
+  const createdInRange = { $gte: start, $lt: end };
+
+  const [stats, likesPerDay, commentsPerDay] = await Promise.all([
+    PostDailyStats.find({ post, day: { $gte: start, $lt: end } }).lean(),
+    countPerDay(Like, { post, createdAt: createdInRange }),
+    countPerDay(Comment, { post, isDeleted: false, createdAt: createdInRange }),
+  ]);
+
+  const daily = new Map();
+  for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+    daily.set(formatDay(time), {
+      date: formatDay(time),
+      views: 0,
+      likes: 0,
+      comments: 0,
+      shares: 0,
+    });
+  }
+
+  const referrers = new Map();
+  const sharePlatforms = new Map();
+  const devices = { desktop: 0, mobile: 0, tablet: 0 };
+  const readThrough = { total: 0, count: 0 };
+
+  stats.forEach((entry) => {
+    const row = daily.get(formatDay(entry.day));
+    if (row) {
+      row.views += entry.views || 0;
+      row.shares += entry.shares || 0;
+    }
+    addToMap(referrers, entry.referrers);
+    addToMap(sharePlatforms, entry.sharePlatforms);
+    DEVICES.forEach((device) => {
+      devices[device] += entry.devices?.[device] || 0;
+    });
+    readThrough.total += entry.readThrough?.total || 0;
+    readThrough.count += entry.readThrough?.count || 0;
+  });
+
+  likesPerDay.forEach(({ _id, count }) => {
+    if (daily.has(_id)) daily.get(_id).likes = count;
+  });
+  commentsPerDay.forEach(({ _id, count }) => {
+    if (daily.has(_id)) daily.get(_id).comments = count;
+  });
+
+  const rows = [...daily.values()];
+  const totals = rows.reduce(
+    (sum, row) => ({
+      views: sum.views + row.views,
+      likes: sum.likes + row.likes,
+      comments: sum.comments + row.comments,
+      shares: sum.shares + row.shares,
+    }),
+    { views: 0, likes: 0, comments: 0, shares: 0 },
+  );
+
+  return {
+    range: { from: formatDay(start), to: formatDay(end.getTime() - DAY_MS) },
+    totals,
+    daily: rows,
+    sharePlatforms: sortedEntries(sharePlatforms, "platform", "shares"),
+    referrers: sortedEntries(referrers, "domain", "views"),
+    devices,
+    readThrough: {
+      // Average percentage of the article read, null without reports
+      average:
+        readThrough.count > 0
+          ? Math.round((readThrough.total / readThrough.count) * 10) / 10
+          : null,
+      samples: readThrough.count,
+    },
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Daily series as CSV (one row per day plus a totals row)
+const toCsv = (analytics) => {
+  const lines = [["date", "views", "likes", "comments", "shares"]];
+  analytics.daily.forEach((row) =>
+    lines.push([row.date, row.views, row.likes, row.comments, row.shares]),
+  );
+  const { totals } = analytics;
+  lines.push([
+    "total",
+    totals.views,
+    totals.likes,
+    totals.comments,
+    totals.shares,
+  ]);
+  return `${lines.map((line) => line.map(csvCell).join(",")).join("\n")}\n`;
+};
+
+module.exports = {
+  DEVICES,
+  encodeKey,
+  decodeKey,
+  dayStart,
+  formatDay,
+  recordShare,
+  getPostAnalytics,
+  toCsv,
+};
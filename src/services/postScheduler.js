@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const config = require("../config");
+const { notifyAuthor } = require("./editorialWorkflow");
+const { notifyFollowers } = require("./follows");
+const relatedPosts = require("./relatedPosts");
+
+// Publishes posts whose scheduledFor time has passed.
+//
+// State lives entirely in MongoDB, so overdue posts are picked up on the first
+// tick after a restart. Each post is claimed with an atomic findOneAndUpdate
+// that only matches while it is still "scheduled", so when several instances
+// run the scheduler a post is published (and announced) exactly once.
+
+const MAX_POSTS_PER_TICK = 50;
+
+let timer = null;
+let running = false;
+
+// Atomically move one due post from scheduled to published
+const claimDuePost = (now) => {
+  return Post.findOneAndUpdate(
+    {
+      status: "scheduled",
+      scheduledFor: { $lte: now },
+      isActive: true,
+    },
+    { status: "published", publishedAt: new Date() },
+    { new: true, sort: { scheduledFor: 1 } },
+  ).populate("author", "username firstName lastName profileImage");
+};
+
+const announcePublished = (post) => {
+  // Drop cached anonymous feed pages so the post shows up immediately
+  global.__kr_feedCache?.clear();
+  // Related lists cached for other posts may now include this one
+  relatedPosts.clear();
+
+  if (global.io) {
+    global.io.emit("postPublished", {
+      postId: post._id,
+      title: post.title,
+      slug: post.slug,
+      category: post.category,
+      location: post.location,
+      publishedAt: post.publishedAt,
+    });
+  }
+
+  notifyAuthor(post, "published", null);
+  notifyFollowers(post);
+};
+
+// Publish every post that is due; returns the published posts
+const publishDuePosts = async (now = new Date()) => {
+  const published = [];
+
+  for (let i = 0; i < MAX_POSTS_PER_TICK; i++) {
+    const post = await claimDuePost(now);
+    if (!post) break;
+    published.push(post);
+    announcePublished(post);
+  }
+
+  if (published.length > 0) {
+    console.log(`🗓️ Scheduler published ${published.length} post(s)`);
+  }
+
+  return published;
+};
+
+const tick = async () => {
+  // Skip while the database is (re)connecting and never overlap runs
+  if (running || mongoose.connection.readyState !== 1) return;
+
+  running = true;
+  try {
+    await publishDuePosts();
+  } catch (error) {
+    console.error("Error publishing scheduled posts:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(tick, config.SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  console.log(
+    `🗓️ Post scheduler started (every ${config.SCHEDULER_INTERVAL_MS / 1000}s)`,
+  );
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  publishDuePosts,
+};
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const config = require("../config");
+
+// Rotating refresh tokens.
+//
+// Tokens are random strings handed to the client once; only their SHA-256
+// hash is stored. Each refresh revokes the presented token and issues a new
+// one in the same family. If an already rotated token shows up again it has
+// been copied, so every token in its family is revoked and the user has to
+// sign in again. A family is one Session (see services/sessions.js); revoking
+// a family ends that session too.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two requests refreshing with the same token at the same moment (e.g. two
+// tabs) are a race, not theft: the loser is refused but the family survives
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const requestInfo = (req) => ({
+  userAgent: req?.get?.("User-Agent")?.slice(0, 500),
+  ipAddress: req?.ip?.replace("::ffff:", ""),
+});
+
+// Issue a refresh token in a family (the session id)
+const issue = async (user, req, { family, authenticatedAt }) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const doc = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: String(family),
+    authenticatedAt: authenticatedAt || new Date(),
+    expiresAt: new Date(
+      Date.now() + config.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS,
+    ),
+    ...requestInfo(req),
+  });
+  return { token, doc };
+};
+
+const revokeFamily = async (family, reason, revokedBy) => {
+  const revoked = { revokedAt: new Date(), revokedReason: reason };
+  await Promise.all([
+    RefreshToken.updateMany({ family, revokedAt: null }, revoked),
+    Session.updateOne(
+      { _id: family, revokedAt: null },
+      { ...revoked, revokedBy },
+    ),
+  ]);
+};
+
+const revokeAllForUser = async (userId, reason, revokedBy) => {
+  const revoked = { revokedAt: new Date(), revokedReason: reason };
+  await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, revoked),
+    Session.updateMany(
+      { user: userId, revokedAt: null },
+      { ...revoked, revokedBy },
+    ),
+  ]);
+};
+
+// Exchange a refresh token for a new one.
+// Returns { user, token, doc } or { error } (plus `reused` when a rotated
+// token was replayed and its family has been revoked).
+const rotate = async (token, req) => {
+  const invalid = {
+    error: "Invalid or expired refresh token. Please log in again.",
+  };
+  if (!token) return { error: "Refresh token is required" };
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored || stored.expiresAt <= new Date()) return invalid;
+
+  if (stored.revokedAt) {
+    if (
+      stored.revokedReason === "rotated" &&
+      Date.now() - stored.revokedAt.getTime() > ROTATION_GRACE_MS
+    ) {
+      await revokeFamily(stored.family, "reuse");
+      return { ...invalid, reused: stored };
+    }
+    return invalid;
+  }
+
+  // Claim the token atomically so it can only be rotated once
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" },
+    { new: true },
+  );
+  if (!claimed) return invalid;
+
+  const user = await User.findById(stored.user).select("+isActive");
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family, "admin");
+    return invalid;
+  }
+  if (
+    user.changedPasswordAfter(
+      Math.floor(stored.authenticatedAt.getTime() / 1000),
+    )
+  ) {
+    await revokeFamily(stored.family, "password_change");
+    return { error: "User recently changed password! Please log in again." };
+  }
+
+  const next = await issue(user, req, {
+    family: stored.family,
+    authenticatedAt: stored.authenticatedAt,
+  });
+  claimed.replacedBy = next.doc._id;
+  await Promise.all([
+    claimed.save(),
+    Session.updateOne(
+      { _id: stored.family },
+      {
+        lastSeenAt: new Date(),
+        expiresAt: next.doc.expiresAt,
+        ipAddress: next.doc.ipAddress,
+      },
+    ),
+  ]);
+
+  return { user, ...next };
+};
+
+// Revoke the family (sign-in session) a token belongs to; returns the token
+// document or null when it is unknown
+const revoke = async (token, reason = "logout") => {
+  if (!token) return null;
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return null;
+
+  await revokeFamily(stored.family, reason);
+  return stored;
+};
+
+module.exports = {
+  hashToken,
+  issue,
+  rotate,
+  revoke,
+  revokeFamily,
+  revokeAllForUser,
+};
@@ -0,0 +1,143 @@
+const Post = require("../models/Post");
+const SiteSettings = require("../models/SiteSettings");
+
+// "Read next" suggestions for a post. Candidates sharing tags, category or
+// location are scored with the weights from SiteSettings.relatedPosts plus a
+// recency bonus that halves every `recencyHalfLifeDays`. Results are cached
+// per post; an entry is dropped when the post or one of its suggestions changes.
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+const MAX_CANDIDATES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WEIGHTS = {
+  tagWeight: 3,
+  categoryWeight: 2,
+  locationWeight: 1.5,
+  recencyWeight: 2,
+  recencyHalfLifeDays: 7,
+  maxAgeDays: 180,
+  limit: 6,
+};
+
+const CARD_FIELDS =
+  "title excerpt featuredImage tags category location locationRef publishedAt likeCount commentCount shareCount viewCount slug readingTime author";
+
+// postId -> { expiresAt, value, relatedIds: Set }
+const cache = new Map();
+
+const getWeights = async () => {
+  const settings = await SiteSettings.findOne().select("relatedPosts").lean();
+  return { ...DEFAULT_WEIGHTS, ...(settings?.relatedPosts || {}) };
+};
+
+const scoreCandidate = (post, candidate, weights, now) => {
+  const postTags = new Set(post.tags || []);
+  const sharedTags = (candidate.tags || []).filter((t) => postTags.has(t));
+
+  const sameCategory = !!post.category && candidate.category === post.category;
+  const sameLocation = post.locationRef
+    ? String(candidate.locationRef) === String(post.locationRef)
+    : !!post.location && candidate.location === post.location;
+
+  const ageDays = Math.max(
+    0,
+    (now - new Date(candidate.publishedAt || 0)) / DAY_MS,
+  );
+  const recency = Math.pow(0.5, ageDays / weights.recencyHalfLifeDays);
+
+  const score =
+    sharedTags.length * weights.tagWeight +
+    (sameCategory ? weights.categoryWeight : 0) +
+    (sameLocation ? weights.locationWeight : 0) +
+    recency * weights.recencyWeight;
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: {
+      sharedTags,
+      sameCategory,
+      sameLocation,
+    },
+  };
+};
+
+const computeRelated = async (post) => {
+  const weights = await getWeights();
+  const now = Date.now();
+
+  const matchers = [];
+  if (post.tags && post.tags.length > 0)
+    matchers.push({ tags: { $in: post.tags } });
+  if (post.category) matchers.push({ category: post.category });
+  if (post.locationRef) matchers.push({ locationRef: post.locationRef });
+  else if (post.location) matchers.push({ location: post.location });
+  if (matchers.length === 0) return [];
+
+  const candidates = await Post.find({
+    _id: { $ne: post._id },
+    status: "published",
+    isActive: true,
+    isVisible: { $ne: false },
+    publishedAt: {
+      $gte: new Date(now - weights.maxAgeDays * DAY_MS),
+      $lte: new Date(now),
+    },
+    $or: matchers,
+  })
+    .select(CARD_FIELDS)
+    .populate("author", "username firstName lastName profileImage")
+    .sort({ publishedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map((candidate) => ({
+      ...candidate,
+      ...scoreCandidate(post, candidate, weights, now),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, weights.limit);
+};
+
+// Related posts for a post (needs _id, tags, category, location, locationRef)
+const getRelatedPosts = async (post) => {
+  const key = String(post._id);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const value = await computeRelated(post);
+
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    // Map keeps insertion order, so the first key is the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, {
+    expiresAt: Date.now() + CACHE_TTL_MS,
+    value,
+    relatedIds: new Set(value.map((p) => String(p._id))),
+  });
+  return value;
+};
+
+// Drop cached results for a post and every list that suggests it
+const invalidate = (postId) => {
+  const key = String(postId);
+  cache.delete(key);
+  cache.forEach((entry, cachedKey) => {
+    if (entry.relatedIds.has(key)) cache.delete(cachedKey);
+  });
+};
+
+// Drop everything (e.g. after the scoring weights change)
+const clear = () => {
+  cache.clear();
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  getRelatedPosts,
+  invalidate,
+  clear,
+};
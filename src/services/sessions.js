@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const config = require("../config");
+const refreshTokens = require("./refreshTokens");
+const { describeDevice } = require("../utils/deviceInfo");
+
+// Signed-in devices.
+//
+// A session is started at login and ends on logout, when it is revoked from
+// the device list (by the user or an admin), on password change, or when a
+// refresh token of it is replayed. Access tokens carry the session id as
+// `sid`; protect() asks isActive() so revoked sessions stop working before
+// their access token expires.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATUS_CACHE_TTL_MS = 30 * 1000;
+const STATUS_CACHE_MAX = 10000;
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// sessionId -> { active, expiresAt, touchedAt }
+const statusCache = new Map();
+
+const header = (req, name) => req.get?.(name) || undefined;
+
+// Location from the CDN / proxy headers, when it adds them
+const locationOf = (req) => ({
+  country: header(req, "cf-ipcountry") || header(req, "x-vercel-ip-country"),
+  region: header(req, "cf-region") || header(req, "x-vercel-ip-country-region"),
+  city: header(req, "cf-ipcity") || header(req, "x-vercel-ip-city"),
+});
+
+// Start a session for a user who just signed in; returns the session and
+// its first refresh token ({ token, doc })
+const start = async (user, req) => {
+  const userAgent = header(req, "User-Agent") || "";
+  const session = await Session.create({
+    user: user._id,
+    ...describeDevice(userAgent),
+    userAgent: userAgent.slice(0, 500),
+    ipAddress: req.ip?.replace("::ffff:", ""),
+    location: locationOf(req),
+    expiresAt: new Date(
+      Date.now() + config.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS,
+    ),
+  });
+
+  const refresh = await refreshTokens.issue(user, req, {
+    family: session._id,
+    authenticatedAt: session.createdAt,
+  });
+
+  return { session, refresh };
+};
+
+// Whether the session behind an access token is still signed in. Tokens
+// without a session id are checked by their expiry only.
+const isActive = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return true;
+
+  const now = Date.now();
+  let entry = statusCache.get(sessionId);
+
+  if (!entry || entry.expiresAt <= now) {
+    const session = await Session.findById(sessionId)
+      .select("revokedAt lastSeenAt")
+      .lean();
+    if (statusCache.size >= STATUS_CACHE_MAX) statusCache.clear();
+    entry = {
+      active: !!session && !session.revokedAt,
+      expiresAt: now + STATUS_CACHE_TTL_MS,
+      touchedAt: session?.lastSeenAt?.getTime() || 0,
+    };
+    statusCache.set(sessionId, entry);
+  }
+
+  if (entry.active && now - entry.touchedAt > TOUCH_INTERVAL_MS) {
+    entry.touchedAt = now;
+    Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date(now) }).catch(
+      (error) => console.error("Error updating session:", error.message),
+    );
+  }
+
+  return entry.active;
+};
+
+// Drop a cached status (after the session was revoked)
+const forget = (sessionId) => {
+  statusCache.delete(String(sessionId));
+};
+
+const toView = (session, currentSessionId) => ({
+  _id: session._id,
+  browser: session.browser,
+  browserVersion: session.browserVersion,
+  os: session.os,
+  osVersion: session.osVersion,
+  device: session.device,
+  ipAddress: session.ipAddress,
+  location: session.location,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+// Signed-in devices of a user, most recently used first
+const list = async (userId, currentSessionId) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return sessions.map((session) => toView(session, currentSessionId));
+};
+
+// End one session of a user; returns it, or null when there is no such
+// active session
+const revoke = async (userId, sessionId, reason, revokedBy) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+  }).lean();
+  if (!session) return null;
+
+  await refreshTokens.revokeFamily(String(session._id), reason, revokedBy);
+  forget(session._id);
+  return session;
+};
+
+// End every session of a user except `keepSessionId`; returns how many ended
+const revokeAll = async (userId, reason, { keepSessionId, revokedBy } = {}) => {
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: null,
+    ...(keepSessionId &&
+      mongoose.Types.ObjectId.isValid(keepSessionId) && {
+        _id: { $ne: keepSessionId },
+      }),
+  })
+    .select("_id")
+    .lean();
+
+  if (keepSessionId) {
+    await Promise.all(
+      sessions.map((session) =>
+        refreshTokens.revokeFamily(String(session._id), reason, revokedBy),
+      ),
+    );
+  } else {
+    await refreshTokens.revokeAllForUser(userId, reason, revokedBy);
+  }
+  sessions.forEach((session) => forget(session._id));
+  return sessions.length;
+};
+
+module.exports = {
+  start,
+  isActive,
+  forget,
+  list,
+  revoke,
+  revokeAll,
+};
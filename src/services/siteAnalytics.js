@@ -0,0 +1,443 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Like = require("../models/Like");
+const Comment = require("../models/Comment");
+const Bookmark = require("../models/Bookmark");
+const Activity = require("../models/Activity");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Location = require("../models/Location");
+const PostDailyStats = require("../models/PostDailyStats");
+const { DAY_MS } = require("../utils/dateRange");
+const { formatDay } = require("./postAnalytics");
+
+// Newsroom-wide analytics.
+//
+// Views, shares and read-through come from PostDailyStats; likes, comments
+// and bookmarks are counted from their own collections by creation date;
+// signed-in readers and follows come from Activity. Every report is cached
+// for CACHE_TTL_MS per date range and options.
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+
+const METRICS = [
+  "views",
+  "engagement",
+  "likes",
+  "comments",
+  "shares",
+  "bookmarks",
+];
+const TOP_DIMENSIONS = ["posts", "authors", "categories", "locations"];
+
+const AUTHOR_FIELDS = "username firstName lastName profileImage role title";
+
+// key -> { expiresAt, value }
+const cache = new Map();
+
+const cached = async (key, compute) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await compute();
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { expiresAt: Date.now() + CACHE_TTL_MS, value });
+  return value;
+};
+
+const clear = () => cache.clear();
+
+// { from, to } (inclusive days) -> [start, end) dates
+const bounds = ({ from, to }) => ({
+  start: from,
+  end: new Date(to.getTime() + DAY_MS),
+});
+
+const rangeKey = ({ from, to }) => `${formatDay(from)}:${formatDay(to)}`;
+
+const previousRange = ({ from, days }) => ({
+  from: new Date(from.getTime() - days * DAY_MS),
+  to: new Date(from.getTime() - DAY_MS),
+  days,
+});
+
+const emptyCounts = () => ({
+  views: 0,
+  likes: 0,
+  comments: 0,
+  shares: 0,
+  bookmarks: 0,
+});
+
+const withEngagement = (counts) => ({
+  ...counts,
+  engagement: counts.likes + counts.comments + counts.shares + counts.bookmarks,
+});
+
+const countByPost = (Model, match) =>
+  Model.aggregate([
+    { $match: match },
+    { $group: { _id: "$post", count: { $sum: 1 } } },
+  ]);
+
+// postId -> counts for every post with activity in the range
+const getPostCounts = async (range) => {
+  const { start, end } = bounds(range);
+  const created = { createdAt: { $gte: start, $lt: end } };
+
+  const [stats, likes, comments, bookmarks] = await Promise.all([
+    PostDailyStats.aggregate([
+      { $match: { day: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: "$post",
+          views: { $sum: "$views" },
+          shares: { $sum: "$shares" },
+        },
+      },
+    ]),
+    countByPost(Like, created),
+    countByPost(Comment, { ...created, isDeleted: false }),
+    countByPost(Bookmark, created),
+  ]);
+
+  const counts = new Map();
+  const entryFor = (postId) => {
+    const key = String(postId);
+    if (!counts.has(key)) counts.set(key, emptyCounts());
+    return counts.get(key);
+  };
+
+  stats.forEach(({ _id, views, shares }) => {
+    const entry = entryFor(_id);
+    entry.views = views;
+    entry.shares = shares;
+  });
+  likes.forEach(({ _id, count }) => (entryFor(_id).likes = count));
+  comments.forEach(({ _id, count }) => (entryFor(_id).comments = count));
+  bookmarks.forEach(({ _id, count }) => (entryFor(_id).bookmarks = count));
+
+  return counts;
+};
+
+// Key and label of a post for a dimension
+const dimensionKey = {
+  authors: (post) => (post.author ? String(post.author) : null),
+  categories: (post) => post.category || null,
+  locations: (post) =>
+    post.locationRef
+      ? `ref:${post.locationRef}`
+      : post.location
+        ? `name:${post.location}`
+        : null,
+};
+
+const loadDetails = async (dimension, keys) => {
+  switch (dimension) {
+    case "authors": {
+      const users = await User.find({ _id: { $in: keys } })
+        .select(AUTHOR_FIELDS)
+        .lean();
+      return new Map(users.map((u) => [String(u._id), u]));
+    }
+    case "categories": {
+      const categories = await Category.find({ slug: { $in: keys } })
+        .select("slug name nameHi")
+        .lean();
+      return new Map(categories.map((c) => [c.slug, c]));
+    }
+    case "locations": {
+      const ids = keys
+        .filter((k) => k.startsWith("ref:"))
+        .map((k) => k.slice(4));
+      const locations = await Location.find({ _id: { $in: ids } })
+        .select("name nameHi slug type")
+        .lean();
+      const details = new Map(locations.map((l) => [`ref:${l._id}`, l]));
+      keys
+        .filter((k) => k.startsWith("name:"))
+        .forEach((k) => details.set(k, { name: k.slice(5) }));
+      return details;
+    }
+    default:
+      return new Map();
+  }
+};
+
+const computeTop = async (dimension, range, { metric, limit }) => {
+  const { start, end } = bounds(range);
+  const counts = await getPostCounts(range);
+
+  if (dimension === "posts") {
+    const ranked = [...counts.entries()]
+      .map(([postId, c]) => ({ postId, ...withEngagement(c) }))
+      .sort((a, b) => b[metric] - a[metric])
+      .slice(0, limit);
+
+    const posts = await Post.find({ _id: { $in: ranked.map((r) => r.postId) } })
+      .select("title slug category location publishedAt status author")
+      .populate("author", AUTHOR_FIELDS)
+      .lean();
+    const postsById = new Map(posts.map((p) => [String(p._id), p]));
+
+    return ranked
+      .filter((r) => postsById.has(r.postId))
+      .map(({ postId, ...c }) => ({ post: postsById.get(postId), ...c }));
+  }
+
+  // Posts with activity plus posts published in the range
+  const posts = await Post.find({
+    $or: [
+      { _id: { $in: [...counts.keys()] } },
+      { status: "published", publishedAt: { $gte: start, $lt: end } },
+    ],
+  })
+    .select("author category location locationRef publishedAt status")
+    .lean();
+
+  const groups = new Map();
+  posts.forEach((post) => {
+    const key = dimensionKey[dimension](post);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, { ...emptyCounts(), postsPublished: 0 });
+    }
+
+    const group = groups.get(key);
+    const c = counts.get(String(post._id));
+    if (c) Object.keys(c).forEach((field) => (group[field] += c[field]));
+    if (
+      post.status === "published" &&
+      post.publishedAt >= start &&
+      post.publishedAt < end
+    ) {
+      group.postsPublished++;
+    }
+  });
+
+  const ranked = [...groups.entries()]
+    .map(([key, c]) => ({ key, ...withEngagement(c) }))
+    .sort(
+      (a, b) => b[metric] - a[metric] || b.postsPublished - a.postsPublished,
+    )
+    .slice(0, limit);
+
+  const details = await loadDetails(
+    dimension,
+    ranked.map((r) => r.key),
+  );
+  const label = {
+    authors: "author",
+    categories: "category",
+    locations: "location",
+  }[dimension];
+
+  return ranked.map(({ key, ...c }) => ({
+    [label]: details.get(key) || { key },
+    ...c,
+  }));
+};
+
+// Top posts / authors / categories / locations ranked by a metric
+const getTop = (dimension, range, { metric = "views", limit = 10 } = {}) =>
+  cached(`top:${dimension}:${metric}:${limit}:${rangeKey(range)}`, () =>
+    computeTop(dimension, range, { metric, limit }),
+  );
+
+// Posts published per day per author
+const getPublishingVolume = (range, { author } = {}) =>
+  cached(`publishing:${author || "all"}:${rangeKey(range)}`, async () => {
+    const { start, end } = bounds(range);
+    const match = {
+      status: "published",
+      publishedAt: { $gte: start, $lt: end },
+    };
+    if (author) match.author = new mongoose.Types.ObjectId(String(author));
+
+    const rows = await Post.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            author: "$author",
+            day: {
+              $dateToString: { format: "%Y-%m-%d", date: "$publishedAt" },
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const days = [];
+    for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+      days.push(formatDay(time));
+    }
+
+    const byAuthor = new Map();
+    const perDayTotal = Object.fromEntries(days.map((day) => [day, 0]));
+    rows.forEach(({ _id, count }) => {
+      const key = String(_id.author);
+      if (!byAuthor.has(key)) {
+        byAuthor.set(key, {
+          total: 0,
+          perDay: Object.fromEntries(days.map((d) => [d, 0])),
+        });
+      }
+      const entry = byAuthor.get(key);
+      entry.total += count;
+      entry.perDay[_id.day] = (entry.perDay[_id.day] || 0) + count;
+      perDayTotal[_id.day] = (perDayTotal[_id.day] || 0) + count;
+    });
+
+    const users = await User.find({ _id: { $in: [...byAuthor.keys()] } })
+      .select(AUTHOR_FIELDS)
+      .lean();
+    const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+    return {
+      days,
+      total: rows.reduce((sum, row) => sum + row.count, 0),
+      perDay: perDayTotal,
+      authors: [...byAuthor.entries()]
+        .map(([id, entry]) => ({
+          author: usersById.get(id) || { _id: id },
+          ...entry,
+        }))
+        .sort((a, b) => b.total - a.total),
+    };
+  });
+
+// Site totals for a range
+const computeSummary = async (range) => {
+  const { start, end } = bounds(range);
+  const created = { createdAt: { $gte: start, $lt: end } };
+  const logged = { timestamp: { $gte: start, $lt: end } };
+
+  const [
+    stats,
+    likes,
+    comments,
+    bookmarks,
+    postsPublished,
+    readers,
+    newFollows,
+  ] = await Promise.all([
+    PostDailyStats.aggregate([
+      { $match: { day: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: "$views" },
+          shares: { $sum: "$shares" },
+          readTotal: { $sum: "$readThrough.total" },
+          readCount: { $sum: "$readThrough.count" },
+        },
+      },
+    ]),
+    Like.countDocuments(created),
+    Comment.countDocuments({ ...created, isDeleted: false }),
+    Bookmark.countDocuments(created),
+    Post.countDocuments({
+      status: "published",
+      publishedAt: { $gte: start, $lt: end },
+    }),
+    Activity.distinct("user", { ...logged, type: "post_view" }),
+    Activity.countDocuments({ ...logged, type: "user_follow" }),
+  ]);
+
+  const totals = stats[0] || {
+    views: 0,
+    shares: 0,
+    readTotal: 0,
+    readCount: 0,
+  };
+
+  return {
+    views: totals.views,
+    reads: totals.readCount,
+    averageReadThrough:
+      totals.readCount > 0
+        ? Math.round((totals.readTotal / totals.readCount) * 10) / 10
+        : null,
+    likes,
+    comments,
+    shares: totals.shares,
+    bookmarks,
+    postsPublished,
+    signedInReaders: readers.length,
+    newFollows,
+  };
+};
+
+const getSummary = (range) =>
+  cached(`summary:${rangeKey(range)}`, () => computeSummary(range));
+
+const rate = (count, base) =>
+  base > 0 ? Math.round((count / base) * 10000) / 100 : null;
+
+// Views -> reads -> likes / comments / shares / bookmarks, as share of views
+const getEngagementFunnel = async (range) => {
+  const summary = await getSummary(range);
+
+  return {
+    averageReadThrough: summary.averageReadThrough,
+    steps: ["views", "reads", "likes", "comments", "shares", "bookmarks"].map(
+      (step) => ({
+        step,
+        count: summary[step],
+        rateOfViews:
+          step === "views" ? 100 : rate(summary[step], summary.views),
+      }),
+    ),
+  };
+};
+
+// Current totals against the same number of days just before
+const getComparison = async (range) => {
+  const previous = previousRange(range);
+  const [current, before] = await Promise.all([
+    getSummary(range),
+    getSummary(previous),
+  ]);
+
+  const change = {};
+  Object.keys(current).forEach((key) => {
+    const now = current[key];
+    const then = before[key];
+    if (typeof now !== "number" || typeof then !== "number") {
+      change[key] = null;
+      return;
+    }
+    change[key] = {
+      difference: Math.round((now - then) * 10) / 10,
+      percent: then > 0 ? Math.round(((now - then) / then) * 1000) / 10 : null,
+    };
+  });
+
+  return {
+    current: {
+      range: { from: formatDay(range.from), to: formatDay(range.to) },
+      ...current,
+    },
+    previous: {
+      range: { from: formatDay(previous.from), to: formatDay(previous.to) },
+      ...before,
+    },
+    change,
+  };
+};
+
+module.exports = {
+  METRICS,
+  TOP_DIMENSIONS,
+  getTop,
+  getPublishingVolume,
+  getSummary,
+  getEngagementFunnel,
+  getComparison,
+  clear,
+};
@@ -0,0 +1,115 @@
+const Category = require("../models/Category");
+const Tag = require("../models/Tag");
+
+// Lookup of managed categories and tags used to validate and normalize the
+// category/tag values stored on posts, breaking news and promotions.
+// Both collections are small, so active entries are cached in memory and
+// refreshed every minute or right after an admin change on this instance.
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // { categories: Map, tags: Map, expiresAt }
+let loading = null;
+
+// "AI & Machine Learning" -> "ai-and-machine-learning"
+const slugify = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Tags keep non-Latin text (e.g. Hindi), they are only trimmed and lowercased
+const normalizeTag = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const load = async () => {
+  const [categories, tags] = await Promise.all([
+    Category.find({ isActive: true }).select("slug name nameHi").lean(),
+    Tag.find({ isActive: true }).select("slug name nameHi").lean(),
+  ]);
+
+  // Index each entry by slug, name and Hindi name
+  const categoryMap = new Map();
+  categories.forEach((c) => {
+    [c.slug, c.name, c.nameHi]
+      .filter(Boolean)
+      .forEach((key) =>
+        categoryMap.set(String(key).trim().toLowerCase(), c.slug),
+      );
+    categoryMap.set(slugify(c.name), c.slug);
+  });
+
+  const tagMap = new Map();
+  tags.forEach((t) => {
+    [t.slug, t.name, t.nameHi]
+      .filter(Boolean)
+      .forEach((key) => tagMap.set(normalizeTag(key), t.slug));
+  });
+
+  cache = {
+    categories: categoryMap,
+    tags: tagMap,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  };
+  return cache;
+};
+
+const getCache = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache;
+  if (!loading) {
+    loading = load().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Drop the cache after categories or tags change
+const invalidate = () => {
+  cache = null;
+};
+
+// Map a category slug, name or Hindi name to its canonical slug (null if unknown/inactive)
+const resolveCategory = async (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  const { categories } = await getCache();
+  const key = String(value).trim().toLowerCase();
+  return categories.get(key) || categories.get(slugify(value)) || null;
+};
+
+// Map a tag to its canonical slug (null if unknown/inactive)
+const resolveTag = async (value) => {
+  const key = normalizeTag(value);
+  if (!key) return null;
+  const { tags } = await getCache();
+  return tags.get(key) || null;
+};
+
+const isValidCategory = async (value) => !!(await resolveCategory(value));
+
+const areValidCategories = async (values) => {
+  const resolved = await Promise.all((values || []).map(resolveCategory));
+  return resolved.every(Boolean);
+};
+
+const areValidTags = async (values) => {
+  const resolved = await Promise.all((values || []).map(resolveTag));
+  return resolved.every(Boolean);
+};
+
+module.exports = {
+  slugify,
+  normalizeTag,
+  invalidate,
+  resolveCategory,
+  resolveTag,
+  isValidCategory,
+  areValidCategories,
+  areValidTags,
+};
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const PostEngagementBucket = require("../models/PostEngagementBucket");
+const config = require("../config");
+
+// Trending engine.
+//
+// Views, likes, comments and shares are counted in hourly buckets per post.
+// Every TRENDING_INTERVAL_MS the buckets of the last TRENDING_WINDOW_HOURS are
+// combined into a score where each bucket's weight halves every
+// TRENDING_HALF_LIFE_HOURS, and the result is stored on Post.trendingScore.
+// Readers and the admin panel only read the stored score. Admins can pin a
+// post (always listed first) or suppress it (never listed).
+
+const TRENDING_WINDOW_HOURS = 72;
+const TRENDING_HALF_LIFE_HOURS = 12;
+
+const ENGAGEMENT_WEIGHTS = {
+  views: 1,
+  likes: 3,
+  comments: 4,
+  shares: 5,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CARD_FIELDS =
+  "title excerpt featuredImage featuredVideo images tags category location publishedAt createdAt updatedAt likeCount commentCount shareCount viewCount slug readingTime isTrending trendingOverride trendingScore isFeatured isPromoted author";
+
+let timer = null;
+let running = false;
+
+const hourStart = (date = new Date()) =>
+  new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+// Count an engagement event (views | likes | comments | shares) for the current hour
+const recordEngagement = (postId, field, amount = 1) => {
+  if (!postId || !(field in ENGAGEMENT_WEIGHTS)) return Promise.resolve();
+
+  return PostEngagementBucket.updateOne(
+    { post: postId, bucket: hourStart() },
+    { $inc: { [field]: amount } },
+    { upsert: true },
+  ).catch((error) => {
+    console.error("Error recording engagement:", error.message);
+  });
+};
+
+// Recompute trendingScore for every post with engagement in the window
+const recomputeScores = async (now = new Date()) => {
+  const windowStart = new Date(now.getTime() - TRENDING_WINDOW_HOURS * HOUR_MS);
+
+  const scores = await PostEngagementBucket.aggregate([
+    { $match: { bucket: { $gte: windowStart } } },
+    {
+      $project: {
+        post: 1,
+        raw: {
+          $add: Object.entries(ENGAGEMENT_WEIGHTS).map(([field, weight]) => ({
+            $multiply: [{ $ifNull: [`$${field}`, 0] }, weight],
+          })),
+        },
+        decay: {
+          $pow: [
+            0.5,
+            {
+              $divide: [
+                { $subtract: [now, "$bucket"] },
+                TRENDING_HALF_LIFE_HOURS * HOUR_MS,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$post",
+        score: { $sum: { $multiply: ["$raw", "$decay"] } },
+      },
+    },
+    { $match: { score: { $gt: 0 } } },
+  ]);
+
+  if (scores.length > 0) {
+    await Post.bulkWrite(
+      scores.map(({ _id, score }) => ({
+        updateOne: {
+          filter: { _id },
+          update: {
+            $set: {
+              trendingScore: Math.round(score * 100) / 100,
+              trendingUpdatedAt: now,
+            },
+          },
+        },
+      })),
+      { ordered: false },
+    );
+  }
+
+  // Posts without engagement in the window drop out of trending
+  await Post.updateMany(
+    { trendingScore: { $gt: 0 }, _id: { $nin: scores.map((s) => s._id) } },
+    { $set: { trendingScore: 0, trendingUpdatedAt: now } },
+  );
+
+  return scores.length;
+};
+
+const TIME_FILTERS = {
+  today: () => {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    return start;
+  },
+  week: () => new Date(Date.now() - 7 * 24 * HOUR_MS),
+  month: () => new Date(Date.now() - 30 * 24 * HOUR_MS),
+  all: () => null,
+};
+
+const SORT_OPTIONS = {
+  trending: { isTrending: -1, trendingScore: -1, publishedAt: -1 },
+  likes: { likeCount: -1, publishedAt: -1 },
+  comments: { commentCount: -1, publishedAt: -1 },
+  shares: { shareCount: -1, publishedAt: -1 },
+  views: { viewCount: -1, publishedAt: -1 },
+  recent: { publishedAt: -1 },
+};
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Public trending list: pinned posts first, suppressed posts never
+const getTrendingPosts = ({
+  limit = 20,
+  timeFilter = "week",
+  sortBy = "trending",
+  search,
+} = {}) => {
+  const filter = {
+    status: "published",
+    isActive: true,
+    isVisible: { $ne: false },
+    trendingOverride: { $ne: "suppress" },
+    publishedAt: { $lte: new Date() },
+  };
+
+  const since = (TIME_FILTERS[timeFilter] || TIME_FILTERS.week)();
+  if (since) filter.publishedAt.$gte = since;
+
+  // The trending view only lists posts with engagement (or pinned ones)
+  if (!SORT_OPTIONS[sortBy] || sortBy === "trending") {
+    filter.$or = [{ isTrending: true }, { trendingScore: { $gt: 0 } }];
+  }
+
+  if (search && String(search).trim()) {
+    const term = new RegExp(escapeRegex(String(search).trim()), "i");
+    filter.$and = [
+      { $or: [{ title: term }, { excerpt: term }, { tags: term }] },
+    ];
+  }
+
+  return Post.find(filter)
+    .select(CARD_FIELDS)
+    .populate("author", "username firstName lastName profileImage role title")
+    .sort(SORT_OPTIONS[sortBy] || SORT_OPTIONS.trending)
+    .limit(Math.min(Math.max(1, parseInt(limit, 10) || 20), 100))
+    .lean();
+};
+
+// Apply a manual override: "pin", "suppress" or null to clear it
+const setOverride = (filter, override) =>
+  Post.updateMany(filter, {
+    $set: { trendingOverride: override, isTrending: override === "pin" },
+  });
+
+const tick = async () => {
+  // Skip while the database is (re)connecting and never overlap runs
+  if (running || mongoose.connection.readyState !== 1) return;
+
+  running = true;
+  try {
+    await recomputeScores();
+  } catch (error) {
+    console.error("Error recomputing trending scores:", error);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(tick, config.TRENDING_INTERVAL_MS);
+  timer.unref();
+  // First run shortly after startup so scores are fresh after a deploy
+  setTimeout(tick, 10 * 1000).unref();
+  console.log(
+    `📈 Trending scores recomputed every ${config.TRENDING_INTERVAL_MS / 1000}s`,
+  );
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  ENGAGEMENT_WEIGHTS,
+  recordEngagement,
+  recomputeScores,
+  getTrendingPosts,
+  setOverride,
+  start,
+  stop,
+  tick,
+};
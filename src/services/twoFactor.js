@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const SiteSettings = require("../models/SiteSettings");
+const config = require("../config");
+const totp = require("../utils/totp");
+
+// TOTP two-factor authentication.
+//
+// Secrets are stored AES-256-GCM encrypted on User.twoFactor; recovery codes
+// are stored as SHA-256 hashes and removed when used. Signing in is two steps:
+// the password step returns a short-lived challenge token, and the real
+// tokens are only issued once a code is verified against it. Roles listed in
+// SiteSettings.twoFactor.requiredRoles must enroll before they can sign in.
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = "5m";
+const POLICY_TTL_MS = 60 * 1000;
+
+// --- Secret encryption --------------------------------------------------------
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(config.TWO_FACTOR_ENCRYPTION_KEY || `${config.JWT_SECRET}:2fa`)
+    .digest();
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("hex"))
+    .join(":");
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, data] = String(payload)
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8",
+  );
+};
+
+// --- Recovery codes -------------------------------------------------------------
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Ten codes like "4f9a-c2e1-7b30", shown to the user once
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-"),
+  );
+
+// Replace a user's recovery codes; returns the new plain codes
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { "twoFactor.recoveryCodes": codes.map(hashRecoveryCode) },
+  );
+  return codes;
+};
+
+// --- Enrollment -----------------------------------------------------------------
+
+// Create a new secret waiting for confirmation; returns what the
+// authenticator app needs
+const startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { "twoFactor.pendingSecret": encrypt(secret) },
+  );
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({
+      secret,
+      account: user.email || user.username,
+      issuer: config.TWO_FACTOR_ISSUER,
+    }),
+    issuer: config.TWO_FACTOR_ISSUER,
+  };
+};
+
+// Turn 2FA on once the user proves the app works; returns the recovery
+// codes, or null when the code is wrong or there is nothing to confirm
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+  if (!user?.twoFactor?.pendingSecret) return null;
+
+  const secret = decrypt(user.twoFactor.pendingSecret);
+  const step = totp.verifyCode(secret, code);
+  if (step === null) return null;
+
+  const codes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": encrypt(secret),
+        "twoFactor.recoveryCodes": codes.map(hashRecoveryCode),
+        "twoFactor.lastUsedStep": step,
+      },
+      $unset: { "twoFactor.pendingSecret": 1 },
+    },
+  );
+  return codes;
+};
+
+const disable = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    },
+  );
+
+// --- Verification -------------------------------------------------------------
+
+// Check an authenticator code or a recovery code for a user with 2FA on.
+// Returns { method: "totp" | "recovery" } or null. Each code works once.
+const verify = async (userId, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        "twoFactor.enabled": true,
+        "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode),
+      },
+      { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } },
+      { new: true },
+    ).select("+twoFactor.recoveryCodes");
+    return updated
+      ? {
+          method: "recovery",
+          recoveryCodesRemaining: updated.twoFactor.recoveryCodes.length,
+        }
+      : null;
+  }
+
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.lastUsedStep",
+  );
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = totp.verifyCode(decrypt(user.twoFactor.secret), code);
+  if (step === null) return null;
+
+  // Atomic so the same code cannot be replayed, even concurrently
+  const claimed = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": { $exists: false } },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { "twoFactor.lastUsedStep": step },
+  );
+  return claimed.modifiedCount === 1 ? { method: "totp" } : null;
+};
+
+const recoveryCodesRemaining = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactor.recoveryCodes");
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+// --- Policy -------------------------------------------------------------------
+
+let policyCache = null;
+
+const getPolicy = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now())
+    return policyCache.value;
+
+  const settings = await SiteSettings.findOne().select("twoFactor").lean();
+  const value = { requiredRoles: settings?.twoFactor?.requiredRoles || [] };
+  policyCache = { expiresAt: Date.now() + POLICY_TTL_MS, value };
+  return value;
+};
+
+// Drop the cached policy (after an admin edits it)
+const invalidate = () => {
+  policyCache = null;
+};
+
+// Whether the user's role must use 2FA
+const isRequired = async (user) => {
+  const { requiredRoles } = await getPolicy();
+  return requiredRoles.includes(user.role);
+};
+
+// --- Login challenge ------------------------------------------------------------
+
+// purpose: "2fa_login" (enter a code) or "2fa_setup" (enroll first)
+const createChallenge = (user, purpose) =>
+  jwt.sign({ sub: String(user._id), purpose }, config.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+// User id of a valid challenge token for `purpose`, or null
+const readChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), config.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  startEnrollment,
+  confirmEnrollment,
+  disable,
+  verify,
+  regenerateRecoveryCodes,
+  recoveryCodesRemaining,
+  getPolicy,
+  invalidate,
+  isRequired,
+  createChallenge,
+  readChallenge,
+};
@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const PostDailyStats = require("../models/PostDailyStats");
+const config = require("../config");
+const isBot = require("../utils/isBot");
+const { deviceOf } = require("../utils/deviceInfo");
+const trending = require("./trending");
+const { encodeKey, dayStart } = require("./postAnalytics");
+
+// Post view counting.
+//
+// A view is counted at most once per visitor per post within
+// VIEW_DEDUPE_WINDOW_MS. Visitors are identified by user id when signed in,
+// otherwise by a hash of IP + user agent. Crawlers, the post's own author and
+// staff previews are not counted. Counted views are kept in memory and written
+// every VIEW_FLUSH_INTERVAL_MS as one bulk update of Post.viewCount, the daily
+// PostDailyStats counters (with device and referrer) and the trending buckets.
+// Read-through reports are deduplicated and batched the same way.
+//
+// The dedupe window lives in process memory, so with several instances a
+// visitor can be counted once per instance.
+
+const STAFF_ROLES = ["admin", "moderator"];
+const MAX_DEDUPE_ENTRIES = 100000;
+// Flush early when this many views are waiting
+const MAX_PENDING_VIEWS = 500;
+
+// "<view|read>|<postId>|<visitorKey>" -> expiresAt
+const recentViews = new Map();
+// postId -> { views, devices, referrers, readTotal, readCount } waiting to be written
+let pending = new Map();
+let pendingCount = 0;
+
+let timer = null;
+let flushing = null;
+
+const clientHost = (() => {
+  try {
+    return new URL(config.CLIENT_URL).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+})();
+
+// Referrer domain of a view. The web client loads posts through the API, so
+// it passes document.referrer as ?ref=; the Referer header is the fallback.
+const referrerOf = (req) => {
+  const raw = req.query?.ref || req.get("referer");
+  if (!raw) return "direct";
+  try {
+    const host = new URL(String(raw)).hostname
+      .toLowerCase()
+      .replace(/^www\./, "");
+    if (!host) return "direct";
+    return host === clientHost || host === req.hostname ? "internal" : host;
+  } catch (error) {
+    return "direct";
+  }
+};
+
+const pendingFor = (postId) => {
+  if (!pending.has(postId)) {
+    pending.set(postId, {
+      views: 0,
+      devices: {},
+      referrers: {},
+      readTotal: 0,
+      readCount: 0,
+    });
+  }
+  return pending.get(postId);
+};
+
+const increment = (map, key, amount = 1) => {
+  map[key] = (map[key] || 0) + amount;
+};
+
+// $inc for the daily stats document of one post
+const statsUpdate = (entry) => {
+  const $inc = {};
+  if (entry.views) $inc.views = entry.views;
+  Object.entries(entry.devices).forEach(([device, count]) => {
+    $inc[`devices.${device}`] = count;
+  });
+  Object.entries(entry.referrers).forEach(([domain, count]) => {
+    $inc[`referrers.${encodeKey(domain)}`] = count;
+  });
+  if (entry.readCount) {
+    $inc["readThrough.total"] = entry.readTotal;
+    $inc["readThrough.count"] = entry.readCount;
+  }
+  return { $inc };
+};
+
+const visitorKey = (req) => {
+  if (req.user?._id) return `u:${req.user._id}`;
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${req.ip}|${req.get("user-agent") || ""}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `a:${hash}`;
+};
+
+const shouldCount = (req, post) => {
+  if (post.status !== "published") return false;
+
+  const userAgent = req.get("user-agent");
+  if (!userAgent || isBot(userAgent)) return false;
+
+  if (req.user) {
+    const authorId = String(post.author?._id || post.author);
+    if (String(req.user._id) === authorId) return false;
+    if (STAFF_ROLES.includes(req.user.role)) return false;
+  }
+
+  return true;
+};
+
+const pruneRecentViews = (now = Date.now()) => {
+  for (const [key, expiresAt] of recentViews) {
+    if (expiresAt <= now) recentViews.delete(key);
+  }
+  // Oldest entries go first if the map is still too large
+  while (recentViews.size > MAX_DEDUPE_ENTRIES) {
+    recentViews.delete(recentViews.keys().next().value);
+  }
+};
+
+// Write the pending counters; views that arrive meanwhile wait for the next flush
+const flush = async () => {
+  if (flushing) return flushing;
+  if (pending.size === 0 || mongoose.connection.readyState !== 1) return;
+
+  const batch = pending;
+  pending = new Map();
+  pendingCount = 0;
+
+  const day = dayStart();
+  const entries = [...batch.entries()];
+  const viewed = entries.filter(([, entry]) => entry.views > 0);
+
+  flushing = Promise.all([
+    viewed.length > 0 &&
+      Post.bulkWrite(
+        viewed.map(([postId, entry]) => ({
+          updateOne: {
+            filter: { _id: postId },
+            update: { $inc: { viewCount: entry.views } },
+          },
+        })),
+        { ordered: false },
+      ),
+    PostDailyStats.bulkWrite(
+      entries.map(([postId, entry]) => ({
+        updateOne: {
+          filter: { post: postId, day },
+          update: statsUpdate(entry),
+          upsert: true,
+        },
+      })),
+      { ordered: false },
+    ),
+    ...viewed.map(([postId, entry]) =>
+      trending.recordEngagement(postId, "views", entry.views),
+    ),
+  ])
+    .catch((error) => {
+      // Counters are best effort; a failed batch is dropped rather than retried
+      console.error("Error writing view counters:", error.message);
+    })
+    .finally(() => {
+      flushing = null;
+    });
+
+  return flushing;
+};
+
+// Claim "<kind>|<postId>|<visitor>" for the dedupe window; false if already claimed
+const claim = (kind, req, post) => {
+  const now = Date.now();
+  const key = `${kind}|${post._id}|${visitorKey(req)}`;
+  const expiresAt = recentViews.get(key);
+  if (expiresAt && expiresAt > now) return false;
+
+  recentViews.delete(key);
+  recentViews.set(key, now + config.VIEW_DEDUPE_WINDOW_MS);
+  return true;
+};
+
+const queued = () => {
+  pendingCount++;
+  if (pendingCount >= MAX_PENDING_VIEWS) flush();
+};
+
+// Count a view of a post if it is not a duplicate; returns whether it counted
+const trackView = (req, post) => {
+  if (!post?._id || !shouldCount(req, post) || !claim("view", req, post)) {
+    return false;
+  }
+
+  const entry = pendingFor(String(post._id));
+  entry.views++;
+  increment(entry.devices, deviceOf(req.get("user-agent")));
+  increment(entry.referrers, referrerOf(req));
+  queued();
+  return true;
+};
+
+// Record how much of the article (0-100 %) a visitor read, once per window
+const trackReadThrough = (req, post, progress) => {
+  if (!post?._id || !shouldCount(req, post) || !claim("read", req, post)) {
+    return false;
+  }
+
+  const entry = pendingFor(String(post._id));
+  entry.readTotal += Math.min(100, Math.max(0, progress));
+  entry.readCount++;
+  queued();
+  return true;
+};
+
+const tick = async () => {
+  pruneRecentViews();
+  await flush();
+};
+
+const start = () => {
+  if (timer) return;
+  timer = setInterval(tick, config.VIEW_FLUSH_INTERVAL_MS);
+  timer.unref();
+};
+
+// Stop the timer and write whatever is still pending
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  return flush();
+};
+
+module.exports = {
+  trackView,
+  trackReadThrough,
+  flush,
+  start,
+  stop,
+};
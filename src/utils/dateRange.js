@@ -0,0 +1,43 @@
+const { AppError } = require("./appError");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse ?from=&to= (YYYY-MM-DD, inclusive, UTC days) into { from, to, days }.
+// Defaults to the last `defaultDays` days; throws an AppError when invalid.
+const parseDateRange = (
+  { from, to } = {},
+  { defaultDays = 30, maxDays = 366 } = {},
+) => {
+  const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+
+  const end = to ? parseDay(to) : today;
+  if (!end) {
+    throw new AppError("to must be a date in YYYY-MM-DD format", 400);
+  }
+
+  const start = from
+    ? parseDay(from)
+    : new Date(end.getTime() - (defaultDays - 1) * DAY_MS);
+  if (!start) {
+    throw new AppError("from must be a date in YYYY-MM-DD format", 400);
+  }
+
+  if (start > end) {
+    throw new AppError("from must not be after to", 400);
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > maxDays) {
+    throw new AppError(`Date range cannot exceed ${maxDays} days`, 400);
+  }
+
+  return { from: start, to: end, days };
+};
+
+module.exports = { DAY_MS, parseDateRange };
@@ -0,0 +1,57 @@
+// Device details from a User-Agent string
+
+const BROWSERS = [
+  ["Edge", /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ["Opera", /(?:OPR|Opera)\/([\d.]+)/],
+  ["Samsung Internet", /SamsungBrowser\/([\d.]+)/],
+  ["Chrome", /(?:Chrome|CriOS)\/([\d.]+)/],
+  ["Firefox", /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ["Safari", /Version\/([\d.]+).*Safari/],
+  ["Internet Explorer", /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+];
+
+const SYSTEMS = [
+  ["Windows", /Windows NT ([\d.]+)/],
+  ["iOS", /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ["macOS", /Mac OS X ([\d_.]+)/],
+  ["Android", /Android ([\d.]+)/],
+  ["Chrome OS", /CrOS/],
+  ["Linux", /Linux/],
+];
+
+const deviceOf = (userAgent) => {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent))
+    return "tablet";
+  if (/Mobi|iPhone|iPod|Android|Opera Mini|IEMobile/i.test(userAgent))
+    return "mobile";
+  return "desktop";
+};
+
+const match = (list, userAgent) => {
+  for (const [name, regex] of list) {
+    const found = userAgent.match(regex);
+    if (found) {
+      const version = (found[1] || "").replace(/_/g, ".");
+      return { name, version };
+    }
+  }
+  return { name: "Unknown", version: "" };
+};
+
+// { browser, browserVersion, os, osVersion, device: desktop | mobile | tablet }
+const describeDevice = (userAgent = "") => {
+  const browser = match(BROWSERS, userAgent);
+  const os = match(SYSTEMS, userAgent);
+  return {
+    browser: browser.name,
+    browserVersion: browser.version.split(".")[0],
+    os: os.name,
+    osVersion: os.version,
+    device: deviceOf(userAgent),
+  };
+};
+
+module.exports = {
+  deviceOf,
+  describeDevice,
+};